@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { DOMParser, XMLSerializer } from '@xmldom/xmldom';
+import {
+  scanDocument, issueLocation, parseRules, createReport, renderReport, riskBand, validateRiskThresholds,
+  textToMarkdown, docxToMarkdown, keepsDocxStructure, chunkText, chunksToJsonl, validateChunking, DEFAULT_CHUNKING,
+  DEFAULT_FUZZY_THRESHOLD, SANITIZE_POLICIES, DEFAULT_SANITIZE_POLICY, REPORT_FORMATS, RISK_BANDS, DEFAULT_RISK_THRESHOLDS
+} from '../src/lib/scanner/index.js';
+
+const USAGE = `Usage: docshit scan [options] <files...>
+
+Scans PDF, DOCX, PPTX, XLSX, ODT, RTF, HTML and TXT files for prompt injections and hidden text.
+
+Options:
+  --json          Print results as JSON instead of a text summary
+  --report <fmt>  Print one report covering every file: ${Object.keys(REPORT_FORMATS).join(', ')}
+  --rules <file>  Use detection rules exported from the web app (JSON)
+  --fuzzy <n>     Edits allowed per phrase character, 0 to 0.5 (default ${DEFAULT_FUZZY_THRESHOLD}, 0 = exact)
+  --policy <name> How --json sanitizedText treats flagged spans: ${Object.keys(SANITIZE_POLICIES).join(', ')} (default ${DEFAULT_SANITIZE_POLICY})
+  --markdown      Print the sanitized text of each file as Markdown under --policy (added as "markdown" with --json)
+  --chunks <n,o>  Print the Markdown as JSONL chunks of about n tokens, o overlapping (default ${DEFAULT_CHUNKING.size},${DEFAULT_CHUNKING.overlap})
+  --bands <m,h,c> Risk scores where the Medium, High and Critical bands start (default ${Object.values(DEFAULT_RISK_THRESHOLDS).join(',')})
+  --fail-on <band> Only fail for documents scoring in this band or above: ${Object.keys(RISK_BANDS).join(', ')} (default medium)
+  --fail-empty    Treat documents without selectable text as failures
+  -h, --help      Show this help
+
+Exit codes:
+  0  every file is clean
+  1  risks were found (at or above the --fail-on band, or an empty document with --fail-empty)
+  2  usage error or a file could not be scanned`;
+
+const parseArgs = (argv) => {
+  const opts = {
+    json: false, report: null, markdown: false, chunking: null, failEmpty: false, failOn: null, help: false, rules: null,
+    fuzzyThreshold: DEFAULT_FUZZY_THRESHOLD, sanitizePolicy: DEFAULT_SANITIZE_POLICY, riskThresholds: DEFAULT_RISK_THRESHOLDS, files: []
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') opts.json = true;
+    else if (arg === '--report') {
+      if (!REPORT_FORMATS[argv[i + 1]]) throw new Error(`--report must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+      opts.report = argv[++i];
+    }
+    else if (arg === '--rules') {
+      if (!argv[i + 1]) throw new Error('--rules needs a file path');
+      opts.rules = argv[++i];
+    }
+    else if (arg === '--fuzzy') {
+      const value = Number(argv[++i]);
+      if (!(value >= 0 && value <= 0.5)) throw new Error('--fuzzy needs a number between 0 and 0.5');
+      opts.fuzzyThreshold = value;
+    }
+    else if (arg === '--markdown') opts.markdown = true;
+    else if (arg === '--chunks') {
+      const [size, overlap = DEFAULT_CHUNKING.overlap] = (argv[++i] || '').split(',').map(Number);
+      const error = validateChunking({ size, overlap });
+      if (error) throw new Error(`--chunks: ${error}`);
+      opts.chunking = { size, overlap };
+      opts.markdown = true;
+    }
+    else if (arg === '--policy') {
+      if (!SANITIZE_POLICIES[argv[i + 1]]) throw new Error(`--policy must be one of: ${Object.keys(SANITIZE_POLICIES).join(', ')}`);
+      opts.sanitizePolicy = argv[++i];
+    }
+    else if (arg === '--bands') {
+      const [medium, high, critical] = (argv[++i] || '').split(',').map(Number);
+      const error = validateRiskThresholds({ medium, high, critical });
+      if (error) throw new Error(`--bands: ${error}`);
+      opts.riskThresholds = { medium, high, critical };
+    }
+    else if (arg === '--fail-on') {
+      if (!RISK_BANDS[argv[i + 1]]) throw new Error(`--fail-on must be one of: ${Object.keys(RISK_BANDS).join(', ')}`);
+      opts.failOn = argv[++i];
+    }
+    else if (arg === '--fail-empty') opts.failEmpty = true;
+    else if (arg === '-h' || arg === '--help') opts.help = true;
+    else if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+    else opts.files.push(arg);
+  }
+  return opts;
+};
+
+// Word files go through mammoth for their headings, lists and tables; other formats are laid out
+// from the scan result
+const markdownOf = (buffer, result, { rules, fuzzyThreshold, sanitizePolicy }) => result.format === 'docx' && keepsDocxStructure(sanitizePolicy)
+  ? docxToMarkdown(buffer, { DOMParser, XMLSerializer, rules, fuzzyThreshold })
+  : textToMarkdown(result, { policy: sanitizePolicy });
+
+const scanFile = async (filePath, { rules, fuzzyThreshold, sanitizePolicy, riskThresholds, markdown }) => {
+  try {
+    const buffer = await readFile(filePath);
+    const result = await scanDocument(buffer, {
+      fileName: path.basename(filePath),
+      pdfjs: pdfjsLib,
+      DOMParser,
+      rules,
+      fuzzyThreshold,
+      sanitizePolicy,
+      riskThresholds
+    });
+    if (markdown) result.markdown = await markdownOf(buffer, result, { rules, fuzzyThreshold, sanitizePolicy });
+    return { file: filePath, ...result };
+  } catch (error) {
+    return { file: filePath, error: error.message };
+  }
+};
+
+const printSummary = (result, riskThresholds) => {
+  if (result.error) {
+    console.log(`ERROR  ${result.file}: ${result.error}`);
+    return;
+  }
+  const status = result.isEmpty ? 'EMPTY' : (result.safe ? 'SAFE ' : 'RISK ');
+  const band = RISK_BANDS[riskBand(result.risk.score, riskThresholds)].label;
+  console.log(`${status}  ${result.file} (score ${result.risk.score} ${band}, ${result.issues.length} risks, ${result.pageCount} pages)`);
+  result.issues.forEach(issue => {
+    const context = issue.context.replace(/\s+/g, ' ').trim().slice(0, 80);
+    console.log(`       [${issue.severity}] ${issue.type} • ${issueLocation(issue)}: ${issue.detail} — "${context}"`);
+  });
+};
+
+const main = async () => {
+  const [command, ...rest] = process.argv.slice(2);
+  if (!command || command === '-h' || command === '--help') {
+    console.log(USAGE);
+    return command ? 0 : 2;
+  }
+  if (command !== 'scan') {
+    console.error(`Unknown command: ${command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  let opts;
+  try {
+    opts = parseArgs(rest);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (opts.files.length === 0) {
+    console.error(`No files given.\n\n${USAGE}`);
+    return 2;
+  }
+
+  let rules;
+  if (opts.rules) {
+    try {
+      rules = parseRules(await readFile(opts.rules, 'utf8'));
+    } catch (error) {
+      console.error(`Could not load rules from ${opts.rules}: ${error.message}`);
+      return 2;
+    }
+  }
+
+  const results = [];
+  for (const file of opts.files) {
+    results.push(await scanFile(file, { rules, fuzzyThreshold: opts.fuzzyThreshold, sanitizePolicy: opts.sanitizePolicy, riskThresholds: opts.riskThresholds, markdown: opts.markdown }));
+  }
+
+  if (opts.report) {
+    // Files that failed to scan have no findings to report; they still fail the exit code
+    const scanned = results.filter(r => !r.error);
+    results.filter(r => r.error).forEach(r => console.error(`ERROR  ${r.file}: ${r.error}`));
+    process.stdout.write(renderReport(createReport(scanned, { rules, fuzzyThreshold: opts.fuzzyThreshold, riskThresholds: opts.riskThresholds }), opts.report));
+  } else if (opts.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else if (opts.markdown) {
+    results.filter(r => r.error).forEach(r => console.error(`ERROR  ${r.file}: ${r.error}`));
+    results.filter(r => !r.error).forEach((r, index, scanned) => {
+      if (opts.chunking) {
+        process.stdout.write(chunksToJsonl(chunkText(r.markdown, opts.chunking), { source: r.file, sha256: r.sha256 }));
+        return;
+      }
+      if (scanned.length > 1) console.log(`${index > 0 ? '\n' : ''}<!-- ${r.file} -->\n`);
+      process.stdout.write(r.markdown);
+    });
+  } else {
+    results.forEach(result => printSummary(result, opts.riskThresholds));
+  }
+
+  // Bands are ordered low to critical, so "at or above" compares their positions
+  const bandRank = (band) => Object.keys(RISK_BANDS).indexOf(band);
+  const fails = (r) => opts.failOn
+    ? bandRank(riskBand(r.risk.score, opts.riskThresholds)) >= bandRank(opts.failOn)
+    : !r.safe && !r.isEmpty;
+  if (results.some(r => r.error)) return 2;
+  if (results.some(r => fails(r) || (opts.failEmpty && r.isEmpty))) return 1;
+  return 0;
+};
+
+process.exitCode = await main();
@@ -1,4 +1,4 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import { 
   Upload, 
   AlertTriangle, 
@@ -21,42 +21,77 @@ import {
   Zap,
   Download,
   FileSearch,
-  ScanEye
+  ScanEye,
+  ListFilter,
+  Crosshair,
+  LayoutList,
+  Boxes,
+  History,
+  EyeOff,
+  Eraser,
+  BadgeCheck
 } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import * as pdfjsLib from 'pdfjs-dist';
 import pdfWorker from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
 import confetti from 'canvas-confetti';
-import JSZip from 'jszip';
 import { renderAsync } from 'docx-preview';
 import { jsPDF } from 'jspdf';
 import { cn } from './lib/utils';
+import {
+  issueLocation, isStructuralIssue, isOcrIssue, segmentText, sanitizeDocument, parseRules, serializeRules,
+  createReport, renderReport, riskBand, validateRiskThresholds, cleanDocx,
+  sha256Hex, rulesetFingerprint, textToMarkdown, docxToMarkdown, keepsDocxStructure, chunkText, chunksToJsonl, estimateTokens, validateChunking, DEFAULT_CHUNKING,
+  FILE_FORMATS, ACCEPTED_EXTENSIONS, DEFAULT_RULES, DEFAULT_FUZZY_THRESHOLD, SANITIZE_POLICIES, DEFAULT_SANITIZE_POLICY, REPORT_FORMATS,
+  RISK_BANDS, DEFAULT_RISK_THRESHOLDS, applyTriage, findingPhrase, phraseKey, isFlaggedIssue, EMPTY_TRIAGE,
+  diffTexts, revertChanges
+} from './lib/scanner';
+import { markIssues, clearIssueMarks } from './lib/docxHighlight';
+import { fileFormat, filesFromDrop, createEntry, sanitizedZip, BAND_TONES } from './lib/batch';
+import { scanInWorker, isAbortError } from './lib/scanClient';
+import { recognizeImages } from './lib/ocr';
+import { saveScan, findScan, saveTriage, findTriage } from './lib/history';
+import RulesEditor from './components/RulesEditor';
+import PdfViewer from './components/PdfViewer';
+import SheetPreview from './components/SheetPreview';
+import SlidePreview from './components/SlidePreview';
+import HtmlPreview from './components/HtmlPreview';
+import TextPreview from './components/TextPreview';
+import BatchDashboard from './components/BatchDashboard';
+import RiskBreakdown from './components/RiskBreakdown';
+import ChunkView from './components/ChunkView';
+import HistoryPanel from './components/HistoryPanel';
+import TriageSummary from './components/TriageSummary';
+import DiffView from './components/DiffView';
 
-// Set up PDF.js worker
+// Set up PDF.js worker for the previews; scanning runs in its own worker (lib/scanWorker.js)
 pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorker;
 
-const SUSPICIOUS_KEYWORDS = [
-  'ignore previous instructions',
-  'system prompt',
-  'hidden instruction',
-  'jailbreak',
-  'do anything now',
-  'ignore all rules',
-  'forgot about previous',
-  'actually move in',
-  'instead of',
-  'new instructions'
-];
+const saveBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+// Stable ref callback: fires only when the focused mark changes, not on every render
+const scrollIntoView = (node) => node?.scrollIntoView({ behavior: 'smooth', block: 'center' });
 
 // Sub-component for DOCX rendering
-const DocxPreview = ({ file, theme }) => {
+const DocxPreview = ({ file, theme, issues, rawText, focusedIssue, onSelectIssue }) => {
   const containerRef = useRef(null);
   const [error, setError] = useState(false);
+  const [rendered, setRendered] = useState(false);
 
   useEffect(() => {
     if (file && containerRef.current) {
       const render = async () => {
         try {
+          setRendered(false);
           const arrayBuffer = await file.arrayBuffer();
           containerRef.current.innerHTML = "";
           await renderAsync(arrayBuffer, containerRef.current, null, {
@@ -65,6 +100,7 @@ const DocxPreview = ({ file, theme }) => {
             ignoreWidth: false,
             ignoreHeight: false,
           });
+          setRendered(true);
         } catch (e) {
           console.error("DOCX Preview failed", e);
           setError(true);
@@ -74,6 +110,28 @@ const DocxPreview = ({ file, theme }) => {
     }
   }, [file]);
 
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!rendered || !container || !issues) return;
+    markIssues(container, issues, rawText);
+    return () => clearIssueMarks(container);
+  }, [rendered, issues, rawText]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!rendered || !container) return;
+    const marks = Array.from(container.querySelectorAll(`mark[data-issue="${focusedIssue}"]`));
+    marks.forEach(mark => mark.classList.add('docshit-focused'));
+    marks[0]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return () => marks.forEach(mark => mark.classList.remove('docshit-focused'));
+  }, [rendered, issues, focusedIssue]);
+
+  const selectMarkedIssue = (e) => {
+    const mark = e.target.closest('mark[data-issue]');
+    const issue = mark && issues?.find(i => i.id === mark.dataset.issue);
+    if (issue) onSelectIssue(issue);
+  };
+
   if (error) return (
     <div className="h-full flex flex-col items-center justify-center p-8 text-center text-zinc-500">
       <AlertTriangle size={32} className="mb-4 text-orange-500" />
@@ -82,7 +140,7 @@ const DocxPreview = ({ file, theme }) => {
   );
 
   return (
-    <div ref={containerRef} className={cn("docx-wrapper mx-auto max-w-full min-h-full p-4 md:p-8", theme === 'light' ? "docx-light" : "docx-dark")} />
+    <div ref={containerRef} onClick={selectMarkedIssue} className={cn("docx-wrapper mx-auto max-w-full min-h-full p-4 md:p-8", theme === 'light' ? "docx-light" : "docx-dark")} />
   );
 };
 
@@ -92,252 +150,598 @@ export default function App() {
   const [isScanning, setIsScanning] = useState(false);
   const [scanResult, setScanResult] = useState(null);
   const [progress, setProgress] = useState(0);
+  const [isReadingImages, setIsReadingImages] = useState(false);
+  const [liveIssues, setLiveIssues] = useState([]);
   const [rightPanel, setRightPanel] = useState('findings'); 
   const [theme, setTheme] = useState(() => localStorage.getItem('docshield_theme') || 'dark');
   const [copied, setCopied] = useState(false);
+  // Outcome of the last cleaned DOCX export, tied to the scan it was made from
+  const [docxClean, setDocxClean] = useState(null);
   const [selectedIssue, setSelectedIssue] = useState(null);
+  const [focusedIssue, setFocusedIssue] = useState(null);
   const [mobileView, setMobileView] = useState('doc'); // 'doc' or 'analysis'
+  const [rules, setRules] = useState(() => {
+    try {
+      return parseRules(localStorage.getItem('docshield_rules'));
+    } catch {
+      return DEFAULT_RULES;
+    }
+  });
+  const [fuzzyThreshold, setFuzzyThreshold] = useState(() => {
+    const stored = parseFloat(localStorage.getItem('docshield_fuzzy'));
+    return Number.isFinite(stored) ? stored : DEFAULT_FUZZY_THRESHOLD;
+  });
+  const [sanitizePolicy, setSanitizePolicy] = useState(() => {
+    const stored = localStorage.getItem('docshield_policy');
+    return SANITIZE_POLICIES[stored] ? stored : DEFAULT_SANITIZE_POLICY;
+  });
+  const [riskThresholds, setRiskThresholds] = useState(() => {
+    try {
+      const stored = JSON.parse(localStorage.getItem('docshield_bands'));
+      return stored && !validateRiskThresholds(stored) ? stored : DEFAULT_RISK_THRESHOLDS;
+    } catch {
+      return DEFAULT_RISK_THRESHOLDS;
+    }
+  });
+  const [safeFormat, setSafeFormat] = useState(() => localStorage.getItem('docshield_output') === 'markdown' ? 'markdown' : 'text');
+  const [chunking, setChunking] = useState(() => {
+    try {
+      const stored = JSON.parse(localStorage.getItem('docshield_chunking'));
+      return stored && !validateChunking(stored) ? { enabled: !!stored.enabled, size: stored.size, overlap: stored.overlap } : { enabled: false, ...DEFAULT_CHUNKING };
+    } catch {
+      return { enabled: false, ...DEFAULT_CHUNKING };
+    }
+  });
+  // Markdown of a Word file, converted from its cleaned copy for the scan it belongs to
+  const [docxMarkdown, setDocxMarkdown] = useState(null);
+  const [showRules, setShowRules] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  // Set when the open file's content was scanned before: `{ sha256, scannedAt, stale, rescanned, fromHistory }`
+  const [recalled, setRecalled] = useState(null);
+  // Triage decisions on the open document (see applyTriage), tagged with the `sha256` they belong to
+  const [triage, setTriage] = useState(null);
+  // Phrases never flagged again, in any document
+  const [allowlist, setAllowlist] = useState(() => {
+    try {
+      const stored = JSON.parse(localStorage.getItem('docshield_allowlist'));
+      return Array.isArray(stored) ? stored.filter(phrase => typeof phrase === 'string') : [];
+    } catch {
+      return [];
+    }
+  });
+  // Changes reverted in the diff view: `{ base, changes }`, holding only while the output they were
+  // picked on (`base`) stays the same
+  const [reverts, setReverts] = useState(null);
+  // Text selected in the Proof view, as a range of the raw text of the scan it was made on
+  const [proofSelection, setProofSelection] = useState(null);
+  const [queue, setQueue] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
   const fileInputRef = useRef(null);
+  const proofRef = useRef(null);
+  const pendingRef = useRef([]);
+  const drainingRef = useRef(false);
+  const scanControllerRef = useRef(null);
+  const batchControllerRef = useRef(null);
+  const docxControllerRef = useRef(null);
 
   useEffect(() => {
     localStorage.setItem('docshield_theme', theme);
     document.documentElement.className = theme;
   }, [theme]);
 
-  const sanitizeText = (text) => {
-    let sanitized = text;
-    SUSPICIOUS_KEYWORDS.forEach(keyword => {
-      const regex = new RegExp(keyword, 'gi');
-      sanitized = sanitized.replace(regex, '[REMOVED]');
-    });
-    return sanitized;
-  };
+  useEffect(() => {
+    localStorage.setItem('docshield_rules', serializeRules(rules));
+  }, [rules]);
 
+  useEffect(() => {
+    localStorage.setItem('docshield_fuzzy', String(fuzzyThreshold));
+  }, [fuzzyThreshold]);
+
+  useEffect(() => {
+    localStorage.setItem('docshield_policy', sanitizePolicy);
+  }, [sanitizePolicy]);
+
+  useEffect(() => {
+    localStorage.setItem('docshield_bands', JSON.stringify(riskThresholds));
+  }, [riskThresholds]);
+
+  useEffect(() => {
+    localStorage.setItem('docshield_output', safeFormat);
+  }, [safeFormat]);
+
+  useEffect(() => {
+    localStorage.setItem('docshield_chunking', JSON.stringify(chunking));
+  }, [chunking]);
+
+  useEffect(() => {
+    localStorage.setItem('docshield_allowlist', JSON.stringify(allowlist));
+  }, [allowlist]);
+
+  // Decisions are stored per file content, so they come back with any scan of the same file
+  const scanSha256 = scanResult?.sha256;
+  useEffect(() => {
+    if (!scanSha256) return;
+    let cancelled = false;
+    findTriage(scanSha256)
+      .catch(error => console.error("Could not load triage decisions", error))
+      .then(stored => {
+        if (!cancelled && stored) setTriage({ ...EMPTY_TRIAGE, ...stored });
+      });
+    return () => { cancelled = true; };
+  }, [scanSha256]);
+
+  const previewFormat = file ? fileFormat(file) : null;
+  const rulesetId = useMemo(() => rulesetFingerprint(rules, fuzzyThreshold), [rules, fuzzyThreshold]);
+  const recalledScan = recalled && scanResult?.sha256 === recalled.sha256 ? recalled : null;
+  const cleanedDocx = docxClean?.source === scanResult ? docxClean : null;
+  // Results without a hash (no Web Crypto) keep their decisions for as long as they stay open
+  const docTriage = triage && scanResult && (scanResult.sha256 ? triage.sha256 === scanResult.sha256 : triage.source === scanResult) ? triage : EMPTY_TRIAGE;
+  // Everything shown and exported follows the triage; history keeps the scan as it was
+  const reviewed = useMemo(
+    () => scanResult && applyTriage(scanResult, docTriage, { allowlist, sanitizePolicy, riskThresholds }),
+    [scanResult, docTriage, allowlist, sanitizePolicy, riskThresholds]
+  );
+  const selection = proofSelection?.source === scanResult ? proofSelection : null;
+  const band = reviewed ? riskBand(reviewed.risk.score, riskThresholds) : null;
+  const statusTone = reviewed?.isEmpty ? "text-orange-500" : BAND_TONES[band];
+
+  // Copy, TXT and PDF all take the text produced under the selected policy
+  const sanitizedText = useMemo(
+    () => reviewed ? sanitizeDocument(reviewed, { policy: sanitizePolicy }) : '',
+    [reviewed, sanitizePolicy]
+  );
+
+  // The cleaned Word file knows nothing of triage and only redacts, so triaged documents and other
+  // policies use the extracted text
+  const usesDocxMarkdown = previewFormat === 'docx' && !!scanResult && reviewed === scanResult && keepsDocxStructure(sanitizePolicy);
+  const wantsDocxMarkdown = safeFormat === 'markdown' && usesDocxMarkdown;
+  useEffect(() => {
+    if (!wantsDocxMarkdown) return;
+    let cancelled = false;
+    const source = scanResult;
+    file.arrayBuffer()
+      .then(data => docxToMarkdown(data, { rules, fuzzyThreshold }))
+      .catch(error => {
+        console.error("Markdown conversion failed", error);
+        return null;
+      })
+      .then(text => {
+        if (!cancelled) setDocxMarkdown({ source, text });
+      });
+    return () => { cancelled = true; };
+  }, [wantsDocxMarkdown, scanResult, file, rules, fuzzyThreshold]);
+
+  // Word files convert asynchronously; until they are done (or if they fail) there is no output yet
+  const markdownText = useMemo(() => {
+    if (safeFormat !== 'markdown' || !reviewed) return null;
+    if (!usesDocxMarkdown) return textToMarkdown(reviewed, { policy: sanitizePolicy });
+    return docxMarkdown?.source === scanResult ? docxMarkdown.text || textToMarkdown(reviewed, { policy: sanitizePolicy }) : null;
+  }, [safeFormat, reviewed, scanResult, usesDocxMarkdown, sanitizePolicy, docxMarkdown]);
+  const generatedOutput = safeFormat === 'markdown' ? markdownText : sanitizedText;
+  const revertCount = reverts?.base === generatedOutput ? reverts.changes.length : 0;
+  const diff = useMemo(
+    () => reviewed && generatedOutput !== null && (rightPanel === 'diff' || revertCount > 0) ? diffTexts(reviewed.rawText, generatedOutput) : null,
+    [reviewed, generatedOutput, rightPanel, revertCount]
+  );
+  // Copy, downloads and chunks take the output with any reverted changes put back
+  const safeOutput = useMemo(
+    () => diff && reverts?.base === generatedOutput && reverts.changes.length > 0 ? revertChanges(diff, reverts.changes) : generatedOutput,
+    [diff, reverts, generatedOutput]
+  );
+  const chunks = useMemo(
+    () => chunking.enabled && safeOutput ? chunkText(safeOutput, chunking) : null,
+    [chunking, safeOutput]
+  );
+
+  // Marks exactly the ranges each finding reported; overlapping findings share a segment
   const highlightRiskyText = (text, issues) => {
     if (!text || !issues) return text;
-    const flagSnippets = issues.map(issue => issue.context).filter(Boolean);
-    const allFlags = [...new Set([...SUSPICIOUS_KEYWORDS, ...flagSnippets])].sort((a,b) => b.length - a.length);
-    const escaped = allFlags.map(f => f.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-    const regex = new RegExp(`(${escaped.join('|')})`, 'gi');
-
-    return text.split(regex).map((part, i) => {
-      const isMatch = allFlags.some(flag => flag.toLowerCase() === part.toLowerCase());
-      return isMatch ? (
-        <mark key={i} className="bg-red-500/30 text-red-500 border-b-2 border-red-500 font-black px-1 rounded-sm animate-pulse-slow">
-          {part}
+    const byId = Object.fromEntries(issues.map(issue => [issue.id, issue]));
+    let focusPlaced = false;
+
+    return segmentText(text, issues).map(segment => {
+      if (segment.issues.length === 0) return segment.text;
+      const isFocused = segment.issues.includes(focusedIssue);
+      const isManual = segment.issues.every(id => byId[id].manual);
+      const isScrollTarget = isFocused && !focusPlaced;
+      focusPlaced = focusPlaced || isFocused;
+      return (
+        <mark
+          key={segment.start}
+          ref={isScrollTarget ? scrollIntoView : undefined}
+          data-issues={segment.issues.join(' ')}
+          title={segment.issues.map(id => byId[id].type).join(', ')}
+          onClick={() => window.getSelection()?.isCollapsed !== false && setSelectedIssue(byId[segment.issues[0]])}
+          className={cn(
+            "cursor-pointer font-black rounded-sm border-b-2 transition-colors",
+            isFocused ? "bg-[#C3FF00] text-black border-black animate-pulse" : isManual ? "bg-zinc-500/30 text-zinc-400 border-zinc-500 line-through" : "bg-red-500/30 text-red-500 border-red-500 animate-pulse-slow"
+          )}
+        >
+          {segment.text}
         </mark>
-      ) : part;
+      );
     });
   };
 
-  const processFile = (selectedFile) => {
-    if (selectedFile) {
-      if (fileUrl) URL.revokeObjectURL(fileUrl);
-      const url = URL.createObjectURL(selectedFile);
-      setFileUrl(url);
-      setFile(selectedFile);
-      
-      if (selectedFile.type === 'application/pdf' || selectedFile.name.endsWith('.pdf')) {
-        processPdf(selectedFile);
-      } else if (selectedFile.name.endsWith('.docx')) {
-        processDocx(selectedFile);
-      }
-    }
+  // Findings the document view can point at (a page box or a text range) jump there; the rest open
+  // their details. PDF pages only show boxes, so ranged PDF metadata findings open details too.
+  const focusIssue = (issue) => {
+    setFocusedIssue(issue.id);
+    if (issue.bbox || (issue.ranges && previewFormat !== 'pdf')) setMobileView('doc');
+    else setSelectedIssue(issue);
   };
 
-  const processPdf = async (pdfFile) => {
-    setIsScanning(true);
-    setScanResult(null);
-    setProgress(0);
+  // The open finding as triaged now, so its redaction toggle reflects the latest decision
+  const selectedTriaged = selectedIssue && (reviewed?.issues.find(issue => issue.id === selectedIssue.id) || selectedIssue);
 
-    try {
-      const reader = new FileReader();
-      reader.onload = async (e) => {
-        const typedarray = new Uint8Array(e.target.result);
-        const pdf = await pdfjsLib.getDocument(typedarray).promise;
-        
-        let foundIssues = [];
-        let fullText = "";
-        const numPages = pdf.numPages;
-
-        for (let i = 1; i <= numPages; i++) {
-          setProgress(Math.round((i / numPages) * 100));
-          const page = await pdf.getPage(i);
-          const textContent = await page.getTextContent();
-          
-          let pageText = "";
-          textContent.items.forEach((item) => {
-            pageText += item.str + " ";
-            const text = item.str.toLowerCase();
-            const fontSize = Math.abs(item.transform[0]); 
-
-            SUSPICIOUS_KEYWORDS.forEach(keyword => {
-              if (text.includes(keyword.toLowerCase())) {
-                foundIssues.push({
-                  id: Math.random(),
-                  type: 'Injection Keyword',
-                  detail: `Blocked phrase: "${keyword}"`,
-                  context: item.str,
-                  page: i,
-                  severity: 'high'
-                });
-              }
-            });
-
-            if (fontSize > 0 && fontSize < 4 && text.trim().length > 0) {
-              foundIssues.push({
-                id: Math.random(),
-                type: 'Hidden Text',
-                detail: `Micro-text caught (Size: ${fontSize.toFixed(1)})`,
-                context: item.str,
-                page: i,
-                severity: 'medium'
-              });
-            }
-          });
+  const showInProof = (issue) => {
+    setFocusedIssue(issue.id);
+    setSelectedIssue(null);
+    setRightPanel('extracted-text');
+    setMobileView('analysis');
+  };
 
-          fullText += pageText + "\n\n";
-        }
-        finishScan(foundIssues, numPages, fullText, pdfFile);
-      };
-      reader.readAsArrayBuffer(pdfFile);
-    } catch (error) {
-      setIsScanning(false);
+  // Triage decisions are saved with the file's history entry as soon as they are made
+  const decide = (changes) => {
+    const next = { ...docTriage, ...changes, sha256: scanResult.sha256, source: scanResult };
+    setTriage(next);
+    saveTriage(scanResult.sha256, next).catch(error => console.error("Could not save triage decisions", error));
+  };
+
+  const dismissIssue = (changes, issue) => {
+    if (changes) decide(changes);
+    if (focusedIssue === issue.id) setFocusedIssue(null);
+    setSelectedIssue(null);
+  };
+
+  const ignoreIssue = (issue) => dismissIssue({ ignored: [...docTriage.ignored, issue.id] }, issue);
+
+  const allowPhrase = (issue) => {
+    setAllowlist(current => [...current, findingPhrase(issue, scanResult.rawText)]);
+    dismissIssue(null, issue);
+  };
+
+  const trustDocument = (issue) => dismissIssue({ trusted: true }, issue);
+
+  // Overrides that match what the policy would do anyway are dropped again
+  const toggleRedaction = (issue) => {
+    const { [issue.id]: _previous, ...redactions } = docTriage.redactions;
+    const redact = !isFlaggedIssue(issue);
+    decide({ redactions: redact === isFlaggedIssue({ ...issue, redact: undefined }) ? redactions : { ...redactions, [issue.id]: redact } });
+  };
+
+  const restoreIssue = ({ issue, reason }) => {
+    if (reason === 'trusted') decide({ trusted: false });
+    else if (reason === 'ignored') decide({ ignored: docTriage.ignored.filter(id => id !== issue.id) });
+    else {
+      const key = phraseKey(findingPhrase(issue, scanResult.rawText));
+      setAllowlist(current => current.filter(phrase => phraseKey(phrase) !== key));
+    }
+  };
+
+  // Proof text is rawText verbatim, so the selection's offset is the length of the text before it
+  const readProofSelection = () => {
+    const container = proofRef.current;
+    const selected = window.getSelection();
+    if (!container || !selected || selected.isCollapsed || !container.contains(selected.anchorNode) || !container.contains(selected.focusNode)) {
+      setProofSelection(null);
+      return;
     }
+    const range = selected.getRangeAt(0);
+    const before = document.createRange();
+    before.selectNodeContents(container);
+    before.setEnd(range.startContainer, range.startOffset);
+    const text = range.toString();
+    const start = before.toString().length + (text.length - text.trimStart().length);
+    const end = start + text.trim().length;
+    setProofSelection(end > start ? { start, end, source: scanResult } : null);
+  };
+
+  const redactSelection = () => {
+    decide({ manual: [...docTriage.manual, { start: selection.start, end: selection.end }] });
+    setProofSelection(null);
+    window.getSelection()?.removeAllRanges();
   };
 
-  const processDocx = async (docxFile) => {
+  const removeRedaction = (redaction) => {
+    const [{ start, end }] = redaction.ranges;
+    decide({ manual: docTriage.manual.filter(range => range.start !== start || range.end !== end) });
+    setSelectedIssue(null);
+  };
+
+  // One row of the findings list
+  const renderIssueRow = (issue) => (
+    <div key={issue.id} onClick={() => focusIssue(issue)} className={cn("p-3 border flex items-center justify-between cursor-pointer transition-all group", focusedIssue === issue.id ? "border-[#C3FF00]" : (isLight ? "border-zinc-200 bg-white hover:border-zinc-300" : "border-zinc-800 bg-zinc-900/50 hover:border-zinc-700"))}>
+       <div className="flex items-center gap-4 min-w-0">
+          <div className={cn("w-10 h-10 flex items-center justify-center shrink-0", issue.severity === 'high' ? "bg-red-500/10 text-red-500" : "bg-orange-500/10 text-orange-500")}><ShieldAlert size={16} /></div>
+          <div className="truncate">
+             <h4 className="text-[11px] font-black uppercase truncate">{issue.detail}</h4>
+             <span className="text-[8px] font-black opacity-50 uppercase tracking-widest">{issue.type} • {issueLocation(issue)}{isOcrIssue(issue) && ` • OCR ${issue.ocrConfidence}%`}</span>
+          </div>
+       </div>
+       <div className="flex items-center gap-2 shrink-0">
+          {issue.ranges && (
+            <button onClick={(e) => { e.stopPropagation(); toggleRedaction(issue); }} title={isFlaggedIssue(issue) ? "Redacted in the safe text: keep it instead" : "Redact in the safe text"} className={cn("p-1 transition-colors", isFlaggedIssue(issue) ? "text-[#C3FF00]" : "text-zinc-500 hover:text-[#C3FF00]")}><Eraser size={14} /></button>
+          )}
+          <button onClick={(e) => { e.stopPropagation(); ignoreIssue(issue); }} title="Dismiss as false positive" className="p-1 text-zinc-500 hover:text-[#C3FF00] transition-colors"><EyeOff size={14} /></button>
+          {issue.ranges && (
+            <button onClick={(e) => { e.stopPropagation(); showInProof(issue); }} title="Show in Proof" className="p-1 text-zinc-500 hover:text-[#C3FF00] transition-colors"><Crosshair size={14} /></button>
+          )}
+          <button onClick={(e) => { e.stopPropagation(); setSelectedIssue(issue); }} title="Details" className="p-1"><ChevronRight className="w-4 h-4 opacity-50 group-hover:translate-x-1 transition-transform" /></button>
+       </div>
+    </div>
+  );
+
+  const processFile = async (selectedFile, ruleset = rules, threshold = fuzzyThreshold) => {
+    if (!selectedFile) return;
+    const format = fileFormat(selectedFile);
+    if (!format) return;
+
+    if (fileUrl) URL.revokeObjectURL(fileUrl);
+    const url = URL.createObjectURL(selectedFile);
+    setFileUrl(url);
+    setFile(selectedFile);
+
+    // A new scan supersedes whatever was still running
+    scanControllerRef.current?.abort();
+    docxControllerRef.current?.abort();
+    const controller = new AbortController();
+    scanControllerRef.current = controller;
+
     setIsScanning(true);
     setScanResult(null);
-    setProgress(10);
+    setFocusedIssue(null);
+    setProgress(0);
+    setIsReadingImages(false);
+    setLiveIssues([]);
 
     try {
-      const arrayBuffer = await docxFile.arrayBuffer();
-      const zip = await JSZip.loadAsync(arrayBuffer);
-      const documentXml = await zip.file("word/document.xml").async("string");
-      
-      const parser = new DOMParser();
-      const xmlDoc = parser.parseFromString(documentXml, "text/xml");
-      
-      let foundIssues = [];
-      let fullText = "";
-      const textNodes = xmlDoc.getElementsByTagName("w:r");
-      
-      setProgress(50);
-
-      for (let i = 0; i < textNodes.length; i++) {
-        const rNode = textNodes[i];
-        const tNodes = rNode.getElementsByTagName("w:t");
-        if (tNodes.length === 0) continue;
-
-        const text = Array.from(tNodes).map(node => node.textContent).join("");
-        fullText += text + " ";
-        const rPr = rNode.getElementsByTagName("w:rPr")[0];
-        
-        let isWhite = false, isMicro = false;
-        if (rPr) {
-          const color = rPr.getElementsByTagName("w:color")[0];
-          if (color) {
-            const colorVal = (color.getAttribute("w:val") || "").toUpperCase();
-            if (colorVal === "FFFFFF" || colorVal === "FFFFFF00") isWhite = true;
-          }
-          const sz = rPr.getElementsByTagName("w:sz")[0];
-          if (sz) {
-            const szVal = parseInt(sz.getAttribute("w:val"));
-            if (szVal <= 8) isMicro = true; // Sz is double points, so 4pt = 8sz
-          }
-        }
-
-        if (isWhite && text.trim().length > 0) {
-          foundIssues.push({
-            id: Math.random(),
-            type: 'Hidden Text',
-            detail: `White-on-white text detected`,
-            context: text,
-            page: 1,
-            severity: 'high'
-          });
-        }
-        if (isMicro && text.trim().length > 0) {
-          foundIssues.push({
-            id: Math.random(),
-            type: 'Micro-text',
-            detail: `Suspiciously small font size`,
-            context: text,
-            page: 1,
-            severity: 'medium'
-          });
+      const arrayBuffer = await selectedFile.arrayBuffer();
+      // The same content scanned with the same rules opens straight from history
+      const fingerprint = rulesetFingerprint(ruleset, threshold);
+      const previous = await lookUpHistory(arrayBuffer);
+      if (controller.signal.aborted) return;
+      if (previous) {
+        const stale = previous.summary.ruleset !== fingerprint;
+        setRecalled({ sha256: previous.sha256, scannedAt: previous.summary.scannedAt, stale, rescanned: stale, fromHistory: false });
+        if (!stale) {
+          setIsScanning(false);
+          setScanResult(previous.result);
+          return;
         }
-
-        SUSPICIOUS_KEYWORDS.forEach(keyword => {
-          if (text.toLowerCase().includes(keyword.toLowerCase())) {
-            foundIssues.push({ 
-              id: Math.random(), 
-              type: 'Injection Keyword', 
-              detail: `Malicious command phrase`, 
-              context: text, 
-              page: 1, 
-              severity: 'high' 
-            });
-          }
-        });
       }
-      setProgress(100);
-      finishScan(foundIssues, 1, fullText, docxFile);
+      const scanned = await scanInWorker(arrayBuffer, {
+        fileName: selectedFile.name,
+        format,
+        rules: ruleset,
+        fuzzyThreshold: threshold,
+        riskThresholds
+      }, {
+        signal: controller.signal,
+        onProgress: setProgress,
+        onIssues: issues => setLiveIssues(current => [...current, ...issues])
+      });
+      setIsReadingImages(true);
+      setProgress(0);
+      const result = await readImages(selectedFile, scanned, ruleset, threshold, { signal: controller.signal, onProgress: setProgress });
+      finishScan(result, controller.signal);
+      remember(selectedFile, result, fingerprint);
     } catch (error) {
+      if (isAbortError(error)) return;
+      console.error("Scan failed", error);
       setIsScanning(false);
     }
   };
 
-  const finishScan = (foundIssues, pageCount, rawText, sourceFile) => {
-    const isEmpty = rawText.trim().length === 0;
-    
+  // History is a convenience: when IndexedDB or Web Crypto is unavailable, files just scan afresh
+  const lookUpHistory = async (data) => {
+    const sha256 = await sha256Hex(data);
+    return sha256 ? findScan(sha256).catch(error => console.error("History lookup failed", error)) : undefined;
+  };
+
+  const remember = (scannedFile, result, fingerprint) =>
+    saveScan(scannedFile, result, fingerprint).catch(error => console.error("Could not save scan to history", error));
+
+  const openHistoryScan = async (sha256) => {
+    const record = await findScan(sha256).catch(() => undefined);
+    if (!record) return;
+    scanControllerRef.current?.abort();
+    docxControllerRef.current?.abort();
+    setShowHistory(false);
+    setIsScanning(false);
+    if (fileUrl) URL.revokeObjectURL(fileUrl);
+    setFileUrl(URL.createObjectURL(record.file));
+    setFile(record.file);
+    setScanResult(record.result);
+    setRecalled({ sha256, scannedAt: record.summary.scannedAt, stale: record.summary.ruleset !== rulesetId, rescanned: false, fromHistory: true });
+    setSelectedIssue(null);
+    setFocusedIssue(null);
+    setRightPanel('findings');
+    setMobileView('doc');
+  };
+
+  // OCR is a bonus pass: if it fails the scan result still stands
+  const readImages = (targetFile, scanned, ruleset, threshold, options) =>
+    recognizeImages(targetFile, scanned, { rules: ruleset, fuzzyThreshold: threshold, riskThresholds, ...options }).catch(error => {
+      if (isAbortError(error)) throw error;
+      console.error("OCR failed", error);
+      return scanned;
+    });
+
+  const finishScan = (result, signal) => {
     setTimeout(() => {
+      if (signal.aborted) return;
       setIsScanning(false);
-      setScanResult({
-        safe: foundIssues.length === 0 && !isEmpty,
-        issues: foundIssues,
-        pageCount: pageCount,
-        fileName: sourceFile.name,
-        rawText: rawText,
-        sanitizedText: sanitizeText(rawText),
-        isEmpty: isEmpty
-      });
-      if (foundIssues.length === 0 && !isEmpty) {
+      setScanResult(result);
+      // Only a low score earns confetti: a stray low-signal phrase should not spoil it
+      if (!result.isEmpty && riskBand(result.risk.score, riskThresholds) === 'low') {
         confetti({ particleCount: 100, spread: 70, origin: { y: 0.6 }, colors: ['#ffffff', '#C3FF00'] });
       }
     }, 800);
   };
 
+  const updateEntry = (id, changes) => setQueue(current => current.map(entry => entry.id === id ? { ...entry, ...changes } : entry));
+
+  // Cancels the file being scanned and drops everything still waiting
+  const stopQueue = () => {
+    batchControllerRef.current?.abort();
+    batchControllerRef.current = null;
+    drainingRef.current = false;
+    pendingRef.current = [];
+  };
+
+  // Scans queued files one at a time; files added mid-run join the same loop
+  const drainQueue = async () => {
+    if (drainingRef.current) return;
+    drainingRef.current = true;
+    const controller = new AbortController();
+    batchControllerRef.current = controller;
+    while (pendingRef.current.length > 0 && !controller.signal.aborted) {
+      const { entry, ruleset, threshold } = pendingRef.current.shift();
+      updateEntry(entry.id, { status: 'scanning', progress: 0 });
+      try {
+        const data = await entry.file.arrayBuffer();
+        const fingerprint = rulesetFingerprint(ruleset, threshold);
+        const previous = await lookUpHistory(data);
+        if (previous?.summary.ruleset === fingerprint) {
+          updateEntry(entry.id, { status: 'done', progress: 100, result: previous.result });
+          continue;
+        }
+        const scanned = await scanInWorker(data, {
+          fileName: entry.file.name,
+          format: fileFormat(entry.file),
+          rules: ruleset,
+          fuzzyThreshold: threshold,
+          riskThresholds
+        }, {
+          signal: controller.signal,
+          onProgress: (value) => updateEntry(entry.id, { progress: value })
+        });
+        const result = await readImages(entry.file, scanned, ruleset, threshold, { signal: controller.signal });
+        updateEntry(entry.id, { status: 'done', progress: 100, result });
+        remember(entry.file, result, fingerprint);
+      } catch (error) {
+        if (isAbortError(error)) break;
+        console.error("Scan failed", error);
+        updateEntry(entry.id, { status: 'error', error: error.message });
+      }
+    }
+    // An aborted loop leaves the flag to whichever loop replaced it
+    if (batchControllerRef.current === controller) drainingRef.current = false;
+  };
+
+  const enqueue = (entries, ruleset = rules, threshold = fuzzyThreshold) => {
+    pendingRef.current.push(...entries.map(entry => ({ entry, ruleset, threshold })));
+    drainQueue();
+  };
+
+  // A single file keeps the direct results view; several files (or any file while a batch exists) go to the queue
+  const handleFiles = (fileList) => {
+    const files = Array.from(fileList || []).filter(fileFormat);
+    if (files.length === 0) return;
+    if (files.length === 1 && queue.length === 0) {
+      processFile(files[0]);
+      return;
+    }
+    const entries = files.map(createEntry);
+    closeFile();
+    setQueue(current => [...current, ...entries]);
+    enqueue(entries);
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFiles(await filesFromDrop(e.dataTransfer));
+  };
+
+  const openEntry = (entry) => {
+    if (fileUrl) URL.revokeObjectURL(fileUrl);
+    setFileUrl(URL.createObjectURL(entry.file));
+    setFile(entry.file);
+    setScanResult(entry.result);
+    setSelectedIssue(null);
+    setFocusedIssue(null);
+    setRightPanel('findings');
+    setMobileView('doc');
+  };
+
+  const closeFile = () => {
+    if (fileUrl) URL.revokeObjectURL(fileUrl);
+    setFile(null);
+    setFileUrl(null);
+    setScanResult(null);
+    setSelectedIssue(null);
+    setFocusedIssue(null);
+  };
+
+  const exportZip = async () => {
+    saveBlob(await sanitizedZip(queue, sanitizePolicy), 'docshit-sanitized.zip');
+  };
+
+  // Reports record the ruleset in effect now, which is the one the results were scanned with
+  const exportReport = (results, format, baseName) => {
+    const { extension, mimeType } = REPORT_FORMATS[format];
+    const report = renderReport(createReport(results, { rules, fuzzyThreshold, riskThresholds }), format);
+    saveBlob(new Blob([report], { type: mimeType }), `${baseName}.${extension}`);
+  };
+
+  const downloadReport = (format) => {
+    if (!reviewed) return;
+    exportReport([reviewed], format, `REPORT_${reviewed.fileName.split('.')[0]}`);
+  };
+
+  const exportBatchReport = (format) => {
+    const done = queue.filter(entry => entry.status === 'done').map(entry => entry.result);
+    if (done.length > 0) exportReport(done, format, 'docshit-report');
+  };
+
+  const saveRules = (nextRules, nextThreshold, nextBands) => {
+    setRules(nextRules);
+    setFuzzyThreshold(nextThreshold);
+    setRiskThresholds(nextBands);
+    setShowRules(false);
+    if (queue.length > 0) {
+      const entries = queue.map(entry => ({ ...entry, status: 'queued', progress: 0, result: null, error: null }));
+      closeFile();
+      setQueue(entries);
+      stopQueue();
+      enqueue(entries, nextRules, nextThreshold);
+    } else if (file) {
+      processFile(file, nextRules, nextThreshold);
+    }
+  };
+
+  const chunksJsonl = () => chunksToJsonl(chunks, { source: scanResult.fileName, sha256: scanResult.sha256 });
+
+  // With chunking on, Copy takes the chunks as JSONL
   const copyToClipboard = () => {
-    if (scanResult?.sanitizedText) {
-      navigator.clipboard.writeText(scanResult.sanitizedText);
+    if (safeOutput) {
+      navigator.clipboard.writeText(chunks ? chunksJsonl() : safeOutput);
       setCopied(true);
       setTimeout(() => setCopied(false), 2000);
     }
   };
 
   const downloadTXT = () => {
-    if (!scanResult) return;
-    const blob = new Blob([scanResult.sanitizedText], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `SAFE_${scanResult.fileName.split('.')[0]}.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    if (!scanResult || !safeOutput) return;
+    const markdown = safeFormat === 'markdown';
+    saveBlob(new Blob([safeOutput], { type: markdown ? 'text/markdown' : 'text/plain' }), `SAFE_${scanResult.fileName.split('.')[0]}.${markdown ? 'md' : 'txt'}`);
+  };
+
+  const downloadJSONL = () => {
+    if (!scanResult || !chunks) return;
+    saveBlob(new Blob([chunksJsonl()], { type: 'application/jsonl' }), `SAFE_${scanResult.fileName.split('.')[0]}.jsonl`);
   };
 
   const downloadPDF = () => {
-    if (!scanResult) return;
+    if (!scanResult || !safeOutput) return;
     const doc = new jsPDF();
     doc.setFont("courier", "normal");
     doc.setFontSize(10);
     const margin = 20;
     const pageHeight = doc.internal.pageSize.height;
-    const lines = doc.splitTextToSize(scanResult.sanitizedText, 170);
+    const lines = doc.splitTextToSize(safeOutput, 170);
     let y = margin;
     lines.forEach(line => {
       if (y > pageHeight - margin) {
@@ -350,22 +754,61 @@ export default function App() {
     doc.save(`SAFE_${scanResult.fileName.split('.')[0]}.pdf`);
   };
 
+  // Rewrites the DOCX itself rather than its text, then scans the copy to confirm nothing is left.
+  // A new file, Cancel or reset abandons it, so a late result neither shows nor downloads.
+  const downloadDOCX = async () => {
+    if (!scanResult || !file) return;
+    const source = scanResult;
+    docxControllerRef.current?.abort();
+    const controller = new AbortController();
+    docxControllerRef.current = controller;
+    setDocxClean({ source, cleaning: true });
+    try {
+      const { data, changes } = await cleanDocx(await file.arrayBuffer(), { rules, fuzzyThreshold });
+      controller.signal.throwIfAborted();
+      const result = await scanInWorker(data.slice().buffer, { fileName: file.name, format: 'docx', rules, fuzzyThreshold, riskThresholds }, { signal: controller.signal });
+      setDocxClean({ source, changes, result });
+      saveBlob(new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' }), `SAFE_${scanResult.fileName.split('.')[0]}.docx`);
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error("DOCX cleaning failed", error);
+      setDocxClean({ source, error: error.message });
+    }
+  };
+
   const reset = () => {
+    scanControllerRef.current?.abort();
+    docxControllerRef.current?.abort();
+    stopQueue();
     if (fileUrl) URL.revokeObjectURL(fileUrl);
     setFile(null);
     setFileUrl(null);
     setScanResult(null);
     setIsScanning(false);
+    setLiveIssues([]);
     setSelectedIssue(null);
+    setFocusedIssue(null);
     setRightPanel('findings');
     setMobileView('doc');
+    setQueue([]);
     if (fileInputRef.current) fileInputRef.current.value = '';
   };
 
   const isLight = theme === 'light';
+  const triageButton = cn("flex items-center justify-center gap-2 py-3 border font-black uppercase text-[10px] transition-all", isLight ? "border-zinc-200 hover:bg-zinc-50" : "border-zinc-800 hover:bg-zinc-800");
 
   return (
-    <div className={cn("h-screen w-screen flex flex-col items-center py-4 px-6 overflow-hidden transition-colors duration-300", isLight ? "bg-[#F9FAFB] text-zinc-950" : "bg-black text-white")}>
+    <div
+      onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+      onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false); }}
+      onDrop={handleDrop}
+      className={cn("h-screen w-screen flex flex-col items-center py-4 px-6 overflow-hidden transition-colors duration-300", isLight ? "bg-[#F9FAFB] text-zinc-950" : "bg-black text-white")}
+    >
+      {isDragging && (
+        <div className="fixed inset-4 z-[200] border-4 border-dashed border-[#C3FF00] bg-black/60 flex items-center justify-center pointer-events-none">
+          <p className="text-xl font-black uppercase tracking-widest text-[#C3FF00]">Drop files or folders</p>
+        </div>
+      )}
       <div className="w-full max-w-5xl h-full flex flex-col space-y-4">
         
         {/* Header */}
@@ -387,7 +830,7 @@ export default function App() {
            <div className="flex flex-wrap items-center gap-2 md:gap-4 w-full md:w-auto justify-between md:justify-end">
               {scanResult && (
                 <div className={cn("flex p-1 border transition-colors flex-1 md:flex-initial justify-center", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-zinc-900")}>
-                  {['findings', 'safe-text', 'extracted-text'].map((mode) => (
+                  {['findings', 'safe-text', 'diff', 'extracted-text'].map((mode) => (
                     <button 
                       key={mode}
                       onClick={() => { setRightPanel(mode); setMobileView('analysis'); }}
@@ -409,10 +852,15 @@ export default function App() {
                   <button onClick={() => setTheme('light')} className={cn("p-1.5 md:p-2 transition-all", isLight ? "bg-zinc-100 text-black shadow-sm" : "text-zinc-500 hover:text-zinc-300")}><Sun size={16} /></button>
                   <button onClick={() => setTheme('dark')} className={cn("p-1.5 md:p-2 transition-all", !isLight ? "bg-zinc-800 text-white shadow-sm" : "text-zinc-500 hover:text-zinc-300")}><Moon size={16} /></button>
                 </div>
+                {queue.length > 0 && scanResult && (
+                  <button onClick={closeFile} title="Back to batch" className={cn("p-2 md:p-2.5 border transition-all hover:scale-95", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-zinc-900")}><LayoutList size={18} /></button>
+                )}
+                <button onClick={() => setShowHistory(true)} title="Scan history" className={cn("p-2 md:p-2.5 border transition-all hover:scale-95", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-zinc-900")}><History size={18} /></button>
+                <button onClick={() => setShowRules(true)} title="Detection rules" className={cn("p-2 md:p-2.5 border transition-all hover:scale-95", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-zinc-900")}><ListFilter size={18} /></button>
                 <button onClick={reset} className={cn("p-2 md:p-2.5 border transition-all hover:scale-95", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-zinc-900")}><Trash2 size={18} /></button>
                 <label className={cn("p-2 md:p-2.5 border cursor-pointer flex items-center justify-center transition-all hover:scale-95", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-zinc-900")}>
                    <Upload size={18} />
-                   <input type="file" className="hidden" accept=".pdf,.docx" onChange={(e) => processFile(e.target.files[0])} />
+                   <input type="file" multiple className="hidden" accept={ACCEPTED_EXTENSIONS} onChange={(e) => { handleFiles(e.target.files); e.target.value = ''; }} />
                 </label>
               </div>
            </div>
@@ -428,9 +876,20 @@ export default function App() {
                   <img src="./logo.svg" alt="DocShit Logo" className="w-8 h-8 absolute animate-pulse-slow object-contain" />
                </div>
                <div className="text-center space-y-2">
-                  <h3 className="text-xl font-black uppercase tracking-widest">Scanning</h3>
-                  <p className="text-sm font-bold text-zinc-500">{progress}% Analyzed</p>
+                  <h3 className="text-xl font-black uppercase tracking-widest">{isReadingImages ? "Reading Images" : "Scanning"}</h3>
+                  <p className="text-sm font-bold text-zinc-500">{progress}% {isReadingImages ? "Read (local OCR)" : "Analyzed"}</p>
+                  {liveIssues.length > 0 && (
+                    <div className="pt-2 space-y-1">
+                      <p className="text-[10px] font-black uppercase tracking-widest text-red-500">{liveIssues.length} Risks so far</p>
+                      {liveIssues.slice(-3).map((issue, index) => (
+                        <p key={liveIssues.length - 3 + index} className="text-[10px] font-bold text-zinc-500 truncate max-w-[280px]">{issue.type}: {issue.detail}</p>
+                      ))}
+                    </div>
+                  )}
                </div>
+               <button onClick={reset} className={cn("flex items-center gap-2 px-4 py-2 border font-black uppercase text-[9px] md:text-[10px] transition-colors", isLight ? "border-zinc-300 hover:border-red-500 hover:text-red-500" : "border-zinc-800 hover:border-red-500 hover:text-red-500")}>
+                 <X size={14} /> Cancel
+               </button>
             </motion.div>
           ) : scanResult ? (
             <motion.div key="result" initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} className="h-full flex flex-col space-y-4">
@@ -438,26 +897,55 @@ export default function App() {
               <div className={cn("shrink-0 flex flex-col md:flex-row md:justify-between md:items-end pb-4 border-b transition-colors gap-4", isLight ? "border-zinc-200" : "border-zinc-800")}>
                 <div>
                   <p className="text-[9px] md:text-[10px] font-black uppercase tracking-widest text-zinc-500 mb-1">Source Analysis</p>
-                  <h2 className={cn("text-lg md:text-2xl font-black uppercase tracking-tight truncate max-w-[300px] md:max-w-none", scanResult.isEmpty ? "text-orange-500" : (scanResult.safe ? "text-emerald-500" : "text-red-500"))}>{scanResult.fileName}</h2>
+                  <h2 className={cn("text-lg md:text-2xl font-black uppercase tracking-tight truncate max-w-[300px] md:max-w-none", statusTone)}>{reviewed.fileName}</h2>
+                  {recalledScan && (
+                    <p className="mt-1 flex items-center gap-2 text-[9px] font-black uppercase tracking-widest text-zinc-500">
+                      <History size={12} />
+                      {recalledScan.fromHistory ? "Scanned" : "Already scanned"} on {new Date(recalledScan.scannedAt).toLocaleString()}
+                      {recalledScan.rescanned ? " with other rules, scanned again" : recalledScan.stale ? " with other rules" : ""}
+                      {recalledScan.stale && !recalledScan.rescanned && (
+                        <button onClick={() => processFile(file)} className="underline decoration-dotted underline-offset-4 hover:text-[#C3FF00]">Rescan</button>
+                      )}
+                    </p>
+                  )}
                 </div>
                 <div className="flex items-center gap-2 md:gap-4">
                    <div className={cn("border px-3 md:px-4 py-1.5 md:py-2 transition-colors flex-1 md:flex-initial md:min-w-[150px]", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-zinc-900")}>
                       <p className="text-[8px] md:text-[9px] font-black uppercase text-zinc-500 block">Status</p>
-                      <span className={cn("text-[10px] md:text-xs font-black", scanResult.isEmpty ? "text-orange-500" : (scanResult.safe ? "text-emerald-500" : "text-red-500"))}>
-                        {scanResult.isEmpty ? "Empty" : `${scanResult.issues.length} Risks`}
+                      <span className={cn("text-[10px] md:text-xs font-black", statusTone)} title={reviewed.isEmpty ? undefined : RISK_BANDS[band].summary}>
+                        {reviewed.isEmpty ? "Empty" : `${reviewed.risk.score} ${RISK_BANDS[band].label} • ${reviewed.issues.length} Risks`}
                       </span>
                    </div>
-                   {rightPanel === 'safe-text' && !scanResult.isEmpty && (
+                   {(rightPanel === 'safe-text' || rightPanel === 'diff') && !reviewed.isEmpty && (
                      <div className="flex gap-2 flex-1 md:flex-initial">
-                        <button onClick={copyToClipboard} className={cn("flex-1 md:flex-initial px-4 md:px-6 py-2 border border-[#C3FF00] font-black uppercase text-[9px] md:text-[10px] transition-all bg-[#C3FF00] text-black hover:bg-[#b0e600]", copied ? "bg-emerald-500 border-emerald-500 text-white" : "")}>
+                        <button onClick={copyToClipboard} title={chunks ? "Copy the chunks as JSONL" : undefined} className={cn("flex-1 md:flex-initial px-4 md:px-6 py-2 border border-[#C3FF00] font-black uppercase text-[9px] md:text-[10px] transition-all bg-[#C3FF00] text-black hover:bg-[#b0e600]", copied ? "bg-emerald-500 border-emerald-500 text-white" : "")}>
                           {copied ? "Copied" : "Copy"}
                         </button>
                         <button onClick={downloadTXT} className={cn("px-3 py-2 border font-black uppercase text-[9px] md:text-[10px] transition-all", isLight ? "border-zinc-200 bg-white hover:bg-zinc-50" : "border-zinc-800 bg-zinc-900 hover:bg-zinc-800")}>
-                          TXT
+                          {safeFormat === 'markdown' ? "MD" : "TXT"}
                         </button>
+                        {chunks && (
+                          <button onClick={downloadJSONL} title="One chunk per line, for RAG ingestion" className={cn("px-3 py-2 border font-black uppercase text-[9px] md:text-[10px] transition-all", isLight ? "border-zinc-200 bg-white hover:bg-zinc-50" : "border-zinc-800 bg-zinc-900 hover:bg-zinc-800")}>
+                            JSONL
+                          </button>
+                        )}
                         <button onClick={downloadPDF} className={cn("px-3 py-2 border font-black uppercase text-[9px] md:text-[10px] transition-all", isLight ? "border-zinc-200 bg-white hover:bg-zinc-50" : "border-zinc-800 bg-zinc-900 hover:bg-zinc-800")}>
                           PDF
                         </button>
+                        {previewFormat === 'docx' && (
+                          <button onClick={downloadDOCX} disabled={cleanedDocx?.cleaning} title="Cleaned copy of the Word file, formatting kept" className={cn("px-3 py-2 border font-black uppercase text-[9px] md:text-[10px] transition-all disabled:opacity-50", isLight ? "border-zinc-200 bg-white hover:bg-zinc-50" : "border-zinc-800 bg-zinc-900 hover:bg-zinc-800")}>
+                            {cleanedDocx?.cleaning ? <Loader2 size={12} className="animate-spin" /> : "DOCX"}
+                          </button>
+                        )}
+                     </div>
+                   )}
+                   {rightPanel === 'findings' && (
+                     <div className="flex gap-2 flex-1 md:flex-initial">
+                        {Object.entries(REPORT_FORMATS).map(([format, { label }]) => (
+                          <button key={format} onClick={() => downloadReport(format)} title={`Download ${label} report`} className={cn("flex-1 md:flex-initial px-3 py-2 border font-black uppercase text-[9px] md:text-[10px] transition-all", isLight ? "border-zinc-200 bg-white hover:bg-zinc-50" : "border-zinc-800 bg-zinc-900 hover:bg-zinc-800")}>
+                            {format === 'markdown' ? 'MD' : label}
+                          </button>
+                        ))}
                      </div>
                    )}
                 </div>
@@ -468,15 +956,23 @@ export default function App() {
                 <div className={cn("flex-col space-y-3 min-h-0", mobileView === 'doc' ? 'flex' : 'hidden md:flex')}>
                   <div className="flex items-center justify-between shrink-0">
                     <h2 className="text-[10px] font-black uppercase tracking-widest text-zinc-500">Document Browser</h2>
-                    <span className="text-[9px] font-black uppercase opacity-30">{file?.name.endsWith('.pdf') ? 'PDF' : 'DOCX'}</span>
+                    <span className="text-[9px] font-black uppercase opacity-30">{FILE_FORMATS[previewFormat]?.label}</span>
                   </div>
                   <div className={cn("flex-1 border overflow-hidden relative transition-colors", isLight ? "bg-white border-zinc-200" : "bg-black border-zinc-900 text-black")}>
-                    {file?.name.endsWith('.pdf') ? (
-                      <iframe key={fileUrl} src={`${fileUrl}#toolbar=0&navpanes=0`} className="w-full h-full border-none" title="PDF Preview" />
-                    ) : (
+                    {previewFormat === 'pdf' ? (
+                      <PdfViewer key={fileUrl} file={file} issues={reviewed.issues} focusedIssue={focusedIssue} onSelectIssue={setSelectedIssue} isLight={isLight} />
+                    ) : previewFormat === 'docx' ? (
                       <div className="w-full h-full overflow-auto no-scrollbar scroll-smooth">
-                        <DocxPreview file={file} theme={theme} />
+                        <DocxPreview file={file} theme={theme} issues={reviewed.issues} rawText={reviewed.rawText} focusedIssue={focusedIssue} onSelectIssue={setSelectedIssue} />
                       </div>
+                    ) : previewFormat === 'xlsx' ? (
+                      <SheetPreview key={fileUrl} file={file} issues={reviewed.issues} focusedIssue={focusedIssue} onSelectIssue={setSelectedIssue} isLight={isLight} />
+                    ) : previewFormat === 'pptx' ? (
+                      <SlidePreview key={fileUrl} file={file} issues={reviewed.issues} focusedIssue={focusedIssue} onSelectIssue={setSelectedIssue} isLight={isLight} />
+                    ) : previewFormat === 'html' ? (
+                      <HtmlPreview key={fileUrl} file={file} rawText={reviewed.rawText} issues={reviewed.issues} focusedIssue={focusedIssue} onSelectIssue={setSelectedIssue} isLight={isLight} />
+                    ) : (
+                      <TextPreview rawText={reviewed.rawText} issues={reviewed.issues} focusedIssue={focusedIssue} onSelectIssue={setSelectedIssue} isLight={isLight} />
                     )}
                   </div>
                 </div>
@@ -487,43 +983,139 @@ export default function App() {
                    </div>
                    <div className="flex-1 min-h-0">
                       <AnimatePresence mode="wait">
-                        {scanResult.isEmpty ? (
+                        {reviewed.isEmpty ? (
                           <motion.div key="empty" initial={{ opacity: 0 }} animate={{ opacity: 1 }} className={cn("h-full border border-dashed flex flex-col items-center justify-center p-8 text-center", isLight ? "border-orange-200 bg-orange-50/30" : "border-orange-900/30 bg-orange-500/5")}>
                              <ScanEye size={48} className="text-orange-500 mb-6" />
                              <h3 className="text-sm font-black uppercase text-orange-500 mb-2">OCR Failure / Image Data</h3>
                              <p className="text-[10px] font-bold text-zinc-500 max-w-[240px] leading-relaxed">
-                               This document contains no selectable text. It likely consists of <span className="text-orange-500">handwritten notes</span>, <span className="text-orange-500">scanned images</span>, or vectors. Sanitization cannot be performed.
+                               This document contains no selectable text and local OCR could not read any. It likely consists of <span className="text-orange-500">handwritten notes</span>, <span className="text-orange-500">poor-quality scans</span>, or vectors. Sanitization cannot be performed.
                              </p>
                           </motion.div>
                         ) : rightPanel === 'findings' ? (
                           <motion.div key="findings" initial={{ opacity: 0, x: 10 }} animate={{ opacity: 1, x: 0 }} exit={{ opacity: 0, x: -10 }} className="h-full overflow-y-auto no-scrollbar space-y-2">
-                             {scanResult.issues.length > 0 ? scanResult.issues.map((issue, idx) => (
-                               <div key={idx} onClick={() => setSelectedIssue(issue)} className={cn("p-3 border flex items-center justify-between cursor-pointer transition-all group", isLight ? "border-zinc-200 bg-white hover:border-zinc-300" : "border-zinc-800 bg-zinc-900/50 hover:border-zinc-700")}>
-                                  <div className="flex items-center gap-4 min-w-0">
-                                     <div className={cn("w-10 h-10 flex items-center justify-center shrink-0", issue.severity === 'high' ? "bg-red-500/10 text-red-500" : "bg-orange-500/10 text-orange-500")}><ShieldAlert size={16} /></div>
-                                     <div className="truncate">
-                                        <h4 className="text-[11px] font-black uppercase truncate">{issue.detail}</h4>
-                                        <span className="text-[8px] font-black opacity-50 uppercase tracking-widest">{issue.type} • P{issue.page}</span>
-                                     </div>
-                                  </div>
-                                  <ChevronRight className="w-4 h-4 opacity-50 group-hover:translate-x-1 transition-transform" />
-                               </div>
-                             )) : (
-                               <div className={cn("h-full flex flex-col items-center justify-center border-2 border-dashed transition-colors", isLight ? "border-zinc-200" : "border-zinc-800")}><CheckCircle2 size={32} className="text-emerald-500 mb-4" /><h3 className="font-black text-sm uppercase opacity-50">Safe</h3></div>
+                             {reviewed.issues.length > 0 ? (
+                               <>
+                                 <RiskBreakdown risk={reviewed.risk} band={band} isLight={isLight} />
+                                 {reviewed.issues.filter(issue => !isStructuralIssue(issue)).map(renderIssueRow)}
+                                 {reviewed.issues.some(isStructuralIssue) && (
+                                   <>
+                                     <h3 className="flex items-center gap-2 pt-4 pb-1 text-[10px] font-black uppercase tracking-widest text-zinc-500"><Boxes size={12} /> Structure</h3>
+                                     {reviewed.issues.filter(isStructuralIssue).map(renderIssueRow)}
+                                   </>
+                                 )}
+                               </>
+                             ) : (
+                               <div className={cn("flex flex-col items-center justify-center border-2 border-dashed transition-colors", reviewed === scanResult ? "h-full" : "py-12", isLight ? "border-zinc-200" : "border-zinc-800")}><CheckCircle2 size={32} className="text-emerald-500 mb-4" /><h3 className="font-black text-sm uppercase opacity-50">Safe</h3></div>
                              )}
+                             <TriageSummary dismissed={reviewed.dismissed} redactions={reviewed.redactions} onRestore={restoreIssue} onRemoveRedaction={removeRedaction} onSelect={setSelectedIssue} isLight={isLight} />
                           </motion.div>
                         ) : rightPanel === 'safe-text' ? (
                           <motion.div key="safe" initial={{ opacity: 0, x: 10 }} animate={{ opacity: 1, x: 0 }} exit={{ opacity: 0, x: -10 }} className="h-full flex flex-col space-y-3">
-                             <div className={cn("flex-1 p-4 border font-mono text-[11px] leading-relaxed overflow-y-auto no-scrollbar transition-colors", isLight ? "border-zinc-200 bg-white text-zinc-600" : "border-zinc-800 bg-zinc-950 text-emerald-400/80")}>
-                                {scanResult.sanitizedText}
+                             <div className={cn("flex p-1 border shrink-0 transition-colors", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-zinc-900")}>
+                                {Object.entries(SANITIZE_POLICIES).map(([policy, { label, description }]) => (
+                                  <button
+                                    key={policy}
+                                    onClick={() => setSanitizePolicy(policy)}
+                                    title={description}
+                                    className={cn("flex-1 px-2 py-1.5 text-[8px] md:text-[9px] font-black uppercase tracking-widest transition-all", sanitizePolicy === policy ? "bg-[#C3FF00] text-black" : "text-zinc-500 hover:text-zinc-300")}
+                                  >
+                                    {label}
+                                  </button>
+                                ))}
+                             </div>
+                             <div className="flex gap-2 shrink-0">
+                                <div className={cn("flex flex-1 p-1 border transition-colors", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-zinc-900")}>
+                                   {[['text', 'Plain Text'], ['markdown', 'Markdown']].map(([format, label]) => (
+                                     <button
+                                       key={format}
+                                       onClick={() => setSafeFormat(format)}
+                                       className={cn("flex-1 px-2 py-1.5 text-[8px] md:text-[9px] font-black uppercase tracking-widest transition-all", safeFormat === format ? "bg-[#C3FF00] text-black" : "text-zinc-500 hover:text-zinc-300")}
+                                     >
+                                       {label}
+                                     </button>
+                                   ))}
+                                </div>
+                                <button
+                                  onClick={() => setChunking({ ...chunking, enabled: !chunking.enabled })}
+                                  title="Split the output into overlapping chunks for RAG"
+                                  className={cn("px-3 border text-[8px] md:text-[9px] font-black uppercase tracking-widest transition-all", chunking.enabled ? "bg-[#C3FF00] border-[#C3FF00] text-black" : (isLight ? "border-zinc-200 bg-white text-zinc-500" : "border-zinc-800 bg-zinc-900 text-zinc-500 hover:text-zinc-300"))}
+                                >
+                                  Chunks
+                                </button>
                              </div>
+                             {safeOutput === null ? (
+                               <div className={cn("flex-1 flex items-center justify-center gap-2 border text-[9px] font-black uppercase text-zinc-500", isLight ? "border-zinc-200" : "border-zinc-800")}>
+                                 <Loader2 size={14} className="animate-spin" /> Converting to Markdown
+                               </div>
+                             ) : chunks ? (
+                               <ChunkView chunks={chunks} chunking={chunking} onChange={(next) => setChunking({ ...next, enabled: true })} isLight={isLight} />
+                             ) : (
+                               <div className={cn("flex-1 p-4 border font-mono text-[11px] leading-relaxed overflow-y-auto no-scrollbar whitespace-pre-wrap transition-colors", isLight ? "border-zinc-200 bg-white text-zinc-600" : "border-zinc-800 bg-zinc-950 text-emerald-400/80")}>
+                                  {safeOutput}
+                               </div>
+                             )}
                              <div className={cn("p-3 border border-dashed text-[8px] font-black uppercase leading-tight", isLight ? "bg-emerald-50 border-emerald-200 text-emerald-700" : "bg-emerald-500/5 border-emerald-900/30 text-emerald-500")}>
-                                Hijacking risks and hidden gaps neutralized. Ready for LLM input.
+                                {safeFormat === 'markdown' && usesDocxMarkdown
+                                  ? "Markdown from the cleaned Word file: hidden runs deleted, flagged phrases redacted"
+                                  : SANITIZE_POLICIES[sanitizePolicy].description}. Ready for LLM input.
+                                {safeOutput && ` ~${estimateTokens(safeOutput)} tokens${chunks ? ` in ${chunks.length} chunks` : ''}.`}
+                                {revertCount > 0 && ` ${revertCount} change${revertCount > 1 ? 's' : ''} reverted in the diff.`}
                              </div>
+                             {cleanedDocx && !cleanedDocx.cleaning && (
+                               <div className={cn("p-3 border text-[8px] font-black uppercase leading-tight space-y-1", cleanedDocx.result && cleanedDocx.result.issues.length === 0 ? (isLight ? "border-emerald-200 text-emerald-700" : "border-emerald-900/30 text-emerald-500") : (isLight ? "border-orange-200 text-orange-600" : "border-orange-900/40 text-orange-400"))}>
+                                 {cleanedDocx.error ? (
+                                   <p>Cleaned DOCX failed: {cleanedDocx.error}</p>
+                                 ) : (
+                                   <>
+                                     <p>
+                                       Cleaned DOCX re-scanned: {cleanedDocx.result.issues.length === 0 ? "no risks left" : `score ${cleanedDocx.result.risk.score}, ${cleanedDocx.result.issues.length} risks left`}
+                                     </p>
+                                     <p className="opacity-60">
+                                       {cleanedDocx.changes.revisions} revisions accepted • {cleanedDocx.changes.hiddenRuns} hidden runs deleted • {cleanedDocx.changes.redactions} phrases redacted • {cleanedDocx.changes.unicodeRuns} runs de-obfuscated • {cleanedDocx.changes.comments} comments and {cleanedDocx.changes.properties} properties stripped
+                                     </p>
+                                     {cleanedDocx.result.issues.slice(0, 3).map(issue => (
+                                       <p key={issue.id} className="truncate normal-case">{issue.type}: {issue.detail}</p>
+                                     ))}
+                                   </>
+                                 )}
+                               </div>
+                             )}
+                          </motion.div>
+                        ) : rightPanel === 'diff' ? (
+                          <motion.div key="diff" initial={{ opacity: 0, x: 10 }} animate={{ opacity: 1, x: 0 }} exit={{ opacity: 0, x: -10 }} className="h-full flex flex-col space-y-3">
+                             {diff ? (
+                               <DiffView
+                                 segments={diff}
+                                 reverted={revertCount > 0 ? reverts.changes : []}
+                                 onChange={(changes) => setReverts({ base: generatedOutput, changes })}
+                                 issues={[...reviewed.issues, ...(reviewed.redactions || [])]}
+                                 parts={reviewed.parts}
+                                 isLight={isLight}
+                               />
+                             ) : (
+                               <div className={cn("flex-1 flex items-center justify-center gap-2 border text-[9px] font-black uppercase text-zinc-500", isLight ? "border-zinc-200" : "border-zinc-800")}>
+                                 <Loader2 size={14} className="animate-spin" /> Converting to Markdown
+                               </div>
+                             )}
+                             <p className="shrink-0 text-[8px] font-black uppercase text-zinc-500 leading-tight">
+                               Extracted text against the {safeFormat === 'markdown' ? "Markdown" : "plain text"} output of the {SANITIZE_POLICIES[sanitizePolicy].label} policy. Reverted changes carry over to Copy and every download.
+                             </p>
                           </motion.div>
                         ) : (
-                          <motion.div key="proof" initial={{ opacity: 0, x: 10 }} animate={{ opacity: 1, x: 0 }} exit={{ opacity: 0, x: -10 }} className={cn("h-full border p-4 font-mono text-[11px] overflow-y-auto no-scrollbar whitespace-pre-wrap transition-colors leading-relaxed", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-zinc-900", "text-zinc-500")}>
-                             {highlightRiskyText(scanResult.rawText, scanResult.issues)}
+                          <motion.div key="proof" initial={{ opacity: 0, x: 10 }} animate={{ opacity: 1, x: 0 }} exit={{ opacity: 0, x: -10 }} className="h-full flex flex-col space-y-2">
+                             <div className="shrink-0 flex items-center justify-between gap-2 min-h-[28px] text-[9px] font-black uppercase text-zinc-500">
+                               {selection ? (
+                                 <>
+                                   <span className="truncate normal-case">"{reviewed.rawText.slice(selection.start, selection.end)}"</span>
+                                   <button onClick={redactSelection} className="shrink-0 flex items-center gap-2 px-3 py-1.5 bg-[#C3FF00] text-black"><Eraser size={12} /> Redact selection</button>
+                                 </>
+                               ) : (
+                                 <span>Select text to redact it by hand</span>
+                               )}
+                             </div>
+                             <div ref={proofRef} onMouseUp={readProofSelection} onKeyUp={readProofSelection} className={cn("flex-1 min-h-0 border p-4 font-mono text-[11px] overflow-y-auto no-scrollbar whitespace-pre-wrap transition-colors leading-relaxed", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-zinc-900", "text-zinc-500")}>
+                               {highlightRiskyText(reviewed.rawText, [...reviewed.issues, ...(reviewed.redactions || [])])}
+                             </div>
                           </motion.div>
                         )}
                       </AnimatePresence>
@@ -531,6 +1123,10 @@ export default function App() {
                 </div>
               </div>
             </motion.div>
+          ) : queue.length > 0 ? (
+            <motion.div key="batch" initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} className="h-full">
+              <BatchDashboard entries={queue} riskThresholds={riskThresholds} onOpen={openEntry} onExport={exportZip} onExportReport={exportBatchReport} isLight={isLight} />
+            </motion.div>
           ) : (
             <motion.div key="home" initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="h-full flex items-center justify-center">
                <div className="max-w-md w-full text-center space-y-8">
@@ -542,9 +1138,10 @@ export default function App() {
                      </div>
                   </div>
                   <label className={cn("flex items-center justify-center gap-3 w-full py-5 border-2 border-[#C3FF00] cursor-pointer transition-all active:scale-95 font-black text-xs uppercase tracking-widest bg-[#C3FF00] text-black hover:bg-[#b0e600]")}>
-                     <Upload size={18} /><span>Upload File</span>
-                     <input type="file" className="hidden" accept=".pdf,.docx" onChange={(e) => processFile(e.target.files[0])} />
+                     <Upload size={18} /><span>Upload Files</span>
+                     <input type="file" multiple className="hidden" accept={ACCEPTED_EXTENSIONS} onChange={(e) => { handleFiles(e.target.files); e.target.value = ''; }} />
                   </label>
+                  <p className="text-[9px] font-black uppercase tracking-widest opacity-40 -mt-4">or drop files and folders anywhere</p>
                   <div className="grid grid-cols-2 gap-4">
                      <div className={cn("p-4 border text-left transition-colors", isLight ? "border-zinc-200 bg-zinc-50" : "border-zinc-800 bg-zinc-900")}>
                         <h4 className="text-[9px] font-black mb-1 uppercase opacity-50">Deep Scan</h4>
@@ -579,9 +1176,9 @@ export default function App() {
                       <img src="./logo.svg" alt="DS" className="w-12 h-12 object-contain" />
                       <div>
                          <span className={cn("text-[8px] font-black uppercase border px-2 py-0.5", isLight ? "border-zinc-200 text-zinc-400" : "border-zinc-700 text-zinc-500")}>
-                           {selectedIssue.type} • P{selectedIssue.page}
+                           {selectedIssue.type} • {issueLocation(selectedIssue)}
                          </span>
-                         <h2 className="text-xl font-black uppercase mt-1 text-red-500">Threat Fragment</h2>
+                         <h2 className="text-xl font-black uppercase mt-1 text-red-500">{selectedIssue.manual ? "Manual Redaction" : "Threat Fragment"}</h2>
                       </div>
                    </div>
                    <button onClick={() => setSelectedIssue(null)} className="text-zinc-500 hover:text-red-500 transition-colors"><X size={20} /></button>
@@ -589,7 +1186,70 @@ export default function App() {
                 <div className={cn("p-4 border font-mono text-xs whitespace-pre-wrap overflow-auto max-h-40 transition-colors", isLight ? "bg-zinc-50 border-zinc-200 text-red-600" : "bg-black border-zinc-800 text-red-400")}>
                   "{selectedIssue.context}"
                 </div>
-                <button onClick={() => setSelectedIssue(null)} className={cn("w-full py-4 border-2 border-[#C3FF00] font-black uppercase text-xs transition-all bg-[#C3FF00] text-black hover:bg-[#b0e600]")}>Close</button>
+                {selectedIssue.matched && (
+                  <div className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-[10px] font-mono">
+                    <span className="font-black uppercase text-zinc-500">Original</span>
+                    <span className="break-all whitespace-pre-wrap">{JSON.stringify(selectedIssue.matched)}</span>
+                    <span className="font-black uppercase text-zinc-500">Normalized</span>
+                    <span className="break-all">{selectedIssue.normalized}{selectedIssue.distance > 0 && ` (${selectedIssue.distance} edit${selectedIssue.distance > 1 ? 's' : ''} from the rule)`}</span>
+                  </div>
+                )}
+                {selectedIssue.decoded && (
+                  <p className="text-[10px] font-mono flex gap-4">
+                    <span className="shrink-0 font-black uppercase text-zinc-500">Decoded</span>
+                    <span className="break-all whitespace-pre-wrap max-h-24 overflow-auto">{selectedIssue.decoded}</span>
+                  </p>
+                )}
+                {isOcrIssue(selectedIssue) && (
+                  <p className="text-[10px] font-mono">
+                    <span className="font-black uppercase text-zinc-500 mr-4">OCR</span>
+                    Read from an image with {selectedIssue.ocrConfidence}% confidence; the text may differ from what the image shows.
+                  </p>
+                )}
+                {selectedIssue.manual ? (
+                  <button onClick={() => removeRedaction(selectedIssue)} className={cn(triageButton, "w-full")}><EyeOff size={14} /> Keep this text</button>
+                ) : (
+                  <div className="grid grid-cols-2 gap-2">
+                    <button onClick={() => ignoreIssue(selectedIssue)} className={triageButton}><EyeOff size={14} /> False positive</button>
+                    {selectedIssue.ranges && (
+                      <button onClick={() => toggleRedaction(selectedTriaged)} className={cn(triageButton, isFlaggedIssue(selectedTriaged) && "border-[#C3FF00]")}>
+                        <Eraser size={14} /> {isFlaggedIssue(selectedTriaged) ? "Keep text" : "Redact"}
+                      </button>
+                    )}
+                    {findingPhrase(selectedIssue, scanResult.rawText) && (
+                      <button onClick={() => allowPhrase(selectedIssue)} title="Never flag this phrase again, in any document" className={triageButton}><BadgeCheck size={14} /> Always allow phrase</button>
+                    )}
+                    <button onClick={() => trustDocument(selectedIssue)} title="Dismiss every finding in this document" className={triageButton}><ShieldCheck size={14} /> Always allow document</button>
+                  </div>
+                )}
+                <div className="flex gap-2">
+                  {selectedIssue.ranges && (
+                    <button onClick={() => showInProof(selectedIssue)} className={cn("flex-1 flex items-center justify-center gap-2 py-4 border-2 font-black uppercase text-xs transition-all", isLight ? "border-zinc-200 hover:bg-zinc-50" : "border-zinc-800 hover:bg-zinc-800")}><Crosshair size={14} /> Show in Proof</button>
+                  )}
+                  <button onClick={() => setSelectedIssue(null)} className={cn("flex-1 py-4 border-2 border-[#C3FF00] font-black uppercase text-xs transition-all bg-[#C3FF00] text-black hover:bg-[#b0e600]")}>Close</button>
+                </div>
+             </motion.div>
+          </div>
+        )}
+        </AnimatePresence>
+
+        <AnimatePresence>
+        {showRules && (
+          <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+             <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="absolute inset-0 bg-black/60 backdrop-blur-md" onClick={() => setShowRules(false)} />
+             <motion.div initial={{ opacity: 0, scale: 0.95 }} animate={{ opacity: 1, scale: 1 }} exit={{ opacity: 0, scale: 0.95 }} className={cn("relative w-full max-w-3xl max-h-[85vh] flex flex-col p-6 md:p-8 border shadow-2xl transition-colors", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-zinc-900")}>
+                <RulesEditor rules={rules} fuzzyThreshold={fuzzyThreshold} riskThresholds={riskThresholds} onSave={saveRules} onClose={() => setShowRules(false)} isLight={isLight} />
+             </motion.div>
+          </div>
+        )}
+        </AnimatePresence>
+
+        <AnimatePresence>
+        {showHistory && (
+          <div className="fixed inset-0 z-[100] flex items-center justify-center p-4">
+             <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="absolute inset-0 bg-black/60 backdrop-blur-md" onClick={() => setShowHistory(false)} />
+             <motion.div initial={{ opacity: 0, scale: 0.95 }} animate={{ opacity: 1, scale: 1 }} exit={{ opacity: 0, scale: 0.95 }} className={cn("relative w-full max-w-3xl max-h-[85vh] flex flex-col p-6 md:p-8 border shadow-2xl transition-colors", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-zinc-900")}>
+                <HistoryPanel ruleset={rulesetId} riskThresholds={riskThresholds} onOpen={openHistoryScan} onClose={() => setShowHistory(false)} isLight={isLight} />
              </motion.div>
           </div>
         )}
@@ -606,6 +1266,9 @@ export default function App() {
         .docx-render p, .docx-render span, .docx-render h1, .docx-render h2, .docx-render h3 { color: inherit !important; }
         @keyframes pulse-slow { 0%, 100% { opacity: 1; } 50% { opacity: 0.7; } }
         .animate-pulse-slow { animation: pulse-slow 2s cubic-bezier(0.4, 0, 0.6, 1) infinite; }
+        .docx-render mark.docshit-flag { background: rgba(239, 68, 68, 0.25) !important; color: inherit; border-bottom: 2px solid #ef4444; cursor: pointer; }
+        .docx-render mark.docshit-hidden { color: #dc2626 !important; font-size: 10pt !important; outline: 1px dashed #dc2626; background: repeating-linear-gradient(45deg, rgba(239, 68, 68, 0.2) 0 4px, transparent 4px 8px) !important; }
+        .docx-render mark.docshit-focused { outline: 3px solid #C3FF00; animation: pulse-slow 1s cubic-bezier(0.4, 0, 0.6, 1) infinite; }
       `}} />
     </div>
   );
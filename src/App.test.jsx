@@ -0,0 +1,10 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { renderToString } from 'react-dom/server';
+import App from './App.jsx';
+
+describe('App', () => {
+  it('renders the upload screen without throwing', () => {
+    expect(renderToString(<App />)).toContain('DocShit');
+  });
+});
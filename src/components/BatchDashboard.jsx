@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp, FileArchive, Loader2, ChevronRight } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { severityCounts, sortEntries, BAND_TONES } from '../lib/batch';
+import { REPORT_FORMATS, RISK_BANDS, riskBand } from '../lib/scanner';
+
+const COLUMNS = [
+  { key: 'name', label: 'File' },
+  { key: 'status', label: 'Status' },
+  { key: 'score', label: 'Score' },
+  { key: 'risks', label: 'Risks' },
+  { key: 'high', label: 'High / Med / Low' }
+];
+
+const statusLabel = (entry, riskThresholds) => {
+  if (entry.status === 'queued') return { text: 'Queued', tone: 'text-zinc-500' };
+  if (entry.status === 'scanning') return { text: `${entry.progress}%`, tone: 'text-[#C3FF00]' };
+  if (entry.status === 'error') return { text: 'Error', tone: 'text-red-500' };
+  if (entry.result.isEmpty) return { text: 'Empty / OCR', tone: 'text-orange-500' };
+  const band = riskBand(entry.result.risk.score, riskThresholds);
+  return { text: RISK_BANDS[band].label, tone: BAND_TONES[band] };
+};
+
+export default function BatchDashboard({ entries, riskThresholds, onOpen, onExport, onExportReport, isLight }) {
+  const [sort, setSort] = useState({ key: 'status', direction: 'asc' });
+  const done = entries.filter(entry => entry.status === 'done');
+  const risky = done.filter(entry => !entry.result.isEmpty && riskBand(entry.result.risk.score, riskThresholds) !== 'low');
+  const pending = entries.filter(entry => entry.status === 'queued' || entry.status === 'scanning').length;
+
+  const toggleSort = (key) => setSort(current => ({
+    key,
+    direction: current.key === key && current.direction === 'asc' ? 'desc' : 'asc'
+  }));
+
+  return (
+    <div className="h-full flex flex-col space-y-4">
+      <div className={cn("shrink-0 flex flex-col md:flex-row md:justify-between md:items-end pb-4 border-b gap-4", isLight ? "border-zinc-200" : "border-zinc-800")}>
+        <div>
+          <p className="text-[9px] md:text-[10px] font-black uppercase tracking-widest text-zinc-500 mb-1">Batch Analysis</p>
+          <h2 className="text-lg md:text-2xl font-black uppercase tracking-tight">
+            {done.length} / {entries.length} Scanned
+            {risky.length > 0 && <span className="text-red-500"> • {risky.length} Risky</span>}
+          </h2>
+        </div>
+        <div className="flex items-center gap-2">
+          {pending > 0 && <Loader2 size={16} className="animate-spin text-[#C3FF00]" />}
+          {Object.entries(REPORT_FORMATS).map(([format, { label }]) => (
+            <button
+              key={format}
+              onClick={() => onExportReport(format)}
+              disabled={done.length === 0}
+              title={`Download ${label} report for every scanned file`}
+              className={cn("px-3 py-2 border font-black uppercase text-[9px] md:text-[10px] transition-all", isLight ? "border-zinc-200 bg-white hover:bg-zinc-50" : "border-zinc-800 bg-zinc-900 hover:bg-zinc-800", done.length === 0 && "opacity-40 pointer-events-none")}
+            >
+              {format === 'markdown' ? 'MD' : label}
+            </button>
+          ))}
+          <button
+            onClick={onExport}
+            disabled={done.length === 0}
+            className={cn("flex items-center gap-2 px-4 md:px-6 py-2 border border-[#C3FF00] font-black uppercase text-[9px] md:text-[10px] transition-all bg-[#C3FF00] text-black hover:bg-[#b0e600]", done.length === 0 && "opacity-40 pointer-events-none")}
+          >
+            <FileArchive size={14} /> Export ZIP
+          </button>
+        </div>
+      </div>
+
+      <div className={cn("flex-1 min-h-0 overflow-y-auto no-scrollbar border", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-zinc-900/50")}>
+        <table className="w-full text-left">
+          <thead className={cn("sticky top-0 text-[8px] md:text-[9px] font-black uppercase tracking-widest", isLight ? "bg-zinc-50" : "bg-zinc-900")}>
+            <tr>
+              {COLUMNS.map(({ key, label }) => (
+                <th key={key} className="px-3 py-2">
+                  <button onClick={() => toggleSort(key)} className={cn("flex items-center gap-1 uppercase", sort.key === key ? "text-[#C3FF00]" : "text-zinc-500 hover:text-zinc-300")}>
+                    {label}
+                    {sort.key === key && (sort.direction === 'asc' ? <ArrowUp size={10} /> : <ArrowDown size={10} />)}
+                  </button>
+                </th>
+              ))}
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {sortEntries(entries, sort, riskThresholds).map(entry => {
+              const status = statusLabel(entry, riskThresholds);
+              const counts = severityCounts(entry.result?.issues);
+              return (
+                <tr
+                  key={entry.id}
+                  onClick={() => entry.status === 'done' && onOpen(entry)}
+                  title={entry.error || undefined}
+                  className={cn("border-t text-[10px] md:text-[11px] font-bold transition-colors", isLight ? "border-zinc-100" : "border-zinc-800", entry.status === 'done' && (isLight ? "cursor-pointer hover:bg-zinc-50" : "cursor-pointer hover:bg-zinc-800/50"))}
+                >
+                  <td className="px-3 py-2 truncate max-w-[240px]">{entry.file.name}</td>
+                  <td className={cn("px-3 py-2 font-black uppercase", status.tone)}>{status.text}</td>
+                  <td className={cn("px-3 py-2", status.tone)}>{entry.result && !entry.result.isEmpty ? entry.result.risk.score : '—'}</td>
+                  <td className="px-3 py-2">{entry.result ? entry.result.issues.length : '—'}</td>
+                  <td className="px-3 py-2">
+                    {entry.result ? (
+                      <span><span className="text-red-500">{counts.high}</span> / <span className="text-orange-500">{counts.medium}</span> / <span className="text-zinc-500">{counts.low}</span></span>
+                    ) : '—'}
+                  </td>
+                  <td className="px-3 py-2 w-6">{entry.status === 'done' && <ChevronRight size={14} className="opacity-50" />}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
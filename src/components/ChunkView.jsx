@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import { cn } from '../lib/utils';
+import { validateChunking } from '../lib/scanner';
+
+// Chunk size and overlap settings above the chunks they produce, each with its token estimate
+export default function ChunkView({ chunks, chunking, onChange, isLight }) {
+  const [draft, setDraft] = useState(chunking);
+  const error = validateChunking(draft);
+
+  const update = (changes) => {
+    const next = { ...draft, ...changes };
+    setDraft(next);
+    if (!validateChunking(next)) onChange(next);
+  };
+
+  const field = cn("w-16 border px-2 py-1 text-[10px] font-bold outline-none transition-colors focus:border-[#C3FF00]", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-black");
+
+  return (
+    <div className="flex-1 min-h-0 flex flex-col space-y-2">
+      <div className="shrink-0 flex flex-wrap items-center gap-3 text-[9px] font-black uppercase text-zinc-500">
+        <label className="flex items-center gap-2">
+          Size <input type="number" min="32" step="32" value={draft.size} onChange={(e) => update({ size: Number(e.target.value) })} className={field} /> tokens
+        </label>
+        <label className="flex items-center gap-2">
+          Overlap <input type="number" min="0" step="8" value={draft.overlap} onChange={(e) => update({ overlap: Number(e.target.value) })} className={field} />
+        </label>
+        {error && <span className="text-red-500 normal-case">{error}</span>}
+      </div>
+      <div className="flex-1 overflow-y-auto no-scrollbar space-y-2">
+        {chunks.map(chunk => (
+          <div key={chunk.index} className={cn("border transition-colors", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-zinc-950")}>
+            <div className={cn("flex justify-between px-3 py-1.5 border-b text-[8px] font-black uppercase tracking-widest text-zinc-500", isLight ? "border-zinc-200" : "border-zinc-800")}>
+              <span>Chunk {chunk.index + 1} / {chunks.length}</span>
+              <span>~{chunk.tokens} tokens</span>
+            </div>
+            <p className={cn("p-3 font-mono text-[11px] leading-relaxed whitespace-pre-wrap", isLight ? "text-zinc-600" : "text-emerald-400/80")}>{chunk.text}</p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
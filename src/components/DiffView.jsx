@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { ChevronLeft, ChevronRight, Undo2, Check } from 'lucide-react';
+import { cn } from '../lib/utils';
+
+const scrollIntoView = (node) => node?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+const overlaps = (change, { start, end }) => change.start === change.end
+  ? start <= change.start && change.start <= end
+  : start < change.end && change.start < end;
+
+// Why the sanitizer made a change: the findings it covers, a dropped part, or its own additions
+const describeChange = (change, issues, parts) => {
+  const types = [...new Set(issues.filter(issue => (issue.ranges || []).some(range => overlaps(change, range))).map(issue => issue.type))];
+  if (types.length > 0) return types.join(', ');
+  const dropped = (parts || []).find(part => !part.included && overlaps(change, part));
+  if (dropped) return `${dropped.label} dropped`;
+  return change.before ? 'Unicode cleanup' : 'Added by the sanitizer';
+};
+
+// Inline diff of the extracted text against the safe output. Each change can be reverted to the
+// extracted text (or accepted again); `reverted` lists the reverted change numbers.
+export default function DiffView({ segments, reverted, onChange, issues, parts, isLight }) {
+  const [focused, setFocused] = useState(0);
+  const changes = segments.filter(segment => segment.text === undefined);
+  const current = changes[Math.min(focused, changes.length - 1)];
+  const isReverted = (change) => reverted.includes(change.change);
+
+  const move = (step) => setFocused((current.change + step + changes.length) % changes.length);
+  const toggle = (change) => onChange(isReverted(change) ? reverted.filter(n => n !== change.change) : [...reverted, change.change]);
+
+  const tool = cn("flex items-center gap-1 px-2 py-1 border font-black uppercase text-[9px] transition-all disabled:opacity-40", isLight ? "border-zinc-200 bg-white hover:bg-zinc-50" : "border-zinc-800 bg-zinc-900 hover:bg-zinc-800");
+
+  return (
+    <div className="flex-1 min-h-0 flex flex-col space-y-2">
+      <div className="shrink-0 flex flex-wrap items-center gap-2 text-[9px] font-black uppercase text-zinc-500">
+        {current ? (
+          <>
+            <button onClick={() => move(-1)} title="Previous change" className={tool}><ChevronLeft size={12} /></button>
+            <span>Change {current.change + 1} / {changes.length}</span>
+            <button onClick={() => move(1)} title="Next change" className={tool}><ChevronRight size={12} /></button>
+            <span className="flex-1 min-w-0 truncate normal-case">{describeChange(current, issues, parts)}</span>
+            <button onClick={() => toggle(current)} className={cn(tool, !isReverted(current) && "border-[#C3FF00]")}>
+              {isReverted(current) ? <><Check size={12} /> Accept</> : <><Undo2 size={12} /> Revert</>}
+            </button>
+            <button onClick={() => onChange([])} disabled={reverted.length === 0} className={tool}>Accept all</button>
+            <button onClick={() => onChange(changes.map(change => change.change))} disabled={reverted.length === changes.length} className={tool}>Revert all</button>
+          </>
+        ) : (
+          <span>No changes: the safe output is the extracted text as is</span>
+        )}
+      </div>
+      <div className={cn("flex-1 min-h-0 p-4 border font-mono text-[11px] leading-relaxed overflow-y-auto no-scrollbar whitespace-pre-wrap transition-colors", isLight ? "border-zinc-200 bg-white text-zinc-600" : "border-zinc-800 bg-zinc-950 text-zinc-400")}>
+        {segments.map((segment, index) => {
+          if (segment.text !== undefined) return <span key={index}>{segment.text}</span>;
+          const isFocused = segment === current;
+          const undone = isReverted(segment);
+          return (
+            <span
+              key={index}
+              ref={isFocused ? scrollIntoView : undefined}
+              onClick={() => setFocused(segment.change)}
+              title={describeChange(segment, issues, parts)}
+              className={cn("cursor-pointer rounded-sm transition-colors", isFocused && "outline outline-2 outline-[#C3FF00]")}
+            >
+              {segment.before && (
+                <del className={cn("no-underline", undone ? "bg-zinc-500/20 outline-1 outline-dashed outline-zinc-500" : "bg-red-500/20 text-red-500 line-through")}>{segment.before}</del>
+              )}
+              {segment.after && (
+                <ins className={cn("no-underline", undone ? "line-through opacity-40" : "bg-emerald-500/20 text-emerald-500")}>{segment.after}</ins>
+              )}
+            </span>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
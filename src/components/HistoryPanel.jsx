@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from 'react';
+import { X, Trash2, History, ShieldOff } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { BAND_TONES } from '../lib/batch';
+import { listScans, deleteScan, clearHistory } from '../lib/history';
+import { riskBand, FILE_FORMATS, RISK_BANDS } from '../lib/scanner';
+
+const formatDate = (iso) => iso ? new Date(iso).toLocaleString() : '—';
+
+const formatSize = (bytes) => {
+  if (!Number.isFinite(bytes)) return '—';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const loadScans = (setScans, setError) =>
+  listScans().then(setScans, (e) => setError(e?.message || 'History is unavailable in this browser'));
+
+// Past scans from this browser's IndexedDB, newest first. Scans made with other rules than the
+// current ones are marked, since reopening them shows the old findings.
+export default function HistoryPanel({ ruleset, riskThresholds, onOpen, onClose, isLight }) {
+  const [scans, setScans] = useState(null);
+  const [error, setError] = useState(null);
+  const [confirmWipe, setConfirmWipe] = useState(false);
+
+  const refresh = () => loadScans(setScans, setError);
+
+  useEffect(() => {
+    loadScans(setScans, setError);
+  }, []);
+
+  const remove = async (sha256) => {
+    await deleteScan(sha256);
+    refresh();
+  };
+
+  const wipe = async () => {
+    if (!confirmWipe) {
+      setConfirmWipe(true);
+      return;
+    }
+    await clearHistory();
+    setConfirmWipe(false);
+    refresh();
+  };
+
+  const toolButton = cn("flex items-center gap-2 px-3 py-2 border font-black uppercase text-[9px] transition-all", isLight ? "border-zinc-200 bg-white hover:bg-zinc-50" : "border-zinc-800 bg-zinc-900 hover:bg-zinc-800");
+
+  return (
+    <div className="flex-1 min-h-0 flex flex-col space-y-4">
+      <div className="flex justify-between items-start shrink-0">
+        <div>
+          <span className={cn("text-[8px] font-black uppercase border px-2 py-0.5", isLight ? "border-zinc-200 text-zinc-400" : "border-zinc-700 text-zinc-500")}>
+            {scans ? `${scans.length} scans • stored in this browser only` : 'Loading'}
+          </span>
+          <h2 className="text-xl font-black uppercase mt-1">Scan History</h2>
+        </div>
+        <button onClick={onClose} className="text-zinc-500 hover:text-red-500 transition-colors"><X size={20} /></button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 shrink-0">
+        <button onClick={wipe} disabled={!scans?.length} onBlur={() => setConfirmWipe(false)} className={cn(toolButton, confirmWipe && "border-red-500 text-red-500", !scans?.length && "opacity-40 pointer-events-none")}>
+          <ShieldOff size={14} /> {confirmWipe ? "Click again to wipe everything" : "Wipe All History"}
+        </button>
+      </div>
+      {error && (
+        <p className="text-[9px] font-black uppercase text-red-500 shrink-0">{error}</p>
+      )}
+
+      <div className="flex-1 min-h-0 overflow-y-auto no-scrollbar space-y-2">
+        {scans?.length === 0 && (
+          <div className={cn("py-12 flex flex-col items-center justify-center border-2 border-dashed", isLight ? "border-zinc-200" : "border-zinc-800")}>
+            <History size={28} className="text-zinc-500 mb-3" />
+            <p className="text-[10px] font-black uppercase opacity-50">No scans yet</p>
+          </div>
+        )}
+        {scans?.map(scan => {
+          const band = riskBand(scan.score, riskThresholds);
+          return (
+            <div key={scan.sha256} className={cn("group p-3 border flex items-center gap-3 transition-colors", isLight ? "border-zinc-200 hover:bg-zinc-50" : "border-zinc-800 hover:bg-zinc-800/50")}>
+              <button onClick={() => onOpen(scan.sha256)} className="flex-1 min-w-0 text-left space-y-1">
+                <p className="text-[11px] font-black truncate">{scan.fileName}</p>
+                <p className="text-[9px] font-bold uppercase text-zinc-500 truncate">
+                  {FILE_FORMATS[scan.format]?.label || scan.format} • {formatSize(scan.fileSize)} • {formatDate(scan.scannedAt)}
+                  {scan.ruleset !== ruleset && <span className="text-yellow-500"> • other rules</span>}
+                </p>
+                <p className="text-[9px] font-mono text-zinc-500 truncate" title="SHA-256">{scan.sha256}</p>
+              </button>
+              <span className={cn("shrink-0 text-[10px] font-black uppercase text-right", scan.isEmpty ? "text-orange-500" : BAND_TONES[band])}>
+                {scan.isEmpty ? "Empty" : `${scan.score} ${RISK_BANDS[band].label}`}
+                <span className="block text-[8px] text-zinc-500">{scan.issueCount} risks</span>
+              </span>
+              <button onClick={() => remove(scan.sha256)} title="Forget this scan" className="shrink-0 text-zinc-500 hover:text-red-500 transition-colors"><Trash2 size={16} /></button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
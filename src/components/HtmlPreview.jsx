@@ -0,0 +1,50 @@
+import React, { useEffect, useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import { cn } from '../lib/utils';
+import TextPreview from './TextPreview';
+
+// No scripts, no network: only inline styles and data: images may load
+const CSP = `<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; img-src data:">`;
+
+// The page as a browser would show it, in a sandboxed frame, or its extracted text with the
+// findings marked (hidden elements included)
+export default function HtmlPreview({ file, rawText, issues, focusedIssue, onSelectIssue, isLight }) {
+  const [source, setSource] = useState(null);
+  const [mode, setMode] = useState('text');
+
+  useEffect(() => {
+    let cancelled = false;
+    // Placed inside <head> when there is one so a leading doctype still applies
+    file.text().then(text => {
+      if (!cancelled) setSource(/<head[^>]*>/i.test(text) ? text.replace(/<head[^>]*>/i, head => head + CSP) : CSP + text);
+    });
+    return () => { cancelled = true; };
+  }, [file]);
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className={cn("shrink-0 flex border-b", isLight ? "border-zinc-200 bg-zinc-50" : "border-zinc-900 bg-zinc-950")}>
+        {['text', 'rendered'].map(option => (
+          <button
+            key={option}
+            onClick={() => setMode(option)}
+            className={cn("px-3 py-2 text-[10px] font-black uppercase transition-colors", mode === option ? "bg-[#C3FF00] text-black" : "text-zinc-500 hover:text-current")}
+          >
+            {option === 'text' ? 'Findings' : 'Rendered'}
+          </button>
+        ))}
+      </div>
+      <div className="flex-1 min-h-0">
+        {mode === 'text' ? (
+          <TextPreview rawText={rawText} issues={issues} focusedIssue={focusedIssue} onSelectIssue={onSelectIssue} isLight={isLight} />
+        ) : source === null ? (
+          <div className="h-full flex items-center justify-center">
+            <Loader2 size={32} className="animate-spin text-[#C3FF00] opacity-40" />
+          </div>
+        ) : (
+          <iframe title={file.name} sandbox="" srcDoc={source} className="w-full h-full bg-white" />
+        )}
+      </div>
+    </div>
+  );
+}
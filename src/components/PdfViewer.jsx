@@ -0,0 +1,172 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import * as pdfjsLib from 'pdfjs-dist';
+import { AlertTriangle, Loader2 } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { isHiddenIssue } from '../lib/scanner';
+
+const RENDER_SCALE = 1.5;
+const SEVERITY_ORDER = ['high', 'medium', 'low'];
+
+// Stable ref callback so only a newly focused box scrolls, not every re-render
+const scrollIntoView = (node) => node?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+// Finding box as percentages of the page, clamped so off-page text still shows at the nearest edge
+const overlayStyle = (viewport, bbox) => {
+  const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(bbox);
+  const percent = (value, size) => Math.min(Math.max((value / size) * 100, 0), 100);
+  const left = percent(Math.min(x1, x2), viewport.width);
+  const top = percent(Math.min(y1, y2), viewport.height);
+  const width = Math.max(percent(Math.max(x1, x2), viewport.width) - left, 1.5);
+  const height = Math.max(percent(Math.max(y1, y2), viewport.height) - top, 1.5);
+  return { left: `${Math.min(left, 100 - width)}%`, top: `${Math.min(top, 100 - height)}%`, width: `${width}%`, height: `${height}%` };
+};
+
+const worstSeverity = (issues) => SEVERITY_ORDER.find(severity => issues.some(issue => issue.severity === severity));
+
+const PdfPage = ({ page, issues, focusedIssue, onSelectIssue, onRendered, pageRef }) => {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [visible, setVisible] = useState(false);
+  const viewport = page.getViewport({ scale: 1 });
+
+  // Pages render once they come near the viewport, keeping long documents cheap
+  useEffect(() => {
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) setVisible(true);
+    }, { rootMargin: '800px 0px' });
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!visible) return;
+    const renderViewport = page.getViewport({ scale: RENDER_SCALE });
+    const canvas = canvasRef.current;
+    canvas.width = renderViewport.width;
+    canvas.height = renderViewport.height;
+    const task = page.render({ canvasContext: canvas.getContext('2d'), viewport: renderViewport });
+    task.promise.then(() => onRendered(page.pageNumber, canvas)).catch(() => {});
+    return () => task.cancel();
+  }, [visible, page, onRendered]);
+
+  const setRefs = (node) => {
+    containerRef.current = node;
+    pageRef(node);
+  };
+
+  return (
+    <div ref={setRefs} className="relative bg-white shadow-xl mx-auto w-full" style={{ aspectRatio: `${viewport.width} / ${viewport.height}` }}>
+      <canvas ref={canvasRef} className="absolute inset-0 w-full h-full" />
+      {issues.filter(issue => issue.bbox).map(issue => {
+        const isFocused = issue.id === focusedIssue;
+        return (
+          <button
+            key={issue.id}
+            ref={isFocused ? scrollIntoView : undefined}
+            onClick={() => onSelectIssue(issue)}
+            title={`${issue.type}: ${issue.detail}`}
+            style={overlayStyle(viewport, issue.bbox)}
+            className={cn(
+              "absolute border-2 transition-colors",
+              isHiddenIssue(issue) ? "border-dashed" : "bg-red-500/20",
+              issue.severity === 'high' ? "border-red-500" : "border-orange-500",
+              isFocused && "border-[#C3FF00] bg-[#C3FF00]/30 ring-4 ring-[#C3FF00]/50 animate-pulse z-10"
+            )}
+          />
+        );
+      })}
+    </div>
+  );
+};
+
+export default function PdfViewer({ file, issues, focusedIssue, onSelectIssue, isLight }) {
+  const [pages, setPages] = useState([]);
+  const [error, setError] = useState(false);
+  const pageRefs = useRef({});
+  const thumbRefs = useRef({});
+
+  useEffect(() => {
+    let cancelled = false;
+    let pdf = null;
+    const load = async () => {
+      try {
+        pdf = await pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+        const loaded = [];
+        for (let i = 1; i <= pdf.numPages && !cancelled; i++) loaded.push(await pdf.getPage(i));
+        if (!cancelled) setPages(loaded);
+      } catch (e) {
+        console.error("PDF Preview failed", e);
+        if (!cancelled) setError(true);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+      pdf?.destroy();
+    };
+  }, [file]);
+
+  // Thumbnails are copies of the rendered pages rather than a second render pass
+  const drawThumbnail = useCallback((pageNumber, canvas) => {
+    const thumb = thumbRefs.current[pageNumber];
+    if (!thumb) return;
+    thumb.width = 96;
+    thumb.height = Math.round((canvas.height / canvas.width) * 96);
+    thumb.getContext('2d').drawImage(canvas, 0, 0, thumb.width, thumb.height);
+  }, []);
+
+  if (error) return (
+    <div className="h-full flex flex-col items-center justify-center p-8 text-center text-zinc-500">
+      <AlertTriangle size={32} className="mb-4 text-orange-500" />
+      <p className="text-xs font-black uppercase">Preview Failed</p>
+    </div>
+  );
+
+  if (pages.length === 0) return (
+    <div className="h-full flex items-center justify-center">
+      <Loader2 size={32} className="animate-spin text-[#C3FF00] opacity-40" />
+    </div>
+  );
+
+  return (
+    <div className="h-full flex">
+      <div className={cn("w-20 shrink-0 overflow-y-auto no-scrollbar border-r p-2 space-y-2", isLight ? "border-zinc-200 bg-zinc-50" : "border-zinc-900 bg-zinc-950")}>
+        {pages.map(page => {
+          const pageIssues = issues.filter(issue => issue.page === page.pageNumber);
+          const severity = worstSeverity(pageIssues);
+          const { width, height } = page.getViewport({ scale: 1 });
+          return (
+            <button
+              key={page.pageNumber}
+              onClick={() => pageRefs.current[page.pageNumber]?.scrollIntoView({ behavior: 'smooth', block: 'start' })}
+              title={`Page ${page.pageNumber}: ${pageIssues.length} risks`}
+              className="relative block w-full"
+            >
+              <canvas ref={node => { thumbRefs.current[page.pageNumber] = node; }} className="w-full bg-white border border-zinc-700" style={{ aspectRatio: `${width} / ${height}` }} />
+              <span className={cn(
+                "absolute top-1 right-1 min-w-4 px-1 text-[8px] font-black",
+                severity === 'high' ? "bg-red-500 text-white" : severity ? "bg-orange-500 text-white" : "bg-emerald-500 text-white"
+              )}>
+                {pageIssues.length}
+              </span>
+              <span className="block text-[8px] font-black text-zinc-500 mt-0.5">{page.pageNumber}</span>
+            </button>
+          );
+        })}
+      </div>
+      <div className="flex-1 overflow-y-auto no-scrollbar p-4 space-y-4">
+        {pages.map(page => (
+          <PdfPage
+            key={page.pageNumber}
+            page={page}
+            issues={issues.filter(issue => issue.page === page.pageNumber)}
+            focusedIssue={focusedIssue}
+            onSelectIssue={onSelectIssue}
+            onRendered={drawThumbnail}
+            pageRef={node => { pageRefs.current[page.pageNumber] = node; }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
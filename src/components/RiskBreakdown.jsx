@@ -0,0 +1,26 @@
+import React from 'react';
+import { Gauge } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { BAND_TONES } from '../lib/batch';
+import { RISK_BANDS } from '../lib/scanner';
+
+// How each finding category added up to the document's risk score
+export default function RiskBreakdown({ risk, band, isLight }) {
+  return (
+    <div className={cn("p-3 border space-y-2", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-zinc-900/50")}>
+      <div className="flex items-center justify-between text-[9px] font-black uppercase tracking-widest">
+        <span className="flex items-center gap-2 text-zinc-500"><Gauge size={12} /> Risk Score</span>
+        <span className={BAND_TONES[band]} title={RISK_BANDS[band].summary}>{risk.score} / 100 • {RISK_BANDS[band].label}</span>
+      </div>
+      {risk.categories.map(category => (
+        <div key={category.category} className="flex items-center gap-3 text-[9px] font-black uppercase">
+          <span className="w-28 shrink-0 truncate">{category.label}</span>
+          <div className={cn("flex-1 h-1.5", isLight ? "bg-zinc-100" : "bg-zinc-800")}>
+            <div className="h-full bg-red-500" style={{ width: `${category.score}%` }} />
+          </div>
+          <span className="w-20 shrink-0 text-right text-zinc-500">+{category.score} • {category.count}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import React, { useRef, useState } from 'react';
+import { X, Plus, Trash2, FileUp, FileDown, RotateCcw } from 'lucide-react';
+import { cn } from '../lib/utils';
+import {
+  DEFAULT_RULES, RULE_KINDS, SEVERITIES, RISK_BANDS, createRule, validateRule, validateRiskThresholds, parseRules, serializeRules
+} from '../lib/scanner';
+
+export default function RulesEditor({ rules, fuzzyThreshold, riskThresholds, onSave, onClose, isLight }) {
+  const [draft, setDraft] = useState(rules);
+  const [threshold, setThreshold] = useState(fuzzyThreshold);
+  const [bands, setBands] = useState(riskThresholds);
+  const [importError, setImportError] = useState(null);
+  const importRef = useRef(null);
+
+  const errors = Object.fromEntries(draft.map(rule => [rule.id, validateRule(rule)]));
+  const bandError = validateRiskThresholds(bands);
+  const hasErrors = Object.values(errors).some(Boolean) || Boolean(bandError);
+
+  const updateRule = (id, changes) => setDraft(draft.map(rule => rule.id === id ? { ...rule, ...changes } : rule));
+  const removeRule = (id) => setDraft(draft.filter(rule => rule.id !== id));
+
+  const importRules = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+    try {
+      setDraft(parseRules(await selected.text()));
+      setImportError(null);
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  const exportRules = () => {
+    const blob = new Blob([serializeRules(draft)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'docshit-rules.json';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const field = cn("border px-2 py-1.5 text-[10px] font-bold outline-none transition-colors focus:border-[#C3FF00]", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-black");
+  const toolButton = cn("flex items-center gap-2 px-3 py-2 border font-black uppercase text-[9px] transition-all", isLight ? "border-zinc-200 bg-white hover:bg-zinc-50" : "border-zinc-800 bg-zinc-900 hover:bg-zinc-800");
+
+  return (
+    <div className="flex-1 min-h-0 flex flex-col space-y-4">
+      <div className="flex justify-between items-start shrink-0">
+        <div>
+          <span className={cn("text-[8px] font-black uppercase border px-2 py-0.5", isLight ? "border-zinc-200 text-zinc-400" : "border-zinc-700 text-zinc-500")}>
+            {draft.filter(rule => rule.enabled).length} of {draft.length} enabled
+          </span>
+          <h2 className="text-xl font-black uppercase mt-1">Detection Rules</h2>
+        </div>
+        <button onClick={onClose} className="text-zinc-500 hover:text-red-500 transition-colors"><X size={20} /></button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 shrink-0">
+        <button onClick={() => setDraft([...draft, createRule()])} className={toolButton}><Plus size={14} /> Add</button>
+        <button onClick={() => importRef.current?.click()} className={toolButton}><FileUp size={14} /> Import</button>
+        <button onClick={exportRules} disabled={hasErrors} className={cn(toolButton, hasErrors && "opacity-40 pointer-events-none")}><FileDown size={14} /> Export</button>
+        <button onClick={() => setDraft(DEFAULT_RULES)} className={toolButton}><RotateCcw size={14} /> Defaults</button>
+        <input ref={importRef} type="file" className="hidden" accept=".json,application/json" onChange={importRules} />
+      </div>
+      <label className="flex items-center gap-3 text-[9px] font-black uppercase shrink-0">
+        Fuzzy tolerance
+        <input type="range" min="0" max="0.3" step="0.05" value={threshold} onChange={(e) => setThreshold(Number(e.target.value))} className="accent-[#C3FF00] flex-1 max-w-[200px]" />
+        <span className="text-zinc-500">{threshold === 0 ? 'Exact only' : `${Math.round(threshold * 100)}% edits per phrase`}</span>
+      </label>
+      <div className="flex flex-wrap items-center gap-3 text-[9px] font-black uppercase shrink-0">
+        Risk bands start at
+        {['medium', 'high', 'critical'].map(band => (
+          <label key={band} className="flex items-center gap-1">
+            {RISK_BANDS[band].label}
+            <input type="number" min="1" max="100" value={bands[band]} onChange={(e) => setBands({ ...bands, [band]: Number(e.target.value) })} className={cn(field, "w-14")} />
+          </label>
+        ))}
+      </div>
+      {bandError && (
+        <p className="text-[9px] font-black uppercase text-red-500 shrink-0">{bandError}</p>
+      )}
+      {importError && (
+        <p className="text-[9px] font-black uppercase text-red-500 shrink-0">Import failed: {importError}</p>
+      )}
+
+      <div className="flex-1 min-h-0 overflow-y-auto no-scrollbar space-y-2">
+        {draft.map(rule => (
+          <div key={rule.id} className={cn("p-3 border space-y-2 transition-colors", isLight ? "border-zinc-200" : "border-zinc-800", !rule.enabled && "opacity-50")}>
+            <div className="flex items-center gap-2">
+              <input type="checkbox" checked={rule.enabled} onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })} className="accent-[#C3FF00] shrink-0" title="Enabled" />
+              <input value={rule.pattern} onChange={(e) => updateRule(rule.id, { pattern: e.target.value })} placeholder={rule.kind === 'regex' ? 'regular expression' : 'phrase to block'} className={cn(field, "flex-1 min-w-0 font-mono")} />
+              <button onClick={() => removeRule(rule.id)} className="text-zinc-500 hover:text-red-500 transition-colors shrink-0"><Trash2 size={16} /></button>
+            </div>
+            <div className="flex flex-wrap items-center gap-2 pl-6">
+              <select value={rule.kind} onChange={(e) => updateRule(rule.id, { kind: e.target.value })} className={cn(field, "uppercase")}>
+                {RULE_KINDS.map(kind => <option key={kind} value={kind}>{kind}</option>)}
+              </select>
+              <select value={rule.severity} onChange={(e) => updateRule(rule.id, { severity: e.target.value })} className={cn(field, "uppercase")}>
+                {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+              </select>
+              <input value={rule.type} onChange={(e) => updateRule(rule.id, { type: e.target.value })} placeholder="Finding type" className={cn(field, "flex-1 min-w-[120px]")} />
+            </div>
+            {errors[rule.id] && <p className="pl-6 text-[9px] font-black uppercase text-red-500">{errors[rule.id]}</p>}
+          </div>
+        ))}
+      </div>
+
+      <button onClick={() => onSave(draft, threshold, bands)} disabled={hasErrors} className={cn("w-full py-4 border-2 border-[#C3FF00] font-black uppercase text-xs transition-all bg-[#C3FF00] text-black hover:bg-[#b0e600] shrink-0", hasErrors && "opacity-40 pointer-events-none")}>
+        Save Rules
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { AlertTriangle, EyeOff, Loader2 } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { readWorkbook, columnName, isHiddenIssue } from '../lib/scanner';
+
+const MAX_ROWS = 500;
+const MAX_COLUMNS = 52;
+
+// Stable ref callback so only a newly focused cell scrolls, not every re-render
+const scrollIntoView = (node) => node?.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+
+// Sheets as plain grids: values are shown whatever their formatting, hidden rows, columns and
+// sheets are kept in place but dimmed, and flagged cells link to their findings
+export default function SheetPreview({ file, issues, focusedIssue, onSelectIssue, isLight }) {
+  const [sheets, setSheets] = useState(null);
+  const [error, setError] = useState(false);
+  const [activeSheet, setActiveSheet] = useState(null);
+  const [lastFocus, setLastFocus] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    file.arrayBuffer()
+      .then(data => readWorkbook(data, { DOMParser: window.DOMParser }))
+      .then(workbook => { if (!cancelled) setSheets(workbook.sheets); })
+      .catch(e => {
+        console.error("Spreadsheet Preview failed", e);
+        if (!cancelled) setError(true);
+      });
+    return () => { cancelled = true; };
+  }, [file]);
+
+  // Focusing a finding from the list switches to the sheet it sits on
+  if (focusedIssue !== lastFocus) {
+    setLastFocus(focusedIssue);
+    const part = issues.find(issue => issue.id === focusedIssue)?.part;
+    if (sheets?.some(sheet => sheet.name === part)) setActiveSheet(part);
+  }
+
+  const cellIssues = useMemo(() => {
+    const byCell = {};
+    issues.filter(issue => issue.cell).forEach(issue => {
+      const key = `${issue.part}!${issue.cell}`;
+      byCell[key] = [...(byCell[key] || []), issue];
+    });
+    return byCell;
+  }, [issues]);
+
+  if (error) return (
+    <div className="h-full flex flex-col items-center justify-center p-8 text-center text-zinc-500">
+      <AlertTriangle size={32} className="mb-4 text-orange-500" />
+      <p className="text-xs font-black uppercase">Preview Failed</p>
+    </div>
+  );
+
+  if (!sheets) return (
+    <div className="h-full flex items-center justify-center">
+      <Loader2 size={32} className="animate-spin text-[#C3FF00] opacity-40" />
+    </div>
+  );
+
+  const sheet = sheets.find(s => s.name === activeSheet) || sheets[0];
+  if (!sheet) return <div className="h-full flex items-center justify-center text-xs font-black uppercase text-zinc-500">Empty Workbook</div>;
+
+  const hiddenColumns = new Set(sheet.hiddenColumns);
+  const rows = sheet.rows.slice(0, MAX_ROWS);
+  const columnCount = Math.min(Math.max(0, ...rows.flatMap(row => row.cells.map(cell => cell.column))), MAX_COLUMNS);
+  const columns = Array.from({ length: columnCount }, (_, i) => i + 1);
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className={cn("flex-1 overflow-auto no-scrollbar", sheet.state !== 'visible' && "bg-[repeating-linear-gradient(45deg,rgba(239,68,68,0.06)_0_8px,transparent_8px_16px)]")}>
+        <table className={cn("border-collapse text-[11px] font-mono", isLight ? "text-zinc-800" : "text-zinc-300")}>
+          <thead>
+            <tr>
+              <th className={cn("sticky top-0 left-0 z-20 border px-2", isLight ? "bg-zinc-100 border-zinc-200" : "bg-zinc-900 border-zinc-800")} />
+              {columns.map(column => (
+                <th key={column} className={cn("sticky top-0 z-10 border px-2 py-1 font-black text-[9px] text-zinc-500", isLight ? "bg-zinc-100 border-zinc-200" : "bg-zinc-900 border-zinc-800", hiddenColumns.has(column) && "text-red-500 line-through")}>
+                  {columnName(column)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => {
+              const cells = Object.fromEntries(row.cells.map(cell => [cell.column, cell]));
+              return (
+                <tr key={row.number} className={cn(row.hidden && "opacity-50")}>
+                  <th className={cn("sticky left-0 z-10 border px-2 font-black text-[9px] text-zinc-500", isLight ? "bg-zinc-100 border-zinc-200" : "bg-zinc-900 border-zinc-800", row.hidden && "text-red-500 line-through")}>
+                    {row.number}
+                  </th>
+                  {columns.map(column => {
+                    const cell = cells[column];
+                    const flagged = cell ? cellIssues[`${sheet.name}!${cell.ref}`] || [] : [];
+                    const isFocused = flagged.some(issue => issue.id === focusedIssue);
+                    return (
+                      <td
+                        key={column}
+                        ref={isFocused ? scrollIntoView : undefined}
+                        onClick={flagged.length > 0 ? () => onSelectIssue(flagged[0]) : undefined}
+                        title={flagged.map(issue => `${issue.type}: ${issue.detail}`).join('\n') || undefined}
+                        className={cn(
+                          "border px-2 py-1 max-w-[240px] truncate",
+                          isLight ? "border-zinc-200" : "border-zinc-800",
+                          hiddenColumns.has(column) && "opacity-50",
+                          flagged.length > 0 && "cursor-pointer text-red-500 font-bold",
+                          flagged.some(isHiddenIssue) ? "outline-1 outline-dashed outline-red-500 -outline-offset-2" : flagged.length > 0 && "bg-red-500/20",
+                          isFocused && "bg-[#C3FF00] text-black animate-pulse"
+                        )}
+                      >
+                        {cell?.text}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {sheet.rows.length > MAX_ROWS && (
+          <p className="p-3 text-[9px] font-black uppercase text-zinc-500">Showing the first {MAX_ROWS} of {sheet.rows.length} rows</p>
+        )}
+      </div>
+      <div className={cn("shrink-0 flex overflow-x-auto no-scrollbar border-t", isLight ? "border-zinc-200 bg-zinc-50" : "border-zinc-900 bg-zinc-950")}>
+        {sheets.map(s => {
+          const count = issues.filter(issue => issue.part === s.name).length;
+          return (
+            <button
+              key={s.name}
+              onClick={() => setActiveSheet(s.name)}
+              title={s.state !== 'visible' ? `${s.name} (${s.state})` : s.name}
+              className={cn(
+                "flex items-center gap-1.5 px-3 py-2 text-[10px] font-black uppercase whitespace-nowrap border-r transition-colors",
+                isLight ? "border-zinc-200" : "border-zinc-900",
+                s === sheet ? "bg-[#C3FF00] text-black" : "text-zinc-500 hover:text-current",
+                s.state !== 'visible' && s !== sheet && "text-red-500"
+              )}
+            >
+              {s.state !== 'visible' && <EyeOff size={10} />}
+              {s.name}
+              {count > 0 && <span className="px-1 bg-red-500 text-white text-[8px]">{count}</span>}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
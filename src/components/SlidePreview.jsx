@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from 'react';
+import { AlertTriangle, EyeOff, Loader2 } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { readPresentation, isHiddenIssue } from '../lib/scanner';
+
+const EMU_PER_POINT = 12700;
+const DEFAULT_FONT_SIZE = 18;
+
+// Stable ref callback so only a newly focused shape scrolls, not every re-render
+const scrollIntoView = (node) => node?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+// Shape box as percentages of the slide, clamped so off-slide shapes still show at the nearest edge
+const boxStyle = (box, width, height) => {
+  const percent = (value, size) => Math.min(Math.max((value / size) * 100, 0), 100);
+  const w = Math.max(percent(box.w, width), 4);
+  const h = Math.max(percent(box.h, height), 4);
+  return {
+    left: `${Math.min(percent(box.x, width), 100 - w)}%`,
+    top: `${Math.min(percent(box.y, height), 100 - h)}%`,
+    width: `${w}%`,
+    height: `${h}%`
+  };
+};
+
+// Slides drawn as positioned text boxes: every shape's text is shown in its own colour but never
+// hidden, and shapes with findings link to them. Speaker notes follow each slide.
+export default function SlidePreview({ file, issues, focusedIssue, onSelectIssue, isLight }) {
+  const [deck, setDeck] = useState(null);
+  const [error, setError] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    file.arrayBuffer()
+      .then(data => readPresentation(data, { DOMParser: window.DOMParser }))
+      .then(presentation => { if (!cancelled) setDeck(presentation); })
+      .catch(e => {
+        console.error("Slide Preview failed", e);
+        if (!cancelled) setError(true);
+      });
+    return () => { cancelled = true; };
+  }, [file]);
+
+  if (error) return (
+    <div className="h-full flex flex-col items-center justify-center p-8 text-center text-zinc-500">
+      <AlertTriangle size={32} className="mb-4 text-orange-500" />
+      <p className="text-xs font-black uppercase">Preview Failed</p>
+    </div>
+  );
+
+  if (!deck) return (
+    <div className="h-full flex items-center justify-center">
+      <Loader2 size={32} className="animate-spin text-[#C3FF00] opacity-40" />
+    </div>
+  );
+
+  // Font sizes scale with the slide: one point is this share of the slide width
+  const pointWidth = (EMU_PER_POINT / deck.width) * 100;
+
+  return (
+    <div className="h-full overflow-y-auto no-scrollbar p-4 space-y-6">
+      {deck.slides.map(slide => {
+        const part = `Slide ${slide.number}`;
+        const slideIssues = issues.filter(issue => issue.part === part);
+        const notesIssues = issues.filter(issue => issue.part === `Notes ${slide.number}`);
+        return (
+          <div key={slide.number} className="space-y-2">
+            <div className="flex items-center gap-2 text-[9px] font-black uppercase text-zinc-500">
+              <span>{part}</span>
+              {slide.hidden && <span className="flex items-center gap-1 px-1.5 py-0.5 bg-red-500 text-white"><EyeOff size={10} /> Hidden Slide</span>}
+              {slideIssues.length > 0 && <span className="text-red-500">{slideIssues.length} risks</span>}
+            </div>
+            <div
+              className={cn("relative w-full overflow-hidden shadow-xl [container-type:inline-size]", slide.hidden && "opacity-60")}
+              style={{ aspectRatio: `${deck.width} / ${deck.height}`, background: slide.background || '#ffffff' }}
+            >
+              {slide.shapes.filter(shape => shape.box).map((shape, index) => {
+                const flagged = slideIssues.filter(issue => issue.paragraph >= shape.paragraphStart && issue.paragraph < shape.paragraphStart + shape.paragraphs.length);
+                const isFocused = flagged.some(issue => issue.id === focusedIssue);
+                return (
+                  <div
+                    key={index}
+                    ref={isFocused ? scrollIntoView : undefined}
+                    onClick={flagged.length > 0 ? () => onSelectIssue(flagged[0]) : undefined}
+                    title={flagged.map(issue => `${issue.type}: ${issue.detail}`).join('\n') || shape.name}
+                    style={{ ...boxStyle(shape.box, deck.width, deck.height), background: shape.fill || undefined }}
+                    className={cn(
+                      "absolute overflow-hidden leading-tight",
+                      (shape.hidden || shape.offSlide) && "opacity-70",
+                      flagged.length > 0 && "cursor-pointer border-2",
+                      flagged.some(isHiddenIssue) ? "border-dashed" : flagged.length > 0 && "bg-red-500/20",
+                      flagged.some(issue => issue.severity === 'high') ? "border-red-500" : "border-orange-500",
+                      isFocused && "border-[#C3FF00] ring-4 ring-[#C3FF00]/50 animate-pulse z-10"
+                    )}
+                  >
+                    {shape.paragraphs.map((paragraph, i) => (
+                      <p key={i} className="whitespace-pre-wrap">
+                        {paragraph.runs.map((run, j) => (
+                          <span key={j} style={{ color: run.color || '#000000', fontSize: `${Math.max(run.size || DEFAULT_FONT_SIZE, 6) * pointWidth}cqw` }}>{run.text}</span>
+                        ))}
+                      </p>
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+            {slide.notes.some(note => note.trim()) && (
+              <div className={cn("border p-3 text-[11px] whitespace-pre-wrap", isLight ? "border-zinc-200 bg-zinc-50" : "border-zinc-800 bg-zinc-950 text-zinc-300", notesIssues.length > 0 && "border-red-500")}>
+                <span className="block text-[9px] font-black uppercase text-zinc-500 mb-1">Notes{notesIssues.length > 0 && <span className="text-red-500"> · {notesIssues.length} risks</span>}</span>
+                {slide.notes.join('\n')}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
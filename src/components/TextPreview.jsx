@@ -0,0 +1,42 @@
+import React, { useMemo } from 'react';
+import { cn } from '../lib/utils';
+import { segmentText, isHiddenIssue } from '../lib/scanner';
+
+// Stable ref callback so only a newly focused mark scrolls, not every re-render
+const scrollIntoView = (node) => node?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+// Extracted text with flagged ranges marked; the preview for formats without a visual renderer
+// (plain text, RTF, ODT). Hidden text is shown in place so it can be read.
+export default function TextPreview({ rawText, issues, focusedIssue, onSelectIssue, isLight }) {
+  const segments = useMemo(() => segmentText(rawText, issues.filter(issue => issue.ranges)), [rawText, issues]);
+  const byId = useMemo(() => Object.fromEntries(issues.map(issue => [issue.id, issue])), [issues]);
+  // Only the first segment of the focused finding scrolls into view
+  const scrollTarget = segments.find(segment => segment.issues.includes(focusedIssue))?.start;
+
+  return (
+    <div className="h-full overflow-auto no-scrollbar p-4 md:p-8">
+      <pre className={cn("whitespace-pre-wrap break-words font-mono text-xs leading-relaxed p-6 border max-w-3xl mx-auto", isLight ? "bg-white border-zinc-200 text-zinc-800" : "bg-zinc-950 border-zinc-900 text-zinc-300")}>
+        {segments.map(segment => {
+          if (segment.issues.length === 0) return segment.text;
+          const isFocused = segment.issues.includes(focusedIssue);
+          const hidden = segment.issues.some(id => isHiddenIssue(byId[id]));
+          return (
+            <mark
+              key={segment.start}
+              ref={segment.start === scrollTarget ? scrollIntoView : undefined}
+              title={segment.issues.map(id => byId[id].type).join(', ')}
+              onClick={() => onSelectIssue(byId[segment.issues[0]])}
+              className={cn(
+                "cursor-pointer border-b-2 text-inherit",
+                hidden ? "outline-1 outline-dashed outline-red-500 bg-red-500/10" : "bg-red-500/25",
+                isFocused ? "bg-[#C3FF00] text-black border-black animate-pulse" : "border-red-500"
+              )}
+            >
+              {segment.text}
+            </mark>
+          );
+        })}
+      </pre>
+    </div>
+  );
+}
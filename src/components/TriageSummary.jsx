@@ -0,0 +1,42 @@
+import React from 'react';
+import { EyeOff, Eraser, Undo2 } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { issueLocation, DISMISS_REASONS } from '../lib/scanner';
+
+// Findings taken out by triage and text redacted by hand, each with a way back
+export default function TriageSummary({ dismissed = [], redactions = [], onRestore, onRemoveRedaction, onSelect, isLight }) {
+  if (dismissed.length === 0 && redactions.length === 0) return null;
+
+  const row = cn("p-2 border flex items-center gap-3 transition-colors", isLight ? "border-zinc-200 bg-white" : "border-zinc-800 bg-zinc-900/50");
+  const undo = "shrink-0 p-1 text-zinc-500 hover:text-[#C3FF00] transition-colors";
+
+  return (
+    <div className="space-y-2">
+      {redactions.length > 0 && (
+        <>
+          <h3 className="flex items-center gap-2 pt-4 pb-1 text-[10px] font-black uppercase tracking-widest text-zinc-500"><Eraser size={12} /> Redacted by hand</h3>
+          {redactions.map(redaction => (
+            <div key={redaction.id} className={row}>
+              <button onClick={() => onSelect(redaction)} className="flex-1 min-w-0 text-left text-[10px] font-bold truncate">{redaction.detail}</button>
+              <button onClick={() => onRemoveRedaction(redaction)} title="Keep this text" className={undo}><Undo2 size={14} /></button>
+            </div>
+          ))}
+        </>
+      )}
+      {dismissed.length > 0 && (
+        <>
+          <h3 className="flex items-center gap-2 pt-4 pb-1 text-[10px] font-black uppercase tracking-widest text-zinc-500"><EyeOff size={12} /> Dismissed</h3>
+          {dismissed.map(entry => (
+            <div key={entry.issue.id} className={cn(row, "opacity-60 hover:opacity-100")}>
+              <div className="flex-1 min-w-0">
+                <p className="text-[10px] font-black uppercase truncate line-through decoration-zinc-500">{entry.issue.detail}</p>
+                <p className="text-[8px] font-black opacity-50 uppercase tracking-widest truncate">{entry.issue.type} • {issueLocation(entry.issue)} • {DISMISS_REASONS[entry.reason]}</p>
+              </div>
+              <button onClick={() => onRestore(entry)} title="Restore" className={undo}><Undo2 size={14} /></button>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import JSZip from 'jszip';
+import { sanitizeDocument, formatFromName, isSafe } from './scanner';
+
+export const fileFormat = (file) => {
+  if (file.type === 'application/pdf') return 'pdf';
+  return formatFromName(file.name);
+};
+
+const readDirectory = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+const entryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+const collectEntry = async (entry) => {
+  if (entry.isFile) return [await entryFile(entry)];
+  if (!entry.isDirectory) return [];
+  const reader = entry.createReader();
+  const files = [];
+  // readEntries hands directories back in chunks until it returns an empty batch
+  for (let batch = await readDirectory(reader); batch.length > 0; batch = await readDirectory(reader)) {
+    for (const child of batch) files.push(...await collectEntry(child));
+  }
+  return files;
+};
+
+// Every scannable file in a drop, walking into dropped folders
+export const filesFromDrop = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  const files = entries.length > 0
+    ? (await Promise.all(entries.map(collectEntry))).flat()
+    : Array.from(dataTransfer.files || []);
+  return files.filter(fileFormat);
+};
+
+let nextEntryId = 0;
+
+export const createEntry = (file) => ({
+  id: `entry-${++nextEntryId}`,
+  file,
+  status: 'queued',
+  progress: 0,
+  result: null,
+  error: null
+});
+
+// Text colour for each risk band, shared by the results header and the batch table
+export const BAND_TONES = {
+  low: 'text-emerald-500',
+  medium: 'text-yellow-500',
+  high: 'text-orange-500',
+  critical: 'text-red-500'
+};
+
+export const severityCounts = (issues = []) => ({
+  high: issues.filter(issue => issue.severity === 'high').length,
+  medium: issues.filter(issue => issue.severity === 'medium').length,
+  low: issues.filter(issue => issue.severity === 'low').length
+});
+
+// Sort keys for the summary table; unfinished files sink below scanned ones
+export const SORT_KEYS = {
+  name: entry => entry.file.name.toLowerCase(),
+  status: (entry, riskThresholds) => ({
+    error: 0,
+    done: entry.result?.isEmpty ? 2 : (entry.result && isSafe(entry.result, riskThresholds) ? 3 : 1),
+    scanning: 4,
+    queued: 5
+  })[entry.status],
+  score: entry => entry.result ? entry.result.risk.score : -1,
+  risks: entry => entry.result ? entry.result.issues.length : -1,
+  high: entry => entry.result ? severityCounts(entry.result.issues).high : -1
+};
+
+export const sortEntries = (entries, { key, direction }, riskThresholds) => {
+  const value = (entry) => SORT_KEYS[key](entry, riskThresholds);
+  return [...entries].sort((a, b) => {
+    const [x, y] = [value(a), value(b)];
+    const order = x < y ? -1 : x > y ? 1 : 0;
+    return direction === 'asc' ? order : -order;
+  });
+};
+
+const uniqueName = (name, taken) => {
+  let candidate = name;
+  for (let n = 2; taken.has(candidate); n++) candidate = name.replace(/(\.txt)$/, `_${n}$1`);
+  taken.add(candidate);
+  return candidate;
+};
+
+// One SAFE_<name>.txt per scanned file, sanitized under the current policy
+export const sanitizedZip = async (entries, policy) => {
+  const zip = new JSZip();
+  const taken = new Set();
+  entries
+    .filter(entry => entry.status === 'done' && !entry.result.isEmpty)
+    .forEach(entry => {
+      const name = uniqueName(`SAFE_${entry.file.name.replace(/\.[^.]+$/, '')}.txt`, taken);
+      zip.file(name, sanitizeDocument(entry.result, { policy }));
+    });
+  return zip.generateAsync({ type: 'blob' });
+};
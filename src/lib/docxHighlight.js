@@ -0,0 +1,79 @@
+import { isHiddenIssue } from './scanner';
+
+const MARK_CLASS = 'docshit-flag';
+
+const textNodes = (root) => {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  return nodes;
+};
+
+// Wraps characters [start, end) of root's text in marks, one per text node it spans
+const wrapRange = (root, start, end, createMark) => {
+  const marks = [];
+  let offset = 0;
+  textNodes(root).forEach(node => {
+    const length = node.data.length;
+    const from = Math.max(start, offset);
+    const to = Math.min(end, offset + length);
+    if (from < to) {
+      let target = node;
+      if (from > offset) target = target.splitText(from - offset);
+      if (to < offset + length) target.splitText(to - from);
+      const mark = createMark();
+      target.parentNode.insertBefore(mark, target);
+      mark.appendChild(target);
+      marks.push(mark);
+    }
+    offset += length;
+  });
+  return marks;
+};
+
+// Undo w:vanish (display: none) on the runs between a mark and its paragraph
+const reveal = (mark, paragraph) => {
+  for (let el = mark.parentElement; el && el !== paragraph; el = el.parentElement) {
+    if (getComputedStyle(el).display === 'none') el.style.display = 'inline';
+  }
+};
+
+export const clearIssueMarks = (container) => {
+  container.querySelectorAll(`mark.${MARK_CLASS}`).forEach(mark => mark.replaceWith(...mark.childNodes));
+  container.normalize();
+};
+
+// Marks every ranged DOCX finding inside a docx-preview rendering, at the offset the scan found it
+// within its paragraph (`paragraphRanges`). Body findings try their own paragraph first
+// (docx-preview emits one <p> per w:p); anything else, or a paragraph that does not hold the
+// flagged text there, falls back to the first paragraph that does, then to the first that
+// contains it anywhere.
+export const markIssues = (container, issues, rawText) => {
+  const paragraphs = Array.from(container.querySelectorAll('article p'));
+  const allParagraphs = Array.from(container.querySelectorAll('p'));
+
+  issues.filter(issue => issue.ranges).forEach(issue => {
+    const indexed = issue.part === 'Body' ? paragraphs[issue.paragraph - 1] : null;
+    const candidates = [indexed, ...allParagraphs].filter(Boolean);
+    issue.ranges.forEach(({ start, end }, index) => {
+      const needle = rawText.slice(start, end);
+      if (!needle.trim()) return;
+      const offset = issue.paragraphRanges?.[index]?.start;
+      const holdsAt = (p) => offset !== undefined && p.textContent.slice(offset, offset + needle.length) === needle;
+      let paragraph = candidates.find(holdsAt);
+      let at = offset;
+      if (!paragraph) {
+        paragraph = candidates.find(p => p.textContent.includes(needle));
+        if (!paragraph) return;
+        at = paragraph.textContent.indexOf(needle);
+      }
+      wrapRange(paragraph, at, at + needle.length, () => {
+        const mark = document.createElement('mark');
+        mark.className = isHiddenIssue(issue) ? `${MARK_CLASS} docshit-hidden` : MARK_CLASS;
+        mark.dataset.issue = issue.id;
+        mark.title = `${issue.type}: ${issue.detail}`;
+        return mark;
+      }).forEach(mark => reveal(mark, paragraph));
+    });
+  });
+};
@@ -0,0 +1,33 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import { DOMParser } from '@xmldom/xmldom';
+import { scanDocx, DEFAULT_RULES } from './scanner';
+import { markIssues, clearIssueMarks } from './docxHighlight';
+
+const W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const docx = async (body) => {
+  const zip = new JSZip();
+  zip.file('word/document.xml', `<?xml version="1.0"?><w:document xmlns:w="${W}"><w:body>${body}</w:body></w:document>`);
+  return zip.generateAsync({ type: 'uint8array' });
+};
+const run = (text, rPr = '') => `<w:r>${rPr && `<w:rPr>${rPr}</w:rPr>`}<w:t xml:space="preserve">${text}</w:t></w:r>`;
+
+describe('markIssues', () => {
+  it('marks the occurrence the scan found, not the first one', async () => {
+    const data = await docx(`<w:p>${run('Keep the secret code. ')}${run('secret code', '<w:vanish/>')}</w:p>`);
+    const result = await scanDocx(data, { rules: DEFAULT_RULES, DOMParser });
+    const container = document.createElement('div');
+    // Roughly what docx-preview renders: one <p> per w:p, one <span> per run
+    container.innerHTML = '<article><p><span>Keep the secret code. </span><span style="display:none">secret code</span></p></article>';
+
+    markIssues(container, result.issues.filter(issue => issue.type === 'Vanished Text'), result.rawText);
+    const marks = container.querySelectorAll('mark');
+    expect(marks).toHaveLength(1);
+    expect(marks[0].parentElement.textContent).toBe('secret code');
+    expect(marks[0].parentElement.style.display).toBe('inline');
+
+    clearIssueMarks(container);
+    expect(container.querySelectorAll('mark')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,89 @@
+// Past scans kept in IndexedDB, one per file content (SHA-256). `summaries` holds what the history
+// list shows; `scans` holds the full result and the file itself, so a past scan reopens with its
+// preview and without rescanning. `triage` keeps the reviewer's decisions on each file, which
+// outlive rescans of it. Nothing here touches the network.
+const DB_NAME = 'docshit-history';
+const SUMMARIES = 'summaries';
+const SCANS = 'scans';
+const TRIAGE = 'triage';
+const STORES = [SUMMARIES, SCANS, TRIAGE];
+
+let opening = null;
+
+const openDatabase = () => {
+  opening = opening || new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 2);
+    request.onupgradeneeded = () => {
+      STORES
+        .filter(name => !request.result.objectStoreNames.contains(name))
+        .forEach(name => request.result.createObjectStore(name, { keyPath: 'sha256' }));
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  // A failed open (private windows in some browsers) can be retried later
+  opening.catch(() => { opening = null; });
+  return opening;
+};
+
+// Runs `work` in one transaction over all stores and resolves with its last request's result
+// once everything is committed
+const transact = async (mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORES, mode);
+    const request = work(...STORES.map(name => tx.objectStore(name)));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Saves a finished scan, replacing any earlier one of the same content
+export const saveScan = (file, result, ruleset) => {
+  if (!result.sha256) return Promise.resolve();
+  const summary = {
+    sha256: result.sha256,
+    fileName: result.fileName,
+    format: result.format,
+    fileSize: result.fileSize,
+    scannedAt: result.scannedAt,
+    ruleset,
+    score: result.risk.score,
+    issueCount: result.issues.length,
+    isEmpty: result.isEmpty
+  };
+  return transact('readwrite', (summaries, scans) => {
+    summaries.put(summary);
+    return scans.put({ sha256: result.sha256, summary, file, result });
+  });
+};
+
+// `{ summary, file, result }` for a file's content, or undefined when it was never scanned
+export const findScan = (sha256) => transact('readonly', (summaries, scans) => scans.get(sha256));
+
+// Newest first
+export const listScans = async () => {
+  const summaries = await transact('readonly', (summaries) => summaries.getAll());
+  return summaries.sort((a, b) => (b.scannedAt || '').localeCompare(a.scannedAt || ''));
+};
+
+export const deleteScan = (sha256) => transact('readwrite', (summaries, scans, triage) => {
+  summaries.delete(sha256);
+  triage.delete(sha256);
+  return scans.delete(sha256);
+});
+
+export const clearHistory = () => transact('readwrite', (summaries, scans, triage) => {
+  summaries.clear();
+  triage.clear();
+  return scans.clear();
+});
+
+// Triage decisions for a file's content, or undefined when none were made
+export const findTriage = (sha256) => transact('readonly', (summaries, scans, triage) => triage.get(sha256));
+
+export const saveTriage = (sha256, { ignored, redactions, manual, trusted }) => {
+  if (!sha256) return Promise.resolve();
+  return transact('readwrite', (summaries, scans, triage) => triage.put({ sha256, ignored, redactions, manual, trusted }));
+};
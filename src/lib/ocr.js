@@ -0,0 +1,157 @@
+import { createWorker, OEM } from 'tesseract.js';
+import * as pdfjsLib from 'pdfjs-dist';
+import JSZip from 'jszip';
+import workerPath from 'tesseract.js/dist/worker.min.js?url';
+import corePath from 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url';
+import languageData from '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz?url';
+import { scanRecognizedText, appendParts } from './scanner';
+
+// The worker, the WASM core and the English model are all served with the app; Tesseract looks
+// the model up by name in a folder, which is why vite.config.js leaves that file name unhashed
+const absolute = (url) => new URL(url, window.location.href).href;
+const LANG_PATH = absolute(languageData).replace(/\/[^/]*$/, '');
+
+// Pages render at twice PDF resolution (144 dpi), about what Tesseract wants for body text
+const RENDER_SCALE = 2;
+// Anything narrower or shorter is an icon, bullet or rule rather than text
+const MIN_IMAGE_SIZE = 48;
+const MAX_IMAGES = 40;
+const IMAGE_FILE = /\.(png|jpe?g|gif|bmp|tiff?|webp)$/i;
+const MEDIA_FOLDER = /^(word|ppt|xl)\/media\/|^Pictures\//;
+const ZIP_FORMATS = ['docx', 'pptx', 'xlsx', 'odt'];
+
+const canvasOf = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+// A PDF page drawn for recognition, and the mapping of recognized pixel boxes back to page space
+const renderPage = async (page) => {
+  const viewport = page.getViewport({ scale: RENDER_SCALE });
+  const canvas = canvasOf(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+  const toBox = ({ x0, y0, x1, y1 }) => {
+    const [ax, ay] = viewport.convertToPdfPoint(x0, y0);
+    const [bx, by] = viewport.convertToPdfPoint(x1, y1);
+    return [Math.min(ax, bx), Math.min(ay, by), Math.max(ax, bx), Math.max(ay, by)];
+  };
+  return { image: canvas, toBox };
+};
+
+// Decoded PDF image objects arrive as bitmaps, or as raw RGBA/RGB pixels; 1-bit masks are skipped
+const imageCanvas = ({ width, height, bitmap, data, kind }) => {
+  if (width < MIN_IMAGE_SIZE || height < MIN_IMAGE_SIZE) return null;
+  if (!bitmap && !(data && [pdfjsLib.ImageKind.RGBA_32BPP, pdfjsLib.ImageKind.RGB_24BPP].includes(kind))) return null;
+  const canvas = canvasOf(width, height);
+  const ctx = canvas.getContext('2d');
+  if (bitmap) {
+    ctx.drawImage(bitmap, 0, 0);
+  } else {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    if (kind === pdfjsLib.ImageKind.RGBA_32BPP) rgba.set(data.subarray(0, rgba.length));
+    else for (let i = 0, j = 0; j < rgba.length; i += 3, j += 4) rgba.set([data[i], data[i + 1], data[i + 2], 255], j);
+    ctx.putImageData(new ImageData(rgba, width, height), 0, 0);
+  }
+  return canvas;
+};
+
+const IMAGE_OPS = [pdfjsLib.OPS.paintImageXObject, pdfjsLib.OPS.paintImageXObjectRepeat, pdfjsLib.OPS.paintInlineImageXObject];
+
+// Pictures painted on a page that also has a text layer
+const pageImages = async (page) => {
+  const { fnArray, argsArray } = await page.getOperatorList();
+  const refs = [...new Set(fnArray.flatMap((fn, index) => IMAGE_OPS.includes(fn) ? [argsArray[index][0]] : []))];
+  const canvases = [];
+  for (const ref of refs) {
+    const objs = typeof ref === 'string' && ref.startsWith('g_') ? page.commonObjs : page.objs;
+    const image = typeof ref === 'string' ? await new Promise(resolve => objs.get(ref, resolve)) : ref;
+    const canvas = image && imageCanvas(image);
+    if (canvas) canvases.push(canvas);
+  }
+  return canvases;
+};
+
+// Pages without a text layer are read whole and stand in for the page text; pictures on the
+// other pages are read one by one
+const readPdf = async (file, read, onProgress) => {
+  const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()), verbosity: 0 }).promise;
+  try {
+    for (let i = 1; i <= pdf.numPages; i++) {
+      onProgress(Math.round(((i - 1) / pdf.numPages) * 100));
+      const page = await pdf.getPage(i);
+      const { items } = await page.getTextContent();
+      if (!items.some(item => item.str?.trim())) {
+        if (!await read({ part: 'OCR', label: `OCR (page ${i})`, included: true, page: i, ...await renderPage(page) })) return;
+        continue;
+      }
+      const canvases = await pageImages(page);
+      for (const [index, image] of canvases.entries()) {
+        if (!await read({ part: 'Image Text', label: `Image Text (page ${i}, image ${index + 1})`, included: false, page: i, image })) return;
+      }
+    }
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+// Office packages keep their pictures as files under a media folder
+const readPackage = async (file, read, onProgress) => {
+  const zip = await JSZip.loadAsync(await file.arrayBuffer());
+  const entries = Object.values(zip.files).filter(entry => !entry.dir && MEDIA_FOLDER.test(entry.name) && IMAGE_FILE.test(entry.name));
+  for (const [index, entry] of entries.entries()) {
+    onProgress(Math.round((index / entries.length) * 100));
+    const image = await entry.async('blob');
+    // Formats the browser cannot decode (TIFF) go to Tesseract unchecked
+    const bitmap = await createImageBitmap(image).catch(() => null);
+    const tooSmall = bitmap && (bitmap.width < MIN_IMAGE_SIZE || bitmap.height < MIN_IMAGE_SIZE);
+    bitmap?.close();
+    if (tooSmall) continue;
+    if (!await read({ part: 'Image Text', label: `Image Text (${entry.name.split('/').pop()})`, included: false, image })) return;
+  }
+};
+
+// Words of a Tesseract result as lines, an empty line closing each paragraph
+const recognizedLines = (blocks, toBox) => (blocks || []).flatMap(block => block.paragraphs.flatMap(paragraph => [
+  ...paragraph.lines.map(line => line.words
+    .filter(word => word.text.trim())
+    .map(word => ({ text: word.text, confidence: word.confidence, box: toBox ? toBox(word.bbox) : null }))),
+  []
+]));
+
+// Runs local OCR over a scanned file's images and adds what it reads to the scan result, so the
+// recognized text goes through the same detectors and every finding from it carries a confidence.
+// Text from image-only PDF pages joins the sanitized output; text from pictures elsewhere is kept
+// as a dropped part like other content the reader does not see as text. The Tesseract worker only
+// starts once there is an image to read.
+export const recognizeImages = async (file, result, { rules, fuzzyThreshold, riskThresholds, signal, onProgress = () => {} } = {}) => {
+  const readDocument = result.format === 'pdf' ? readPdf : ZIP_FORMATS.includes(result.format) ? readPackage : null;
+  if (!readDocument) return result;
+
+  const aborted = new Promise((_, reject) => signal?.addEventListener('abort', () => reject(signal.reason), { once: true }));
+  aborted.catch(() => {});
+  const images = [];
+  let starting = null;
+  let count = 0;
+
+  // Reads one image; false once the image budget is spent
+  const read = async ({ image, toBox, ...source }) => {
+    signal?.throwIfAborted();
+    starting = starting || createWorker('eng', OEM.LSTM_ONLY, {
+      workerPath: absolute(workerPath), corePath: absolute(corePath), langPath: LANG_PATH, workerBlobURL: false, cacheMethod: 'none'
+    });
+    const worker = await Promise.race([starting, aborted]);
+    const { data } = await Promise.race([worker.recognize(image, {}, { text: true, blocks: true }), aborted]);
+    if (data.text.trim()) images.push({ ...source, confidence: data.confidence, lines: recognizedLines(data.blocks, toBox) });
+    return ++count < MAX_IMAGES;
+  };
+
+  try {
+    await readDocument(file, read, onProgress);
+  } finally {
+    starting?.then(worker => worker.terminate(), () => {});
+  }
+  onProgress(100);
+  return appendParts(result, scanRecognizedText(images, { rules, fuzzyThreshold }), { riskThresholds });
+};
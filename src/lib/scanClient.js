@@ -0,0 +1,40 @@
+// Runs scanDocument in a dedicated worker. Each scan gets its own worker so cancelling is
+// just terminating it; partial findings arrive through onIssues before the final result.
+export const scanInWorker = (data, options, { onProgress = () => {}, onIssues = () => {}, signal } = {}) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Scan cancelled', 'AbortError'));
+      return;
+    }
+
+    const worker = new Worker(new URL('./scanWorker.js', import.meta.url), { type: 'module' });
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', abort);
+    };
+    const abort = () => {
+      finish();
+      reject(new DOMException('Scan cancelled', 'AbortError'));
+    };
+    signal?.addEventListener('abort', abort);
+
+    worker.onmessage = ({ data: message }) => {
+      if (message.type === 'progress') onProgress(message.value);
+      else if (message.type === 'issues') onIssues(message.issues);
+      else if (message.type === 'done') {
+        finish();
+        resolve(message.result);
+      } else if (message.type === 'error') {
+        finish();
+        reject(new Error(message.message));
+      }
+    };
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || 'Scan worker failed'));
+    };
+
+    worker.postMessage({ data, options }, [data]);
+  });
+
+export const isAbortError = (e) => e?.name === 'AbortError';
@@ -0,0 +1,21 @@
+import * as pdfjsLib from 'pdfjs-dist';
+// Loading the pdf.js worker module here registers it globally, so pdf.js parses on this
+// thread instead of spawning a nested worker
+import 'pdfjs-dist/build/pdf.worker.min.mjs';
+import { DOMParser } from '@xmldom/xmldom';
+import { scanDocument } from './scanner';
+
+self.onmessage = async ({ data: { data, options } }) => {
+  try {
+    const result = await scanDocument(data, {
+      ...options,
+      pdfjs: pdfjsLib,
+      DOMParser,
+      onProgress: value => self.postMessage({ type: 'progress', value }),
+      onIssues: issues => issues.length > 0 && self.postMessage({ type: 'issues', issues })
+    });
+    self.postMessage({ type: 'done', result });
+  } catch (e) {
+    self.postMessage({ type: 'error', message: e.message });
+  }
+};
@@ -0,0 +1,99 @@
+// Chunk size and overlap in estimated tokens
+export const DEFAULT_CHUNKING = { size: 512, overlap: 64 };
+
+const WORD_RE = /\S+\s*/g;
+
+// A rough BPE estimate without shipping a tokenizer: a word costs a token per five letters or
+// digits, and every other symbol costs one. Close to GPT-style counts for English prose.
+export const estimateTokens = (text) =>
+  (text.match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || []).reduce((sum, word) => sum + Math.ceil(word.length / 5), 0);
+
+// Returns an error message for unusable settings, or null when they are fine
+export const validateChunking = ({ size, overlap }) => {
+  if (!Number.isInteger(size) || !Number.isInteger(overlap)) return 'Chunk size and overlap must be whole numbers';
+  if (size < 32) return 'Chunks must hold at least 32 tokens';
+  if (overlap < 0 || overlap > size / 2) return 'Overlap must be between 0 and half the chunk size';
+  return null;
+};
+
+// Pieces of one word small enough to estimate on their own: up to five letters or digits (what
+// a token is estimated to hold), one other symbol, or trailing whitespace
+const WORD_PART_RE = /[\p{L}\p{N}]{1,5}|[^\s\p{L}\p{N}]|\s+/gu;
+
+// Cuts text into pieces of at most `limit` tokens at word boundaries, and a single word longer
+// than that (a URL, a Base64 blob) inside it. Estimates never span whitespace, and a run of letters
+// cut every five costs what it did whole, so the counts of the parts simply add up here and below.
+const splitWords = (text, limit) => {
+  const pieces = [];
+  let piece = '';
+  let tokens = 0;
+  const add = (part) => {
+    const cost = estimateTokens(part);
+    if (piece && tokens + cost > limit) {
+      pieces.push(piece.trim());
+      piece = '';
+      tokens = 0;
+    }
+    piece += part;
+    tokens += cost;
+  };
+  for (const [word] of text.matchAll(WORD_RE)) {
+    if (estimateTokens(word) <= limit) add(word);
+    else for (const [part] of word.matchAll(WORD_PART_RE)) add(part);
+  }
+  if (piece.trim()) pieces.push(piece.trim());
+  return pieces;
+};
+
+// The last words of a chunk, up to `limit` tokens, carried into the next one
+const tail = (text, limit) => {
+  const words = text.match(WORD_RE) || [];
+  let out = '';
+  let tokens = 0;
+  for (let i = words.length - 1; i >= 0 && tokens + estimateTokens(words[i]) <= limit; i--) {
+    tokens += estimateTokens(words[i]);
+    out = words[i] + out;
+  }
+  return out.trim();
+};
+
+// Packs Markdown blocks (split on blank lines) into chunks of about `size` tokens, so tables, lists
+// and paragraphs stay whole where they fit; a block too long for one chunk is cut between words,
+// and a word too long for one inside it.
+// Each chunk after the first starts with the last `overlap` tokens of the one before.
+export const chunkText = (text, { size = DEFAULT_CHUNKING.size, overlap = DEFAULT_CHUNKING.overlap } = {}) => {
+  const room = size - overlap;
+  const blocks = text.split(/\n{2,}/).map(block => block.trim()).filter(Boolean)
+    .flatMap(block => estimateTokens(block) <= room ? [block] : splitWords(block, room));
+
+  // `fresh` marks a chunk that holds more than the overlap it started with
+  const chunks = [];
+  let current = [];
+  let tokens = 0;
+  let fresh = false;
+  blocks.forEach(block => {
+    const cost = estimateTokens(block);
+    if (fresh && tokens + cost > size) {
+      const body = current.join('\n\n');
+      chunks.push(body);
+      current = overlap > 0 ? [tail(body, overlap)].filter(Boolean) : [];
+      tokens = estimateTokens(current.join(''));
+      fresh = false;
+    }
+    current.push(block);
+    tokens += cost;
+    fresh = true;
+  });
+  if (fresh) chunks.push(current.join('\n\n'));
+
+  return chunks.map((body, index) => ({ index, text: body, tokens: estimateTokens(body) }));
+};
+
+// One JSON object per line, ready for a vector store loader: ids are stable for the same file
+export const chunksToJsonl = (chunks, { source, sha256 }) => chunks.map(({ index, text, tokens }) => JSON.stringify({
+  id: `${(sha256 || '').slice(0, 16) || source}-${index}`,
+  source,
+  chunk: index,
+  tokens,
+  text
+})).join('\n') + '\n';
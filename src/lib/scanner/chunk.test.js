@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { chunkText, chunksToJsonl, estimateTokens, validateChunking } from './chunk.js';
+
+describe('estimateTokens', () => {
+  it('counts a token per five letters and one per symbol', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('hello')).toBe(1);
+    expect(estimateTokens('instructions!')).toBe(4);
+  });
+});
+
+describe('chunkText', () => {
+  const paragraphs = Array.from({ length: 40 }, (_, i) => `Paragraph ${i} has a few plain words in it.`).join('\n\n');
+
+  it('keeps short text in one chunk', () => {
+    expect(chunkText('One short paragraph.')).toEqual([{ index: 0, text: 'One short paragraph.', tokens: 5 }]);
+  });
+
+  it('splits long text into chunks within the size that overlap', () => {
+    const chunks = chunkText(paragraphs, { size: 64, overlap: 8 });
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(chunk.tokens).toBeLessThanOrEqual(64));
+    const [first, second] = chunks;
+    expect(first.text.endsWith(second.text.split('\n\n')[0])).toBe(true);
+  });
+
+  it('cuts a block too long for one chunk between words', () => {
+    const chunks = chunkText('word '.repeat(200), { size: 32, overlap: 0 });
+    chunks.forEach(chunk => expect(chunk.tokens).toBeLessThanOrEqual(32));
+    expect(chunks.map(chunk => chunk.text).join(' ').split(' ')).toHaveLength(200);
+  });
+
+  it('cuts a word too long for one chunk', () => {
+    const word = 'x'.repeat(5000);
+    const chunks = chunkText(`Intro. ${word} Outro.`, { size: 64, overlap: 8 });
+    chunks.forEach(chunk => expect(chunk.tokens).toBeLessThanOrEqual(64));
+    expect(chunks.map(chunk => chunk.text).join('').replace(/[^x]/g, '')).toHaveLength(5000);
+  });
+});
+
+describe('chunksToJsonl', () => {
+  it('writes one object per line with stable ids', () => {
+    const jsonl = chunksToJsonl(chunkText('a b c'), { source: 'a.txt', sha256: 'ab'.repeat(32) });
+    expect(JSON.parse(jsonl.trim())).toEqual({ id: `${'ab'.repeat(8)}-0`, source: 'a.txt', chunk: 0, tokens: 3, text: 'a b c' });
+  });
+});
+
+describe('validateChunking', () => {
+  it('rejects tiny chunks and oversized overlaps', () => {
+    expect(validateChunking({ size: 512, overlap: 64 })).toBeNull();
+    expect(validateChunking({ size: 16, overlap: 0 })).toMatch(/32/);
+    expect(validateChunking({ size: 64, overlap: 40 })).toMatch(/Overlap/);
+  });
+});
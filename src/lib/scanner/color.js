@@ -0,0 +1,36 @@
+export const WHITE = '#ffffff';
+
+// Accepts "#rrggbb", "rrggbb" or an [r, g, b] triple (0-255)
+export const parseColor = (value) => {
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) return Array.from(value).slice(0, 3);
+  if (typeof value !== 'string') return null;
+  const hex = value.replace(/^#/, '');
+  if (!/^[0-9a-f]{6}/i.test(hex)) return null;
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+};
+
+const channelLuminance = (channel) => {
+  const c = channel / 255;
+  return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+};
+
+const luminance = ([r, g, b]) =>
+  0.2126 * channelLuminance(r) + 0.7152 * channelLuminance(g) + 0.0722 * channelLuminance(b);
+
+// WCAG contrast ratio, from 1 (identical) to 21 (black on white)
+export const contrastRatio = (a, b) => {
+  const la = luminance(parseColor(a));
+  const lb = luminance(parseColor(b));
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+};
+
+// Below this ratio text is effectively unreadable against its background
+export const MIN_READABLE_CONTRAST = 1.2;
+
+export const isUnreadableOn = (foreground, background) =>
+  !!parseColor(foreground) && !!parseColor(background) && contrastRatio(foreground, background) < MIN_READABLE_CONTRAST;
+
+export const toHex = (value) => {
+  const rgb = parseColor(value);
+  return rgb ? `#${rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}` : null;
+};
@@ -0,0 +1,51 @@
+import { activeRules, compileRule } from './rules.js';
+import { normalizeWithMap } from './unicode.js';
+import { DEFAULT_FUZZY_THRESHOLD, skeleton, skeletonWithMap, maxEdits, approximateMatches, onWordBoundaries, phraseWords, withinWordEdits } from './fuzzy.js';
+
+// Returns every rule hit as a [start, end) range into the original, un-normalized text.
+// Phrases are matched as whole words on the folded skeleton (within `fuzzyThreshold` edits per
+// character, and at most one edit in each word of seven letters or more), regex rules on the
+// Unicode-normalized text.
+export const findKeywordMatches = (text, rules, { fuzzyThreshold = DEFAULT_FUZZY_THRESHOLD } = {}) => {
+  const { text: normalized, starts, ends } = normalizeWithMap(text, { decodeTags: true });
+  const folded = skeletonWithMap(normalized);
+  const matches = [];
+
+  const push = (rule, from, to, form, distance) => {
+    const start = starts[from];
+    const end = ends[to];
+    matches.push({ rule, keyword: rule.pattern, start, end, matched: text.slice(start, end), normalized: form, distance });
+  };
+
+  activeRules(rules).forEach(rule => {
+    if (rule.kind === 'regex') {
+      for (const match of normalized.matchAll(compileRule(rule))) {
+        if (match[0].length === 0) continue;
+        push(rule, match.index, match.index + match[0].length - 1, match[0], 0);
+      }
+      return;
+    }
+
+    const target = skeleton(rule.pattern);
+    const words = phraseWords(rule.pattern);
+    const accept = (start, end) => onWordBoundaries(normalized, folded, start, end) &&
+      withinWordEdits(folded, start, end, words, fuzzyThreshold);
+    approximateMatches(folded.text, target, maxEdits(target, fuzzyThreshold), accept).forEach(({ start, end, distance }) => {
+      push(rule, folded.index[start], folded.index[end - 1], folded.text.slice(start, end), distance);
+    });
+  });
+
+  return matches.sort((a, b) => a.start - b.start);
+};
+
+// Finding fields shared by every format: what was in the file and what it was matched as
+export const matchFields = (match) => ({
+  rule: match.rule.id,
+  severity: match.rule.severity,
+  matched: match.matched,
+  normalized: match.normalized,
+  distance: match.distance
+});
+
+export const fuzzyNote = (match) =>
+  match.distance > 0 ? ` (fuzzy, ${match.distance} edit${match.distance > 1 ? 's' : ''})` : '';
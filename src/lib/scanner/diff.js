@@ -0,0 +1,148 @@
+// Edits beyond which a diff stops looking for the shortest script and reports a plain replacement;
+// memory grows with the square of this
+const MAX_EDITS = 2000;
+
+const splitLines = (text) => text.match(/[^\n]*\n|[^\n]+/g) || [];
+const splitWords = (text) => text.match(/\s+|[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || [];
+
+// Myers' O(ND) diff: the shortest edit script turning `a` into `b` as `[op, count]` pairs ('=' kept,
+// '-' deleted, '+' inserted), or null when it takes more than `maxEdits` edits
+const editScript = (a, b, maxEdits = MAX_EDITS) => {
+  const n = a.length;
+  const m = b.length;
+  const limit = Math.min(n + m, maxEdits);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  // trace[d] holds the furthest x on each diagonal k in [-d, d] after d edits, at index k + d
+  const trace = [];
+  for (let d = 0; d <= limit; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        trace.push(v.slice(offset - d, offset + d + 1));
+        return backtrack(trace, n, m);
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+  return null;
+};
+
+const backtrack = (trace, n, m) => {
+  const ops = [];
+  const push = (op, count) => {
+    if (count === 0) return;
+    const last = ops[ops.length - 1];
+    if (last && last[0] === op) last[1] += count;
+    else ops.push([op, count]);
+  };
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d - 1];
+    const k = x - y;
+    const inserted = k === -d || (k !== d && previous[k - 1 + d - 1] < previous[k + 1 + d - 1]);
+    const previousK = inserted ? k + 1 : k - 1;
+    const previousX = previous[previousK + d - 1];
+    push('=', x - (inserted ? previousX : previousX + 1));
+    push(inserted ? '+' : '-', 1);
+    x = previousX;
+    y = previousX - previousK;
+  }
+  push('=', x);
+  return ops.reverse();
+};
+
+// Kept and changed stretches of two token lists; `before`/`after` are joined token text
+const hunks = (a, b, ops) => {
+  const out = [];
+  let i = 0;
+  let j = 0;
+  ops.forEach(([op, count]) => {
+    if (op === '=') {
+      out.push({ text: a.slice(i, i + count).join('') });
+      i += count;
+      j += count;
+      return;
+    }
+    let last = out[out.length - 1];
+    if (!last || last.text !== undefined) {
+      last = { before: '', after: '' };
+      out.push(last);
+    }
+    if (op === '-') {
+      last.before += a.slice(i, i + count).join('');
+      i += count;
+    } else {
+      last.after += b.slice(j, j + count).join('');
+      j += count;
+    }
+  });
+  return out;
+};
+
+const diffWords = (before, after) => {
+  const a = splitWords(before);
+  const b = splitWords(after);
+  const ops = editScript(a, b);
+  return ops ? hunks(a, b, ops) : [{ before, after }];
+};
+
+const isChange = (piece) => piece !== undefined && piece.text === undefined;
+
+const changeLength = (piece) => Math.max(piece.before.length, piece.after.length);
+
+// A short stretch of one line kept between two longer changes is a coincidence (a space or
+// bracket both versions happen to share), so it joins them: a phrase swapped for a placeholder is
+// one change, not one per word that lines up
+const bridges = (piece, last, next) => !isChange(piece) && isChange(last) && isChange(next)
+  && !piece.text.includes('\n') && piece.text.length <= Math.min(changeLength(last), changeLength(next));
+
+const mergeChanges = (pieces) => pieces.reduce((merged, piece, index) => {
+  const last = merged[merged.length - 1];
+  if (bridges(piece, last, pieces[index + 1])) {
+    last.before += piece.text;
+    last.after += piece.text;
+  } else if (isChange(piece) && isChange(last)) {
+    last.before += piece.before;
+    last.after += piece.after;
+  } else if (!isChange(piece) && last && !isChange(last)) {
+    last.text += piece.text;
+  } else {
+    merged.push({ ...piece });
+  }
+  return merged;
+}, []);
+
+// Word-level diff of two texts: kept segments `{ text }` and changes `{ change, before, after, start,
+// end }`, numbered from 0, where `start`/`end` locate `before` in the first text. Lines are compared
+// first and only changed lines word by word, which keeps long documents fast.
+export const diffTexts = (before, after) => {
+  const a = splitLines(before);
+  const b = splitLines(after);
+  const ops = editScript(a, b);
+  const lineHunks = ops ? hunks(a, b, ops) : [{ before, after }];
+  const pieces = mergeChanges(lineHunks.flatMap(hunk => (
+    hunk.text === undefined && hunk.before && hunk.after ? diffWords(hunk.before, hunk.after) : [hunk]
+  )));
+
+  let offset = 0;
+  let count = 0;
+  return pieces.filter(piece => piece.text !== '').map(piece => {
+    const start = offset;
+    offset += (piece.text ?? piece.before).length;
+    return piece.text !== undefined ? piece : { change: count++, ...piece, start, end: offset };
+  });
+};
+
+// The second text again, with the listed changes (by number) taken back to the first text's version
+export const revertChanges = (segments, reverted) => {
+  const undone = new Set(reverted);
+  return segments.map(segment => segment.text ?? (undone.has(segment.change) ? segment.before : segment.after)).join('');
+};
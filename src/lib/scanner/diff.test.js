@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { diffTexts, revertChanges } from './diff.js';
+
+describe('diffTexts', () => {
+  it('has no changes for equal texts', () => {
+    expect(diffTexts('same text\n', 'same text\n')).toEqual([{ text: 'same text\n' }]);
+  });
+
+  it('reports a swapped phrase as one change located in the first text', () => {
+    const before = 'Read this. Ignore previous instructions now.\nNext line.\n';
+    const after = 'Read this. [PROMPT INJECTION REMOVED] now.\nNext line.\n';
+    const changes = diffTexts(before, after).filter(segment => segment.text === undefined);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ change: 0, before: 'Ignore previous instructions', after: '[PROMPT INJECTION REMOVED]' });
+    expect(before.slice(changes[0].start, changes[0].end)).toBe('Ignore previous instructions');
+  });
+
+  it('round-trips: no reverts gives the second text, all reverts the first', () => {
+    const before = 'one two three\nfour five\nsix\n';
+    const after = 'one 2 three\nfour\nsix\nseven\n';
+    const segments = diffTexts(before, after);
+    const all = segments.filter(segment => segment.text === undefined).map(segment => segment.change);
+    expect(revertChanges(segments, [])).toBe(after);
+    expect(revertChanges(segments, all)).toBe(before);
+  });
+});
@@ -0,0 +1,167 @@
+import { createFormatResolver } from './docxFormat.js';
+import { contrastRatio, isUnreadableOn } from './color.js';
+import { shiftRanges } from './ranges.js';
+import { scanText, layoutParagraphs, joinParts } from './story.js';
+import { openPackage, closest, scanPropertyParts } from './ooxml.js';
+
+// Story parts that hold runs. `included` decides whether a part reaches the sanitized text.
+export const STORY_PARTS = [
+  { pattern: /^word\/document\.xml$/, part: () => 'Body', included: true },
+  { pattern: /^word\/header(\d*)\.xml$/, part: m => `Header ${m[1] || 1}`, included: true },
+  { pattern: /^word\/footer(\d*)\.xml$/, part: m => `Footer ${m[1] || 1}`, included: true },
+  { pattern: /^word\/footnotes\.xml$/, part: () => 'Footnotes', included: true, entries: 'w:footnote', label: el => `Footnote ${el.getAttribute('w:id')}` },
+  { pattern: /^word\/endnotes\.xml$/, part: () => 'Endnotes', included: true, entries: 'w:endnote', label: el => `Endnote ${el.getAttribute('w:id')}` },
+  { pattern: /^word\/comments\.xml$/, part: () => 'Comments', included: false, entries: 'w:comment', label: el => `Comment by ${el.getAttribute('w:author') || 'unknown'}` },
+  { pattern: /^word\/glossary\/document\.xml$/, part: () => 'Glossary', included: false }
+];
+
+// Footnote/endnote separators are layout placeholders, not content
+const SEPARATOR_TYPES = ['separator', 'continuationSeparator', 'continuationNotice'];
+
+const partOrder = (path) => {
+  const index = STORY_PARTS.findIndex(({ pattern }) => pattern.test(path));
+  const number = parseInt((path.match(/(\d+)\.xml$/) || [])[1] || '0', 10);
+  return index * 1000 + number;
+};
+
+// Elements between a w:t and its run that mean the text belongs to something the run anchors
+// (a text box, or either copy of an mc:AlternateContent drawing) rather than to the run itself
+const NESTED_CONTENT = ["w:r", "w:txbxContent", "mc:AlternateContent"];
+
+const ownsText = (rNode, tNode) => {
+  for (let current = tNode.parentNode; current && current !== rNode; current = current.parentNode) {
+    if (NESTED_CONTENT.includes(current.nodeName)) return false;
+  }
+  return true;
+};
+
+// The run's own text; a text box anchored in it is scanned as its own paragraphs
+export const runText = (rNode) => Array.from(rNode.getElementsByTagName("w:t"))
+  .filter(node => ownsText(rNode, node))
+  .map(node => node.textContent)
+  .join("");
+
+// Formatting that keeps a run's text from the reader
+export const hiddenRunFindings = (format) => {
+  const findings = [];
+  if (format.vanish || format.specVanish) {
+    findings.push({ type: 'Vanished Text', detail: `Hidden run (${format.vanish ? 'w:vanish' : 'w:specVanish'} from ${format.vanish || format.specVanish})`, severity: 'high' });
+  }
+  if (format.color && isUnreadableOn(format.color, format.background.color)) {
+    findings.push({
+      type: 'Hidden Text',
+      detail: `Colour ${format.color} (${format.colorSource}) on ${format.background.color} ${format.background.source}, contrast ${contrastRatio(format.color, format.background.color).toFixed(2)}:1`,
+      severity: 'high'
+    });
+  }
+  if (format.size <= 8) { // Sz is double points, so 4pt = 8sz
+    findings.push({ type: 'Micro-text', detail: `Suspiciously small font size (${format.size / 2}pt from ${format.sizeSource})`, severity: 'medium' });
+  }
+  return findings;
+};
+
+export const readFormatter = async ({ readXml, readOptionalXml }) => createFormatResolver({
+  stylesDoc: await readOptionalXml("word/styles.xml"),
+  themeDoc: await readOptionalXml("word/theme/theme1.xml"),
+  settingsDoc: await readOptionalXml("word/settings.xml"),
+  documentDoc: await readXml("word/document.xml")
+});
+
+// Walks the paragraphs of one story, checking run formatting and paragraph text. Issue ranges
+// are relative to the returned story text, `paragraphRanges` to the finding's paragraph.
+const scanStory = (root, label, ctx) => {
+  const { formatter } = ctx;
+  const lines = [];
+  const found = [];
+  const paragraphs = Array.from(root.getElementsByTagName("w:p")).filter(p => !closest(p, "mc:Fallback"));
+
+  paragraphs.forEach((pNode, index) => {
+    const location = closest(pNode, "w:txbxContent") ? (label === 'Body' ? 'Text Box' : `${label} Text Box`) : label;
+    const runs = Array.from(pNode.getElementsByTagName("w:r")).filter(r => closest(r, "w:p") === pNode);
+    const at = { part: location, paragraph: index + 1, line: index };
+    let paragraphText = "";
+
+    runs.forEach(rNode => {
+      const deletion = closest(rNode, "w:del");
+      if (deletion) {
+        const deleted = Array.from(rNode.getElementsByTagName("w:delText")).map(node => node.textContent).join("");
+        if (deleted.trim().length > 0) {
+          found.push({
+            type: 'Deleted Revision',
+            detail: `Tracked deletion by ${deletion.getAttribute('w:author') || 'unknown'} still stored in the file`,
+            context: deleted,
+            ...at,
+            severity: 'medium'
+          });
+          // Deleted text never reaches the extracted text, so its findings carry no ranges
+          scanText(deleted, ctx).forEach(finding => found.push({ ...finding, ...at, line: null }));
+        }
+        return;
+      }
+
+      const text = runText(rNode);
+      if (!text) return;
+      const range = { start: paragraphText.length, end: paragraphText.length + text.length };
+      paragraphText += text;
+      if (text.trim().length === 0) return;
+
+      hiddenRunFindings(formatter.resolve(rNode, pNode)).forEach(finding => {
+        found.push({ ...finding, context: text, ...at, ranges: [range] });
+      });
+    });
+
+    scanText(paragraphText, ctx).forEach(finding => found.push({ ...finding, ...at }));
+    lines.push(paragraphText);
+  });
+
+  const { text, offsets } = layoutParagraphs(lines);
+  // `paragraphRanges` keep the offsets within the paragraph, for marking the rendered document
+  const issues = found.map(({ line, ranges, ...issue }) => (
+    ranges && line !== null && offsets[line] !== null ? { ...issue, ranges: shiftRanges(ranges, offsets[line]), paragraphRanges: ranges } : issue
+  ));
+  return { text, issues };
+};
+
+export const scanDocx = async (data, { DOMParser = globalThis.DOMParser, rules, fuzzyThreshold, signal, onProgress = () => {}, onIssues = () => {} } = {}) => {
+  if (!DOMParser) throw new Error('scanDocx requires a DOMParser implementation');
+
+  onProgress(10);
+  const pkg = await openPackage(data, DOMParser);
+  if (!pkg.has("word/document.xml")) throw new Error('Not a Word document: word/document.xml is missing');
+  const { readXml } = pkg;
+  const formatter = await readFormatter(pkg);
+
+  const storyPaths = pkg.paths()
+    .filter(path => STORY_PARTS.some(({ pattern }) => pattern.test(path)))
+    .sort((a, b) => partOrder(a) - partOrder(b));
+  const total = storyPaths.length + 1;
+
+  const parts = [];
+  const ctx = { formatter, rules, fuzzyThreshold };
+
+  for (const [index, path] of storyPaths.entries()) {
+    signal?.throwIfAborted();
+    onProgress(10 + Math.round((index / total) * 85));
+    const partStart = parts.length;
+    const spec = STORY_PARTS.find(({ pattern }) => pattern.test(path));
+    const part = spec.part(path.match(spec.pattern));
+    const xmlDoc = await readXml(path);
+
+    if (spec.entries) {
+      Array.from(xmlDoc.getElementsByTagName(spec.entries))
+        .filter(el => !SEPARATOR_TYPES.includes(el.getAttribute('w:type')))
+        .forEach(el => {
+          const label = spec.label(el);
+          parts.push({ part, label, included: spec.included, ...scanStory(el, label, ctx) });
+        });
+    } else {
+      parts.push({ part, label: part, included: spec.included, ...scanStory(xmlDoc, part, ctx) });
+    }
+    onIssues(parts.slice(partStart).flatMap(p => p.issues));
+  }
+
+  parts.push(...await scanPropertyParts(pkg, ctx, onIssues));
+  onProgress(100);
+
+  return { ...joinParts(parts), pageCount: 1 };
+};
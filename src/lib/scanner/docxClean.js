@@ -0,0 +1,211 @@
+import { findKeywordMatches } from './detect.js';
+import { cleanUnicodePieces } from './unicode.js';
+import { findLures } from './lures.js';
+import { openPackage, closest, elementChildren } from './ooxml.js';
+import { STORY_PARTS, hiddenRunFindings, readFormatter, runText } from './docx.js';
+import { redactsByDefault } from './rules.js';
+
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+const DECLARATION_RE = /^\uFEFF?<\?xml[^>]*\?>/;
+
+// Markers that only mean something while a revision or comment is still pending
+const REVISION_MARKS = [
+  'w:rPrChange', 'w:pPrChange', 'w:sectPrChange', 'w:tblPrChange', 'w:tblPrExChange', 'w:trPrChange', 'w:tcPrChange',
+  'w:tblGridChange', 'w:numberingChange', 'w:cellIns', 'w:cellDel', 'w:cellMerge',
+  'w:moveFromRangeStart', 'w:moveFromRangeEnd', 'w:moveToRangeStart', 'w:moveToRangeEnd',
+  'w:customXmlInsRangeStart', 'w:customXmlInsRangeEnd', 'w:customXmlDelRangeStart', 'w:customXmlDelRangeEnd',
+  'w:customXmlMoveFromRangeStart', 'w:customXmlMoveFromRangeEnd', 'w:customXmlMoveToRangeStart', 'w:customXmlMoveToRangeEnd'
+];
+const COMMENT_MARKS = ['w:commentRangeStart', 'w:commentRangeEnd', 'w:commentReference'];
+const COMMENT_PARTS = ['word/comments.xml', 'word/commentsExtended.xml', 'word/commentsIds.xml', 'word/commentsExtensible.xml', 'word/people.xml'];
+
+// Who wrote the file, where and for whom; creation and modification dates are kept
+const CORE_KEPT = ['dcterms:created', 'dcterms:modified'];
+const APP_DROPPED = ['Company', 'Manager', 'HyperlinkBase', 'Template', 'TitlesOfParts', 'HeadingPairs'];
+
+const remove = (node) => node.parentNode?.removeChild(node);
+
+const unwrap = (node) => {
+  while (node.firstChild) node.parentNode.insertBefore(node.firstChild, node);
+  remove(node);
+};
+
+const elements = (root, ...names) => names.flatMap(name => Array.from(root.getElementsByTagName(name)));
+
+const setText = (tNode, text) => {
+  tNode.textContent = text;
+  tNode.setAttributeNS(XML_NS, 'xml:space', 'preserve');
+};
+
+// Accepts every tracked change: deletions and moved-away text go, insertions and moved-in text
+// stay as ordinary content. Marks inside run or row properties record an inserted or deleted
+// paragraph mark or table row, so only a deleted row takes its content with it.
+const acceptRevisions = (root) => {
+  let count = 0;
+  elements(root, 'w:del', 'w:ins', 'w:moveFrom', 'w:moveTo').forEach(node => {
+    count++;
+    const owner = node.parentNode?.nodeName;
+    if (owner === 'w:trPr' && node.nodeName === 'w:del') remove(closest(node, 'w:tr'));
+    else if (owner === 'w:rPr' || owner === 'w:trPr') remove(node);
+    else if (node.nodeName === 'w:del' || node.nodeName === 'w:moveFrom') remove(node);
+    else unwrap(node);
+  });
+  elements(root, ...REVISION_MARKS).forEach(node => {
+    if (node.nodeName.endsWith('Change')) count++;
+    remove(node);
+  });
+  return count;
+};
+
+const stripCommentMarks = (root) => {
+  const marks = elements(root, ...COMMENT_MARKS);
+  marks.forEach(node => {
+    const run = node.nodeName === 'w:commentReference' ? node.parentNode : null;
+    remove(node);
+    if (run && elementChildren(run).every(c => c.nodeName === 'w:rPr')) remove(run);
+  });
+  return marks.length;
+};
+
+// Runs the scanner would flag as hidden (vanished, unreadable colour, micro-text), wherever they
+// sit, including the fallback copies of text boxes that older readers show
+const removeHiddenRuns = (root, formatter) => {
+  const hidden = Array.from(root.getElementsByTagName('w:r')).filter(rNode => {
+    const text = runText(rNode);
+    const pNode = closest(rNode, 'w:p');
+    return text.trim().length > 0 && pNode && hiddenRunFindings(formatter.resolve(rNode, pNode)).length > 0;
+  });
+  hidden.forEach(remove);
+  return hidden.length;
+};
+
+// Overlapping hits collapse into one span, labelled by the first
+const mergeMatches = (matches) => matches
+  .sort((a, b) => a.start - b.start)
+  .reduce((spans, { start, end, type }) => {
+    const last = spans[spans.length - 1];
+    if (last && start < last.end) last.end = Math.max(last.end, end);
+    else spans.push({ start, end, type });
+    return spans;
+  }, []);
+
+// Redacts rule hits above low severity and lures across the runs of each paragraph and cleans invisible and homoglyph
+// characters. The placeholder goes in the run where a hit starts, so it takes that run's
+// formatting; the rest of the hit is trimmed out of the runs that follow.
+const rewriteParagraphs = (root, { rules, fuzzyThreshold }) => {
+  const counts = { redactions: 0, unicodeRuns: 0 };
+  Array.from(root.getElementsByTagName('w:p')).forEach(pNode => {
+    const nodes = Array.from(pNode.getElementsByTagName('w:t')).filter(t => closest(t, 'w:p') === pNode);
+    if (nodes.length === 0) return;
+
+    let offset = 0;
+    const segments = nodes.map(node => {
+      const segment = { node, start: offset, end: offset + node.textContent.length };
+      offset = segment.end;
+      return segment;
+    });
+    const paragraph = segments.map(s => s.node.textContent).join('');
+    const spans = mergeMatches([
+      ...findKeywordMatches(paragraph, rules, { fuzzyThreshold })
+        .filter(({ rule }) => redactsByDefault(rule))
+        .map(({ start, end, rule }) => ({ start, end, type: rule.type })),
+      ...findLures(paragraph, { rules, fuzzyThreshold }).map(({ ranges: [range], type }) => ({ ...range, type }))
+    ]);
+
+    // Right to left, so offsets into the runs still hold after each replacement
+    spans.reverse().forEach(({ start, end, type }) => {
+      const covered = segments.filter(s => s.start < end && start < s.end);
+      covered.forEach((segment, index) => {
+        const text = segment.node.textContent;
+        const from = Math.max(start, segment.start) - segment.start;
+        const to = Math.min(end, segment.end) - segment.start;
+        setText(segment.node, text.slice(0, from) + (index === 0 ? `[${type.toUpperCase()} REMOVED]` : '') + text.slice(to));
+      });
+      counts.redactions++;
+    });
+
+    const texts = nodes.map(node => node.textContent);
+    cleanUnicodePieces(texts).forEach((text, index) => {
+      if (text === texts[index]) return;
+      counts.unicodeRuns++;
+      setText(nodes[index], text);
+    });
+  });
+  return counts;
+};
+
+const stripProperties = (path, doc) => {
+  const root = doc.documentElement;
+  const dropped = elementChildren(root).filter(node => {
+    if (path === 'docProps/core.xml') return !CORE_KEPT.includes(node.nodeName);
+    if (path === 'docProps/app.xml') return APP_DROPPED.includes(node.nodeName);
+    return true;
+  });
+  dropped.forEach(remove);
+  return dropped.length;
+};
+
+// Writes a copy of a Word document with what the scanner flags taken out: tracked changes
+// accepted, hidden runs deleted, rule hits redacted, invisible and homoglyph characters cleaned,
+// comments emptied and identifying document properties dropped. Only the XML parts that change
+// are rewritten; every other file in the package, media included, is carried over as stored.
+// Returns the new file and how many of each change were made.
+export const cleanDocx = async (data, {
+  DOMParser = globalThis.DOMParser,
+  XMLSerializer = globalThis.XMLSerializer,
+  rules,
+  fuzzyThreshold
+} = {}) => {
+  if (!DOMParser || !XMLSerializer) throw new Error('cleanDocx requires DOMParser and XMLSerializer implementations');
+
+  const pkg = await openPackage(data, DOMParser);
+  if (!pkg.has('word/document.xml')) throw new Error('Not a Word document: word/document.xml is missing');
+  const { zip } = pkg;
+  const formatter = await readFormatter(pkg);
+  const parser = new DOMParser();
+  const serializer = new XMLSerializer();
+  const changes = { revisions: 0, hiddenRuns: 0, redactions: 0, unicodeRuns: 0, comments: 0, properties: 0 };
+
+  // Serializers differ on whether they keep the XML declaration; Word expects the original one
+  const rewrite = async (path, edit) => {
+    const source = await zip.file(path).async('string');
+    const doc = parser.parseFromString(source, 'text/xml');
+    if (!edit(doc)) return;
+    const declaration = (source.match(DECLARATION_RE) || [''])[0].replace(/^\uFEFF/, '');
+    const xml = serializer.serializeToString(doc);
+    zip.file(path, declaration && !xml.startsWith('<?xml') ? `${declaration}\r\n${xml}` : xml);
+  };
+
+  const storyPaths = pkg.paths().filter(path => path !== 'word/comments.xml' && STORY_PARTS.some(({ pattern }) => pattern.test(path)));
+  for (const path of storyPaths) {
+    await rewrite(path, doc => {
+      const found = {
+        revisions: acceptRevisions(doc),
+        commentMarks: stripCommentMarks(doc),
+        hiddenRuns: removeHiddenRuns(doc, formatter),
+        ...rewriteParagraphs(doc, { rules, fuzzyThreshold })
+      };
+      ['revisions', 'hiddenRuns', 'redactions', 'unicodeRuns'].forEach(key => { changes[key] += found[key]; });
+      return Object.values(found).some(count => count > 0);
+    });
+  }
+
+  for (const path of COMMENT_PARTS.filter(pkg.has)) {
+    await rewrite(path, doc => {
+      const entries = elementChildren(doc.documentElement);
+      if (path === 'word/comments.xml') changes.comments += entries.length;
+      entries.forEach(remove);
+      return entries.length > 0;
+    });
+  }
+
+  for (const path of ['docProps/core.xml', 'docProps/app.xml', 'docProps/custom.xml'].filter(pkg.has)) {
+    await rewrite(path, doc => {
+      const count = stripProperties(path, doc);
+      changes.properties += count;
+      return count > 0;
+    });
+  }
+
+  return { data: await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' }), changes };
+};
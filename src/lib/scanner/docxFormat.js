@@ -0,0 +1,174 @@
+import { WHITE, toHex } from './color.js';
+import { child, closest, readThemeColors } from './ooxml.js';
+
+const HIGHLIGHT_COLORS = {
+  black: '#000000', blue: '#0000ff', cyan: '#00ffff', green: '#00ff00', magenta: '#ff00ff', red: '#ff0000',
+  yellow: '#ffff00', white: '#ffffff', darkBlue: '#000080', darkCyan: '#008080', darkGreen: '#008000',
+  darkMagenta: '#800080', darkRed: '#800000', darkYellow: '#808000', darkGray: '#808080', lightGray: '#c0c0c0'
+};
+
+// w:themeColor values → a:clrScheme element names; bg/text slots go through w:clrSchemeMapping
+const THEME_SLOTS = {
+  dark1: 'dk1', light1: 'lt1', dark2: 'dk2', light2: 'lt2', accent1: 'accent1', accent2: 'accent2',
+  accent3: 'accent3', accent4: 'accent4', accent5: 'accent5', accent6: 'accent6',
+  hyperlink: 'hlink', followedHyperlink: 'folHlink'
+};
+const DEFAULT_SCHEME_MAPPING = { background1: 'light1', text1: 'dark1', background2: 'light2', text2: 'dark2' };
+const MAPPING_ATTRIBUTES = { background1: 'w:bg1', text1: 'w:t1', background2: 'w:bg2', text2: 'w:t2' };
+
+// OOXML toggles are on unless explicitly switched off
+const isOn = (el) => !!el && !['0', 'false', 'off'].includes(el.getAttribute('w:val'));
+
+const readSchemeMapping = (settingsDoc) => {
+  const mapping = { ...DEFAULT_SCHEME_MAPPING };
+  const el = settingsDoc?.getElementsByTagName('w:clrSchemeMapping')[0];
+  Object.entries(MAPPING_ATTRIBUTES).forEach(([name, attribute]) => {
+    const value = el?.getAttribute(attribute);
+    if (value) mapping[name] = value;
+  });
+  return mapping;
+};
+
+// Applies w:themeTint / w:themeShade (hex 00-FF) to a resolved theme colour
+const adjust = (hex, tint, shade) => {
+  let rgb = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  if (tint) rgb = rgb.map(c => c * (parseInt(tint, 16) / 255) + 255 * (1 - parseInt(tint, 16) / 255));
+  if (shade) rgb = rgb.map(c => c * (parseInt(shade, 16) / 255));
+  return toHex(rgb);
+};
+
+const readRunProps = (rPr, source) => {
+  const props = {};
+  if (!rPr) return props;
+
+  const color = child(rPr, 'w:color');
+  if (color) {
+    props.color = {
+      val: color.getAttribute('w:val'),
+      theme: color.getAttribute('w:themeColor'),
+      tint: color.getAttribute('w:themeTint'),
+      shade: color.getAttribute('w:themeShade'),
+      source
+    };
+  }
+  const sz = child(rPr, 'w:sz');
+  if (sz) props.sz = { val: parseInt(sz.getAttribute('w:val'), 10), source };
+  const vanish = child(rPr, 'w:vanish');
+  if (vanish) props.vanish = { val: isOn(vanish), source };
+  const specVanish = child(rPr, 'w:specVanish');
+  if (specVanish) props.specVanish = { val: isOn(specVanish), source };
+  const highlight = child(rPr, 'w:highlight');
+  if (highlight) props.highlight = { val: highlight.getAttribute('w:val'), source };
+  const shd = child(rPr, 'w:shd');
+  if (shd) props.shd = readShading(shd, source);
+  return props;
+};
+
+const readShading = (shd, source) => ({
+  val: shd.getAttribute('w:fill'),
+  theme: shd.getAttribute('w:themeFill'),
+  tint: shd.getAttribute('w:themeFillTint'),
+  shade: shd.getAttribute('w:themeFillShade'),
+  source
+});
+
+const readStyles = (stylesDoc) => {
+  const styles = {};
+  let defaultParagraph = null;
+  Array.from(stylesDoc?.getElementsByTagName('w:style') || []).forEach(style => {
+    const id = style.getAttribute('w:styleId');
+    const name = child(style, 'w:name')?.getAttribute('w:val') || id;
+    const pPr = child(style, 'w:pPr');
+    styles[id] = {
+      type: style.getAttribute('w:type'),
+      basedOn: child(style, 'w:basedOn')?.getAttribute('w:val'),
+      run: readRunProps(child(style, 'w:rPr'), `style "${name}"`),
+      shd: child(pPr, 'w:shd') ? readShading(child(pPr, 'w:shd'), `style "${name}"`) : null
+    };
+    if (style.getAttribute('w:type') === 'paragraph' && ['1', 'true', 'on'].includes(style.getAttribute('w:default'))) {
+      defaultParagraph = id;
+    }
+  });
+  const docDefaults = stylesDoc?.getElementsByTagName('w:rPrDefault')[0];
+  return { styles, defaultParagraph, defaults: readRunProps(child(docDefaults, 'w:rPr'), 'document defaults') };
+};
+
+// Resolves the effective formatting of runs through document defaults, paragraph and character
+// style inheritance (w:basedOn) and direct formatting, plus the background each run sits on.
+export const createFormatResolver = ({ stylesDoc, themeDoc, settingsDoc, documentDoc }) => {
+  const { styles, defaultParagraph, defaults } = readStyles(stylesDoc);
+  const themeColors = readThemeColors(themeDoc);
+  const schemeMapping = readSchemeMapping(settingsDoc);
+  const pageBackground = documentDoc?.getElementsByTagName('w:background')[0];
+
+  const styleChain = (id) => {
+    const chain = [];
+    for (let current = id, depth = 0; current && styles[current] && depth < 20; depth++) {
+      chain.unshift(styles[current]);
+      current = styles[current].basedOn;
+    }
+    return chain;
+  };
+
+  const resolveColor = ({ val, theme, tint, shade } = {}) => {
+    if (theme) {
+      const slot = THEME_SLOTS[schemeMapping[theme] || theme];
+      if (slot && themeColors[slot]) return adjust(themeColors[slot], tint, shade);
+    }
+    if (!val || val === 'auto') return null;
+    return toHex(val);
+  };
+
+  const paragraphStyle = (pNode) => {
+    const pStyle = child(child(pNode, 'w:pPr'), 'w:pStyle')?.getAttribute('w:val');
+    return pStyle && styles[pStyle] ? pStyle : defaultParagraph;
+  };
+
+  const runProps = (rNode, pNode) => {
+    const rStyle = child(child(rNode, 'w:rPr'), 'w:rStyle')?.getAttribute('w:val');
+    return Object.assign(
+      {},
+      defaults,
+      ...styleChain(pNode ? paragraphStyle(pNode) : null).map(s => s.run),
+      ...styleChain(rStyle).map(s => s.run),
+      readRunProps(child(rNode, 'w:rPr'), 'direct formatting')
+    );
+  };
+
+  // The nearest painted layer under a run: run shading, highlight, paragraph shading,
+  // table cell shading, then the page background
+  const background = (rNode, pNode, props) => {
+    const layers = [
+      props.shd && { color: resolveColor(props.shd), source: `run shading (${props.shd.source})` },
+      props.highlight && { color: HIGHLIGHT_COLORS[props.highlight.val] || null, source: `highlight (${props.highlight.source})` }
+    ];
+    if (pNode) {
+      const direct = child(child(pNode, 'w:pPr'), 'w:shd');
+      const fromStyle = styleChain(paragraphStyle(pNode)).map(s => s.shd).filter(Boolean).pop();
+      const shd = direct ? readShading(direct, 'direct formatting') : fromStyle;
+      if (shd) layers.push({ color: resolveColor(shd), source: `paragraph shading (${shd.source})` });
+    }
+    const cell = closest(rNode, 'w:tc');
+    const cellShd = child(child(cell, 'w:tcPr'), 'w:shd');
+    if (cellShd) layers.push({ color: resolveColor(readShading(cellShd, 'table cell')), source: 'table cell shading' });
+    if (pageBackground) {
+      layers.push({ color: resolveColor({ val: pageBackground.getAttribute('w:color'), theme: pageBackground.getAttribute('w:themeColor') }), source: 'page background' });
+    }
+    return layers.find(layer => layer && layer.color) || { color: WHITE, source: 'white page' };
+  };
+
+  return {
+    resolve: (rNode, pNode) => {
+      const props = runProps(rNode, pNode);
+      return {
+        color: props.color ? resolveColor(props.color) : null,
+        colorSource: props.color?.theme ? `${props.color.source}, theme ${props.color.theme}` : props.color?.source,
+        size: props.sz?.val,
+        sizeSource: props.sz?.source,
+        vanish: props.vanish?.val ? props.vanish.source : null,
+        specVanish: props.specVanish?.val ? props.specVanish.source : null,
+        background: background(rNode, pNode, props)
+      };
+    }
+  };
+};
@@ -0,0 +1,40 @@
+export const FILE_FORMATS = {
+  pdf: { label: 'PDF', extensions: ['.pdf'] },
+  docx: { label: 'DOCX', extensions: ['.docx'] },
+  pptx: { label: 'PPTX', extensions: ['.pptx'] },
+  xlsx: { label: 'XLSX', extensions: ['.xlsx'] },
+  odt: { label: 'ODT', extensions: ['.odt'] },
+  rtf: { label: 'RTF', extensions: ['.rtf'] },
+  html: { label: 'HTML', extensions: ['.html', '.htm'] },
+  txt: { label: 'TXT', extensions: ['.txt'] }
+};
+
+// For <input accept>: every extension we can scan
+export const ACCEPTED_EXTENSIONS = Object.values(FILE_FORMATS).flatMap(({ extensions }) => extensions).join(',');
+
+export const formatFromName = (fileName = '') => {
+  const name = fileName.toLowerCase();
+  return Object.keys(FILE_FORMATS).find(format => FILE_FORMATS[format].extensions.some(ext => name.endsWith(ext))) || null;
+};
+
+const ZIP_MARKERS = [
+  ['word/document.xml', 'docx'],
+  ['ppt/presentation.xml', 'pptx'],
+  ['xl/workbook.xml', 'xlsx'],
+  ['application/vnd.oasis.opendocument.text', 'odt']
+];
+
+// Magic bytes for nameless buffers. Zip containers are told apart by the part names (OOXML) or
+// the stored mimetype entry (ODF), both of which appear as plain ASCII in the local headers.
+export const formatFromBytes = (data) => {
+  const bytes = new Uint8Array(data);
+  const head = new TextDecoder('latin1').decode(bytes.subarray(0, 1024));
+  if (head.startsWith('%PDF')) return 'pdf';
+  if (head.startsWith('{\\rtf')) return 'rtf';
+  if (head.startsWith('PK')) {
+    const ascii = new TextDecoder('latin1').decode(bytes);
+    return ZIP_MARKERS.find(([marker]) => ascii.includes(marker))?.[1] || null;
+  }
+  if (/^(?:\xEF\xBB\xBF)?\s*(?:<!doctype html|<html)/i.test(head)) return 'html';
+  return null;
+};
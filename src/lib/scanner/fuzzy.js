@@ -0,0 +1,144 @@
+import { CONFUSABLES } from './unicode.js';
+
+// Digits and symbols commonly swapped in for letters ("ign0re", "$ystem", "j@ilbreak")
+const LEET = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'l', '€': 'e'
+};
+
+export const DEFAULT_FUZZY_THRESHOLD = 0.1;
+
+// Shortest phrase skeleton that may match with edits; shorter ones collide with ordinary words
+const MIN_FUZZY_LENGTH = 8;
+// Shortest word that may take an edit: one edit turns "few" into "new" and "roles" into "rules"
+const MIN_FUZZY_WORD_LENGTH = 7;
+
+const foldChar = (char) => {
+  const folded = LEET[char] || CONFUSABLES[char] || char;
+  return folded.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '');
+};
+
+// Case, leetspeak, confusables and diacritics folded away and every non-alphanumeric dropped, so
+// "I G N O R E", "ign0re" and "ignore-all-rules" all reduce to bare letters. `index[i]` is the
+// position in `text` that skeleton character i came from.
+export const skeletonWithMap = (text) => {
+  let skeleton = '';
+  const index = [];
+  for (let i = 0; i < text.length; i++) {
+    const folded = foldChar(text[i]);
+    for (const char of folded) {
+      if (!/[\p{L}\p{N}]/u.test(char)) continue;
+      skeleton += char;
+      index.push(i);
+    }
+  }
+  return { text: skeleton, index };
+};
+
+export const skeleton = (text) => skeletonWithMap(text).text;
+
+const isWordChar = (char = '') => /[\p{L}\p{N}]/u.test(char);
+
+// Whether skeleton window [start, end) of `folded = skeletonWithMap(text)` covers whole words of
+// `text`: no letter or digit right before or after it. "ecosystem promptly" holds the letters of
+// "system prompt", but not as words.
+export const onWordBoundaries = (text, { index }, start, end) => {
+  const from = index[start];
+  const to = index[end - 1];
+  return (start === 0 || index[start - 1] !== from) && index[end] !== to && !isWordChar(text[from - 1]) && !isWordChar(text[to + 1]);
+};
+
+export const maxEdits = (pattern, threshold) =>
+  pattern.length >= MIN_FUZZY_LENGTH ? Math.floor(pattern.length * threshold) : 0;
+
+// Skeleton of each word of a phrase
+export const phraseWords = (pattern) => pattern.split(/[^\p{L}\p{N}]+/u).map(skeleton).filter(Boolean);
+
+// Edits a single phrase word may take: one for long words, none for short ones
+export const wordEdits = (word, threshold) => threshold > 0 && word.length >= MIN_FUZZY_WORD_LENGTH ? 1 : 0;
+
+const editDistance = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur.push(Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+};
+
+// Whether skeleton window [start, end) of `folded = skeletonWithMap(text)` splits into one piece per
+// phrase word, each within that word's edits, with every break between pieces at a space or other
+// separator of the text. A fuzzy match so cannot rewrite a short word or borrow letters across
+// words ("ignored previous instruction sets" is not "ignore previous instructions").
+export const withinWordEdits = ({ text, index }, start, end, words, threshold) => {
+  const window = text.slice(start, end);
+  if (window === words.join('')) return true;
+  const breaksAt = (at) => index[start + at] - index[start + at - 1] > 1;
+
+  let reachable = new Set([0]);
+  words.forEach((word, position) => {
+    const allowed = wordEdits(word, threshold);
+    const next = new Set();
+    reachable.forEach(from => {
+      const last = Math.min(window.length, from + word.length + allowed);
+      for (let to = Math.max(from, from + word.length - allowed); to <= last; to++) {
+        if (position < words.length - 1 && !breaksAt(to)) continue;
+        if (editDistance(word, window.slice(from, to)) <= allowed) next.add(to);
+      }
+    });
+    reachable = next;
+  });
+  return reachable.has(window.length);
+};
+
+// Approximate substring search (Sellers' algorithm): every [start, end) window of `text` within
+// `maxDistance` edits of `pattern` that `accept`s, keeping the closest non-overlapping windows
+export const approximateMatches = (text, pattern, maxDistance, accept = () => true) => {
+  const m = pattern.length;
+  if (m === 0) return [];
+  if (maxDistance === 0) {
+    const exact = [];
+    for (let at = text.indexOf(pattern); at !== -1; at = text.indexOf(pattern, at + 1)) {
+      if (exact.length > 0 && at < exact[exact.length - 1].end) continue;
+      if (accept(at, at + m)) exact.push({ start: at, end: at + m, distance: 0 });
+    }
+    return exact;
+  }
+
+  let prev = Array.from({ length: m + 1 }, (_, i) => i);
+  let prevStart = new Array(m + 1).fill(0);
+  const candidates = [];
+
+  for (let j = 1; j <= text.length; j++) {
+    const cur = [0];
+    const curStart = [j];
+    for (let i = 1; i <= m; i++) {
+      let distance = prev[i - 1] + (pattern[i - 1] === text[j - 1] ? 0 : 1);
+      let start = prevStart[i - 1];
+      if (prev[i] + 1 < distance) {
+        distance = prev[i] + 1;
+        start = prevStart[i];
+      }
+      if (cur[i - 1] + 1 < distance) {
+        distance = cur[i - 1] + 1;
+        start = curStart[i - 1];
+      }
+      cur.push(distance);
+      curStart.push(start);
+    }
+    if (cur[m] <= maxDistance && accept(curStart[m], j)) candidates.push({ start: curStart[m], end: j, distance: cur[m] });
+    prev = cur;
+    prevStart = curStart;
+  }
+
+  const taken = [];
+  candidates
+    .sort((a, b) => a.distance - b.distance || Math.abs(a.end - a.start - m) - Math.abs(b.end - b.start - m))
+    .forEach(candidate => {
+      if (!taken.some(t => candidate.start < t.end && candidate.end > t.start)) taken.push(candidate);
+    });
+  return taken.sort((a, b) => a.start - b.start);
+};
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { skeleton, skeletonWithMap, maxEdits, wordEdits, phraseWords, withinWordEdits, approximateMatches, onWordBoundaries } from './fuzzy.js';
+
+describe('skeleton', () => {
+  it('folds case, leetspeak, look-alikes and diacritics and drops separators', () => {
+    expect(skeleton('I G N O R E')).toBe('ignore');
+    expect(skeleton('ign0re-all_rules')).toBe('ignoreallrules');
+    expect(skeleton('Ignоré')).toBe('ignore');
+  });
+
+  it('maps each skeleton character back to its source position', () => {
+    expect(skeletonWithMap('a b-c')).toEqual({ text: 'abc', index: [0, 2, 4] });
+  });
+});
+
+describe('maxEdits', () => {
+  it('allows no edits for short phrases', () => {
+    expect(maxEdits('jailbrk', 0.5)).toBe(0);
+    expect(maxEdits('systemprompt', 0.1)).toBe(1);
+  });
+});
+
+describe('withinWordEdits', () => {
+  const check = (text, phrase, threshold = 0.1) => {
+    const folded = skeletonWithMap(text);
+    return withinWordEdits(folded, 0, folded.text.length, phraseWords(phrase), threshold);
+  };
+
+  it('allows one edit in long words only', () => {
+    expect(wordEdits('instructions', 0.1)).toBe(1);
+    expect(wordEdits('instructions', 0)).toBe(0);
+    expect(wordEdits('rules', 0.5)).toBe(0);
+    expect(check('ignore previus instructions', 'ignore previous instructions')).toBe(true);
+    expect(check('ignore all roles', 'ignore all rules')).toBe(false);
+    expect(check('few instructions', 'new instructions')).toBe(false);
+  });
+
+  it('keeps fuzzy word breaks at separators and exact matches anywhere', () => {
+    expect(check('ignored previous instruction', 'ignore previous instructions')).toBe(false);
+    expect(check('ignorepreviousinstructions', 'ignore previous instructions')).toBe(true);
+  });
+});
+
+describe('approximateMatches', () => {
+  it('finds exact and near windows with their distance', () => {
+    expect(approximateMatches('xxsystemprompt', 'systemprompt', 0)).toEqual([{ start: 2, end: 14, distance: 0 }]);
+    expect(approximateMatches('xxsystmprompt', 'systemprompt', 1)).toEqual([{ start: 2, end: 13, distance: 1 }]);
+    expect(approximateMatches('xxsystmprompt', 'systemprompt', 0)).toEqual([]);
+  });
+
+  it('only keeps windows the caller accepts', () => {
+    expect(approximateMatches('abcabc', 'abc', 0, start => start > 0)).toEqual([{ start: 3, end: 6, distance: 0 }]);
+  });
+});
+
+describe('onWordBoundaries', () => {
+  const check = (text, target) => {
+    const folded = skeletonWithMap(text);
+    const start = folded.text.indexOf(target);
+    return onWordBoundaries(text, folded, start, start + target.length);
+  };
+
+  it('accepts whole words and rejects pieces of longer ones', () => {
+    expect(check('the system prompt.', 'systemprompt')).toBe(true);
+    expect(check('ecosystem promptly', 'systemprompt')).toBe(false);
+    expect(check('jailbreak!', 'jailbreak')).toBe(true);
+  });
+});
@@ -0,0 +1,452 @@
+import { WHITE, toHex, contrastRatio, isUnreadableOn } from './color.js';
+import { scanParagraphs, scanText, joinParts } from './story.js';
+import { decodeText } from './txt.js';
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title']);
+// Never rendered as text in the page body
+const SKIPPED_TAGS = new Set(['head', 'script', 'style', 'template', 'title', 'meta', 'link']);
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'dd', 'details', 'dialog', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'html', 'legend', 'li', 'main',
+  'nav', 'ol', 'option', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'tfoot', 'thead', 'tr', 'ul'
+]);
+// Opening these closes an open <p> first, as the HTML parser does
+const CLOSES_PARAGRAPH = new Set([...BLOCK_TAGS].filter(tag => !['body', 'html', 'option', 'caption', 'tbody', 'tfoot', 'thead', 'tr'].includes(tag)));
+const IMPLIED_CLOSES = { li: ['li'], dt: ['dt', 'dd'], dd: ['dt', 'dd'], tr: ['tr', 'td', 'th'], td: ['td', 'th'], th: ['td', 'th'], option: ['option'] };
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', shy: '­', zwj: '‍', zwnj: '‌', lrm: '‎', rlm: '‏', copy: '©', reg: '®', hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·', laquo: '«', raquo: '»' };
+
+const decodeEntities = (text) => text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));?/gi, (entity, dec, hex, name) => {
+  if (dec || hex) {
+    const code = parseInt(dec || hex, dec ? 10 : 16);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  }
+  return ENTITIES[name.toLowerCase()] ?? entity;
+});
+
+const TOKEN_RE = /<!--([\s\S]*?)(?:-->|$)|<![^>]*>|<\?[^>]*>|<\/([a-zA-Z][\w:-]*)[^>]*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE_RE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+const parseAttributes = (source) => {
+  const attrs = {};
+  for (const [, name, ...values] of source.matchAll(ATTRIBUTE_RE)) {
+    const key = name.toLowerCase();
+    if (!(key in attrs)) attrs[key] = decodeEntities(values.find(value => value !== undefined) ?? '');
+  }
+  return attrs;
+};
+
+// A forgiving HTML tree builder: unclosed elements are closed implicitly, stray end tags are
+// ignored. Elements are `{ tag, attrs, children, parent }`; text and comment nodes are
+// `{ text }` and `{ comment }`.
+export const parseHtml = (source) => {
+  const root = { tag: '#root', attrs: {}, children: [], parent: null };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const append = (node) => current().children.push({ ...node, parent: current() });
+
+  let cursor = 0;
+  TOKEN_RE.lastIndex = 0;
+  for (let match = TOKEN_RE.exec(source); match; match = TOKEN_RE.exec(source)) {
+    if (match.index > cursor) append({ text: decodeEntities(source.slice(cursor, match.index)) });
+    cursor = TOKEN_RE.lastIndex;
+    const [, comment, endTag, startTag, attributes] = match;
+
+    if (comment !== undefined) {
+      append({ comment });
+    } else if (endTag) {
+      const tag = endTag.toLowerCase();
+      const index = stack.findLastIndex(el => el.tag === tag);
+      if (index > 0) stack.length = index;
+    } else if (startTag) {
+      const tag = startTag.toLowerCase();
+      const closes = [...(IMPLIED_CLOSES[tag] || []), ...(CLOSES_PARAGRAPH.has(tag) ? ['p'] : [])];
+      while (stack.length > 1 && closes.includes(current().tag)) stack.pop();
+      const element = { tag, attrs: parseAttributes(attributes), children: [], parent: current() };
+      current().children.push(element);
+
+      if (RAW_TEXT_TAGS.has(tag)) {
+        const close = source.toLowerCase().indexOf(`</${tag}`, cursor);
+        const end = close === -1 ? source.length : close;
+        const text = source.slice(cursor, end);
+        if (text) element.children.push({ text: tag === 'script' || tag === 'style' ? text : decodeEntities(text), parent: element });
+        cursor = end;
+        TOKEN_RE.lastIndex = end;
+      } else if (!VOID_TAGS.has(tag)) {
+        stack.push(element);
+      }
+    }
+  }
+  if (cursor < source.length) append({ text: decodeEntities(source.slice(cursor)) });
+  return root;
+};
+
+const isElement = (node) => node?.tag && node.tag !== '#root';
+
+const elementsIn = (node) => (node.children || []).filter(isElement).flatMap(el => [el, ...elementsIn(el)]);
+
+const textOf = (node) => node.text ?? (node.children || []).map(textOf).join('');
+
+// <div#id.class> for findings
+const describe = (el) => {
+  const classes = (el.attrs.class || '').trim().split(/\s+/).filter(Boolean);
+  return `<${el.tag}${el.attrs.id ? `#${el.attrs.id}` : ''}${classes.map(name => `.${name}`).join('')}>`;
+};
+
+// CSS: simple selectors (type, class, id, attribute) joined by descendant or child
+// combinators. Anything with pseudo-classes or sibling combinators is ignored.
+
+const COMPOUND_RE = /^(\*|[a-zA-Z][\w-]*)?((?:[.#][\w-]+|\[[^\]]+\])*)$/;
+
+const parseCompound = (token) => {
+  const match = COMPOUND_RE.exec(token);
+  if (!match) return null;
+  const compound = { tag: match[1] && match[1] !== '*' ? match[1].toLowerCase() : null, ids: [], classes: [], attrs: [] };
+  for (const [part] of match[2].matchAll(/[.#][\w-]+|\[[^\]]+\]/g)) {
+    if (part[0] === '#') compound.ids.push(part.slice(1));
+    else if (part[0] === '.') compound.classes.push(part.slice(1));
+    else {
+      const attr = /^\[\s*([\w-]+)\s*(?:([~^$*|]?=)\s*["']?([^"'\]]*)["']?)?\s*\]$/.exec(part);
+      if (!attr) return null;
+      compound.attrs.push({ name: attr[1].toLowerCase(), operator: attr[2], value: attr[3] });
+    }
+  }
+  return compound;
+};
+
+const parseSelector = (text) => {
+  const source = text.trim();
+  if (!source || /[:+~]/.test(source.replace(/\[[^\]]*\]/g, ''))) return null;
+  const steps = [];
+  let combinator = ' ';
+  for (const token of source.replace(/\s*>\s*/g, ' > ').split(/\s+/)) {
+    if (token === '>') {
+      combinator = '>';
+      continue;
+    }
+    const compound = parseCompound(token);
+    if (!compound) return null;
+    steps.push({ ...compound, combinator });
+    combinator = ' ';
+  }
+  const specificity = [
+    steps.reduce((n, step) => n + step.ids.length, 0),
+    steps.reduce((n, step) => n + step.classes.length + step.attrs.length, 0),
+    steps.reduce((n, step) => n + (step.tag ? 1 : 0), 0)
+  ];
+  return { steps, specificity };
+};
+
+const matchesAttribute = (el, { name, operator, value }) => {
+  const actual = el.attrs[name];
+  if (actual === undefined) return false;
+  if (!operator) return true;
+  if (operator === '=') return actual === value;
+  if (operator === '~=') return actual.split(/\s+/).includes(value);
+  if (operator === '^=') return actual.startsWith(value);
+  if (operator === '$=') return actual.endsWith(value);
+  if (operator === '*=') return actual.includes(value);
+  return actual === value || actual.startsWith(`${value}-`);
+};
+
+const matchesCompound = (el, step) => {
+  const classes = (el.attrs.class || '').split(/\s+/);
+  return (!step.tag || el.tag === step.tag)
+    && step.ids.every(id => el.attrs.id === id)
+    && step.classes.every(name => classes.includes(name))
+    && step.attrs.every(attr => matchesAttribute(el, attr));
+};
+
+const matchesSelector = (el, { steps }) => {
+  const match = (node, index) => {
+    if (!matchesCompound(node, steps[index])) return false;
+    if (index === 0) return true;
+    if (steps[index].combinator === '>') return isElement(node.parent) && match(node.parent, index - 1);
+    for (let ancestor = node.parent; isElement(ancestor); ancestor = ancestor.parent) {
+      if (match(ancestor, index - 1)) return true;
+    }
+    return false;
+  };
+  return match(el, steps.length - 1);
+};
+
+const parseDeclarations = (text) => text.split(';').flatMap(declaration => {
+  const colon = declaration.indexOf(':');
+  if (colon === -1) return [];
+  const property = declaration.slice(0, colon).trim().toLowerCase();
+  const raw = declaration.slice(colon + 1).trim().toLowerCase();
+  const important = /!\s*important$/.test(raw);
+  const value = raw.replace(/!\s*important$/, '').trim();
+  return property && value ? [{ property, value, important }] : [];
+});
+
+// Rules in source order; the contents of conditional groups such as @media always apply
+const parseStylesheet = (css, rules = []) => {
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, '').replace(/@(?:import|charset|namespace)[^;{]*;/gi, '');
+  let cursor = 0;
+  while (cursor < source.length) {
+    const open = source.indexOf('{', cursor);
+    if (open === -1) break;
+    let close = open + 1;
+    for (let depth = 1; close < source.length && depth > 0; close++) {
+      if (source[close] === '{') depth++;
+      else if (source[close] === '}') depth--;
+    }
+    const prelude = source.slice(cursor, open).trim();
+    const body = source.slice(open + 1, close - 1);
+    if (/^@(?:media|supports|layer|container|document)\b/i.test(prelude)) parseStylesheet(body, rules);
+    else if (!prelude.startsWith('@')) {
+      const declarations = parseDeclarations(body);
+      prelude.split(',').map(parseSelector).filter(Boolean).forEach(selector => rules.push({ ...selector, declarations, order: rules.length }));
+    }
+    cursor = close;
+  }
+  return rules;
+};
+
+const NAMED_COLORS = {
+  white: '#ffffff', black: '#000000', red: '#ff0000', green: '#008000', blue: '#0000ff', yellow: '#ffff00', gray: '#808080',
+  grey: '#808080', silver: '#c0c0c0', maroon: '#800000', purple: '#800080', fuchsia: '#ff00ff', lime: '#00ff00', olive: '#808000',
+  navy: '#000080', teal: '#008080', aqua: '#00ffff', orange: '#ffa500', whitesmoke: '#f5f5f5', snow: '#fffafa', ivory: '#fffff0',
+  ghostwhite: '#f8f8ff', floralwhite: '#fffaf0', azure: '#f0ffff', mintcream: '#f5fffa', honeydew: '#f0fff0', seashell: '#fff5ee',
+  aliceblue: '#f0f8ff', lavenderblush: '#fff0f5', linen: '#faf0e6', oldlace: '#fdf5e6', beige: '#f5f5dc', cornsilk: '#fff8dc',
+  lightyellow: '#ffffe0', gainsboro: '#dcdcdc', lightgray: '#d3d3d3', lightgrey: '#d3d3d3'
+};
+
+// A CSS colour as hex, 'transparent' for fully transparent ones, or null when unknown
+const cssColor = (value) => {
+  const text = (value || '').trim().toLowerCase();
+  if (text === 'transparent') return 'transparent';
+  if (NAMED_COLORS[text]) return NAMED_COLORS[text];
+  const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])([0-9a-f])?$/.exec(text);
+  if (short) return short[4] === '0' ? 'transparent' : toHex(short.slice(1, 4).map(c => c + c).join(''));
+  const long = /^#([0-9a-f]{6})([0-9a-f]{2})?$/.exec(text);
+  if (long) return long[2] === '00' ? 'transparent' : toHex(long[1]);
+  const functional = /^rgba?\(\s*([\d.]+%?)[\s,]+([\d.]+%?)[\s,]+([\d.]+%?)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/.exec(text);
+  if (functional) {
+    const channel = (c) => (c.endsWith('%') ? parseFloat(c) * 2.55 : parseFloat(c));
+    const alpha = functional[4] === undefined ? 1 : parseFloat(functional[4]) / (functional[4].endsWith('%') ? 100 : 1);
+    return alpha === 0 ? 'transparent' : toHex(functional.slice(1, 4).map(channel));
+  }
+  return null;
+};
+
+// The background shorthand mixes colours with images and positions; take the first colour in it
+const backgroundColor = (value) => {
+  for (const [token] of (value || '').matchAll(/#[0-9a-f]+|rgba?\([^)]*\)|[a-z]+/gi)) {
+    const color = cssColor(token);
+    if (color) return color;
+  }
+  return null;
+};
+
+// A length in px, resolved against the parent font size for em and %
+const toPixels = (value, fontSize) => {
+  const match = /^(-?[\d.]+)(px|pt|em|rem|%|vw|vh|cm|mm|in)?$/.exec((value || '').trim());
+  if (!match) return null;
+  const n = parseFloat(match[1]);
+  return { px: n, pt: n * 4 / 3, em: n * fontSize, rem: n * 16, '%': n * fontSize / 100, vw: n * 12.8, vh: n * 7.2, cm: n * 37.8, mm: n * 3.78, in: n * 96 }[match[2] || 'px'];
+};
+
+const FONT_SIZE_KEYWORDS = { 'xx-small': 9, 'x-small': 10, small: 13, medium: 16, large: 18, 'x-large': 24, 'xx-large': 32 };
+const OFF_SCREEN = -500;
+
+// The first reason this element (not its ancestors) takes its content out of view
+const hidingReason = (get, fontSize) => {
+  if (get('display') === 'none') return 'display:none';
+  if (parseFloat(get('opacity')) <= 0.01) return `opacity:${get('opacity')}`;
+  if (fontSize === 0) return 'font-size:0';
+  if (['absolute', 'fixed'].includes(get('position'))) {
+    const offset = ['left', 'top', 'right'].find(side => (toPixels(get(side), fontSize) ?? 0) <= OFF_SCREEN);
+    if (offset) return `off-screen position (${offset}:${get(offset)})`;
+  }
+  if ((toPixels(get('text-indent'), fontSize) ?? 0) <= OFF_SCREEN) return `text-indent:${get('text-indent')}`;
+  if (['hidden', 'clip'].includes(get('overflow')) || ['hidden', 'clip'].includes(get('overflow-y'))) {
+    const zero = ['height', 'max-height', 'width', 'max-width'].find(side => toPixels(get(side), fontSize) === 0);
+    if (zero) return `${zero}:0 with overflow:hidden`;
+  }
+  const clip = /rect\(\s*(-?[\d.]+)\w*[\s,]+(-?[\d.]+)\w*[\s,]+(-?[\d.]+)\w*[\s,]+(-?[\d.]+)\w*\s*\)/.exec(get('clip') || '');
+  if (clip && (parseFloat(clip[3]) <= parseFloat(clip[1]) + 1 || parseFloat(clip[2]) <= parseFloat(clip[4]) + 1)) return `clip:${get('clip')}`;
+  if (/inset\(\s*(50|100)%|circle\(\s*0/.test(get('clip-path') || '')) return `clip-path:${get('clip-path')}`;
+  if (/scale[xy]?\(\s*0(?:\.0+)?\s*[,)]/.test(get('transform') || '')) return `transform:${get('transform')}`;
+  return null;
+};
+
+const createStyleResolver = (root) => {
+  const sheets = elementsIn(root).filter(el => el.tag === 'style').map(el => textOf(el)).join('\n');
+  const rules = parseStylesheet(sheets);
+
+  // Declared values after the cascade: presentational hints, then rules by importance,
+  // specificity and order, with the style attribute above non-important rules
+  const declared = (el) => {
+    const hints = [
+      ...('hidden' in el.attrs ? [{ property: 'display', value: 'none' }] : []),
+      ...(el.tag === 'font' && el.attrs.color ? [{ property: 'color', value: el.attrs.color.toLowerCase() }] : []),
+      ...(el.attrs.bgcolor ? [{ property: 'background-color', value: el.attrs.bgcolor.toLowerCase() }] : [])
+    ].map(declaration => ({ ...declaration, rank: [0, 0, 0, 0, 0, 0] }));
+    const matched = rules.filter(rule => matchesSelector(el, rule)).flatMap(rule => rule.declarations.map(declaration => ({
+      ...declaration,
+      rank: [declaration.important ? 1 : 0, 1, 0, ...rule.specificity, rule.order]
+    })));
+    const inline = parseDeclarations(el.attrs.style || '').map(declaration => ({ ...declaration, rank: [declaration.important ? 1 : 0, 1, 1, 0, 0, 0, 0] }));
+    const compare = (a, b) => a.rank.reduce((result, n, i) => result || n - (b.rank[i] ?? 0), 0);
+    const values = {};
+    [...hints, ...matched, ...inline].sort(compare).forEach(({ property, value }) => {
+      values[property] = value;
+    });
+    return values;
+  };
+
+  // Inherited state for the children of `el`
+  return (el, parent) => {
+    const values = declared(el);
+    const get = (property) => (values[property] === 'inherit' ? undefined : values[property]);
+    const sizeValue = get('font-size');
+    const fontSize = FONT_SIZE_KEYWORDS[sizeValue] ?? toPixels(sizeValue, parent.fontSize) ?? parent.fontSize;
+    const color = get('color') ? cssColor(get('color')) ?? parent.color : parent.color;
+    const background = backgroundColor(get('background-color')) || backgroundColor(get('background'));
+    const visibility = get('visibility') ?? parent.visibility;
+    const reason = parent.hiddenBy ? null : hidingReason(get, fontSize);
+    return {
+      fontSize,
+      color,
+      colorSource: get('color') && color !== parent.color ? describe(el) : parent.colorSource,
+      background: background && background !== 'transparent' ? { color: background, source: `background of ${describe(el)}` } : parent.background,
+      visibility: ['hidden', 'collapse'].includes(visibility) ? (parent.visibility.startsWith('hidden') ? parent.visibility : `hidden by ${describe(el)}`) : 'visible',
+      hiddenBy: parent.hiddenBy || (reason && `${reason} on ${describe(el)}`),
+      pre: parent.pre || el.tag === 'pre' || el.tag === 'textarea' || /^pre/.test(get('white-space') || '')
+    };
+  };
+};
+
+const PAGE = { fontSize: 16, color: '#000000', colorSource: 'default', background: { color: WHITE, source: 'white page' }, visibility: 'visible', hiddenBy: null, pre: false };
+
+const runFindings = (style) => {
+  const findings = [];
+  const hiddenBy = style.hiddenBy || (style.visibility !== 'visible' && `visibility:hidden (${style.visibility})`);
+  if (hiddenBy) findings.push({ type: 'Hidden Element', detail: `Text hidden by ${hiddenBy}`, severity: 'high' });
+  if (style.color === 'transparent') {
+    findings.push({ type: 'Hidden Text', detail: `Transparent text colour (${style.colorSource})`, severity: 'high' });
+  } else if (isUnreadableOn(style.color, style.background.color)) {
+    findings.push({
+      type: 'Hidden Text',
+      detail: `Colour ${style.color} (${style.colorSource}) on ${style.background.color} ${style.background.source}, contrast ${contrastRatio(style.color, style.background.color).toFixed(2)}:1`,
+      severity: 'high'
+    });
+  }
+  if (style.fontSize > 0 && style.fontSize * 0.75 <= 4) {
+    findings.push({ type: 'Micro-text', detail: `Suspiciously small font size (${Math.round(style.fontSize * 10) / 10}px)`, severity: 'medium' });
+  }
+  return findings;
+};
+
+// Rendered text as paragraphs of styled runs: block elements break paragraphs, table cells are
+// tab separated, and whitespace collapses the way a browser lays it out
+const bodyParagraphs = (root, resolve) => {
+  const paragraphs = [];
+  let runs = [];
+  let text = '';
+  const breakParagraph = () => {
+    const last = runs[runs.length - 1];
+    // The space a line break collapsed into has nothing after it to separate
+    if (last && !last.style.pre) last.text = last.text.replace(/ $/, '');
+    if (text.trim()) paragraphs.push(runs.filter(run => run.text));
+    runs = [];
+    text = '';
+  };
+  const push = (value, style) => {
+    if (!value) return;
+    runs.push({ text: value, style });
+    text += value;
+  };
+
+  const walk = (node, style) => node.children.forEach(n => {
+    if (n.comment !== undefined) return;
+    if (n.text !== undefined) {
+      let value = style.pre ? n.text : n.text.replace(/[ \t\n\r\f]+/g, ' ');
+      if (!style.pre && (!text || /[ \n\t]$/.test(text))) value = value.replace(/^ /, '');
+      push(value, style);
+      return;
+    }
+    if (SKIPPED_TAGS.has(n.tag)) return;
+    const own = resolve(n, style);
+    if (n.tag === 'br') push('\n', own);
+    else if (n.tag === 'td' || n.tag === 'th') {
+      if (text) push('\t', style);
+      walk(n, own);
+    } else {
+      const block = BLOCK_TAGS.has(n.tag);
+      if (block) breakParagraph();
+      walk(n, own);
+      if (block) breakParagraph();
+    }
+  });
+  walk(root, PAGE);
+  breakParagraph();
+  return paragraphs;
+};
+
+const ATTRIBUTE_NAMES = ['alt', 'title', 'aria-label', 'aria-description', 'placeholder'];
+const METADATA_NAMES = /description|keywords|author|subject|title|summary|abstract/i;
+
+// Sniffs <meta charset> in the first kilobyte; BOMs and everything else fall back to decodeText
+const decodeHtml = (data) => {
+  const head = new TextDecoder('latin1').decode(new Uint8Array(data).subarray(0, 1024));
+  const charset = /<meta[^>]+charset\s*=\s*["']?([\w-]+)/i.exec(head)?.[1];
+  if (charset && !/^utf-?8$/i.test(charset) && !/^\xEF\xBB\xBF|^\xFF\xFE|^\xFE\xFF/.test(head)) {
+    try {
+      return new TextDecoder(charset).decode(new Uint8Array(data));
+    } catch {
+      // Unknown label: read it as UTF-8 like everything else
+    }
+  }
+  return decodeText(data);
+};
+
+export const scanHtml = async (data, { rules, fuzzyThreshold, onProgress = () => {}, onIssues = () => {} } = {}) => {
+  onProgress(10);
+  const root = parseHtml(decodeHtml(data));
+  const ctx = { rules, fuzzyThreshold };
+  const elements = elementsIn(root);
+  const parts = [];
+  const add = (part) => {
+    parts.push(part);
+    onIssues(part.issues);
+  };
+  onProgress(30);
+
+  const title = textOf(elements.find(el => el.tag === 'title') || {}).replace(/\s+/g, ' ').trim();
+  add({ part: 'Title', label: 'Title', included: true, text: title, issues: scanText(title, ctx).map(finding => ({ ...finding, part: 'Title' })) });
+
+  // Walking from the root lets <html> and <body> styles cascade; <head> is skipped
+  const resolve = createStyleResolver(root);
+  add({
+    part: 'Body',
+    label: 'Body',
+    included: true,
+    ...scanParagraphs(bodyParagraphs(root, resolve).map((runs, index) => ({
+      at: { part: 'Body', paragraph: index + 1 },
+      runs: runs.map(run => ({ text: run.text, findings: runFindings(run.style) }))
+    })), ctx)
+  });
+  onProgress(70);
+
+  // Text that only assistive technology, tooltips or crawlers see is scanned but not kept
+  const attributes = elements.flatMap(el => ATTRIBUTE_NAMES.map(name => el.attrs[name]?.trim()).filter(Boolean));
+  add({ part: 'Attributes', label: 'Attributes', included: false, ...scanParagraphs(attributes.map((text, index) => ({ at: { part: 'Attributes', paragraph: index + 1 }, runs: [{ text }] })), ctx) });
+
+  const comments = [];
+  const collectComments = (node) => (node.children || []).forEach(n => (n.comment !== undefined ? comments.push(n.comment.trim()) : collectComments(n)));
+  collectComments(root);
+  add({ part: 'Comments', label: 'Comments', included: false, ...scanParagraphs(comments.filter(Boolean).map((text, index) => ({ at: { part: 'Comments', paragraph: index + 1 }, runs: [{ text }] })), ctx) });
+
+  elements.filter(el => el.tag === 'meta' && el.attrs.content && METADATA_NAMES.test(el.attrs.name || el.attrs.property || '')).forEach(el => {
+    const label = `Metadata (${el.attrs.name || el.attrs.property})`;
+    const text = el.attrs.content.trim();
+    add({ part: 'Metadata', label, included: false, text, issues: scanText(text, ctx).map(finding => ({ ...finding, part: label })) });
+  });
+  onProgress(100);
+
+  return { ...joinParts(parts), pageCount: 1 };
+};
@@ -0,0 +1,96 @@
+import { scanPdf } from './pdf.js';
+import { scanDocx } from './docx.js';
+import { scanPptx } from './pptx.js';
+import { scanXlsx } from './xlsx.js';
+import { scanOdt } from './odt.js';
+import { scanRtf } from './rtf.js';
+import { scanHtml } from './html.js';
+import { scanTxt } from './txt.js';
+import { formatFromName, formatFromBytes } from './formats.js';
+import { sanitizeText, sanitizeDocument } from './sanitize.js';
+import { layoutParts } from './parts.js';
+import { assignIssueIds } from './ranges.js';
+import { sha256Hex } from './report.js';
+import { joinParts } from './story.js';
+import { scoreRisk, isSafe } from './score.js';
+
+export { SUSPICIOUS_KEYWORDS } from './keywords.js';
+export { normalizeUnicode, findUnicodeObfuscation } from './unicode.js';
+export { sanitizeText, sanitizeDocument, scanPdf, scanDocx, scanPptx, scanXlsx, scanOdt, scanRtf, scanHtml, scanTxt };
+export { FILE_FORMATS, ACCEPTED_EXTENSIONS, formatFromName } from './formats.js';
+export { readWorkbook, columnName } from './xlsx.js';
+export { readPresentation } from './pptx.js';
+export { SANITIZE_POLICIES, DEFAULT_SANITIZE_POLICY, isHiddenIssue, isFlaggedIssue, sanitizeSections } from './sanitize.js';
+export { findLures, isLureIssue, LURE_TYPES } from './lures.js';
+export { applyTriage, findingPhrase, phraseKey, EMPTY_TRIAGE, DISMISS_REASONS } from './triage.js';
+export { issueLocation } from './parts.js';
+export { isStructuralIssue, STRUCTURE_TYPES } from './pdfStructure.js';
+export { segmentText } from './ranges.js';
+export { scanRecognizedText, isOcrIssue } from './ocr.js';
+export { cleanDocx } from './docxClean.js';
+export { textToMarkdown, docxToMarkdown, htmlToMarkdown, keepsDocxStructure } from './markdown.js';
+export { chunkText, chunksToJsonl, estimateTokens, validateChunking, DEFAULT_CHUNKING } from './chunk.js';
+export { diffTexts, revertChanges } from './diff.js';
+export { scoreRisk, riskBand, isSafe, validateRiskThresholds, RISK_BANDS, RISK_CATEGORIES, DEFAULT_RISK_THRESHOLDS } from './score.js';
+export { DEFAULT_FUZZY_THRESHOLD } from './fuzzy.js';
+export { createReport, renderReport, verdictOf, sha256Hex, REPORT_FORMATS, VERDICTS } from './report.js';
+export { DEFAULT_RULES, RULE_KINDS, SEVERITIES, createRule, validateRule, parseRules, serializeRules, rulesetFingerprint } from './rules.js';
+
+// Prefer the file extension, fall back to magic bytes for nameless buffers
+export const detectFormat = (data, fileName = '') => formatFromName(fileName) || formatFromBytes(data);
+
+export const buildResult = ({ issues, pageCount, rawText, parts }, fileName, { sanitizePolicy, riskThresholds } = {}) => {
+  // Metadata alone does not make a document readable: only the parts passed on count
+  const isEmpty = parts ? !parts.some(p => p.included && p.text.trim()) : rawText.trim().length === 0;
+  // Part metadata keeps each part's [start, end) in rawText so sanitizing can skip dropped parts
+  const { starts } = layoutParts(parts || []);
+  const risk = scoreRisk(issues);
+  const result = {
+    safe: isSafe({ isEmpty, risk }, riskThresholds),
+    risk,
+    issues: assignIssueIds(issues),
+    pageCount,
+    fileName,
+    rawText,
+    isEmpty,
+    ...(parts && {
+      parts: parts.map(({ part, label, included, text }, index) => ({ part, label, included, start: starts[index], end: starts[index] + text.length }))
+    })
+  };
+  return { ...result, sanitizedText: sanitizeDocument(result, { policy: sanitizePolicy }) };
+};
+
+// Adds parts read after the scan (text recognized in images) to a finished result. Existing parts
+// keep their place at the front of rawText, so earlier findings keep their ranges.
+export const appendParts = (result, extraParts, options) => {
+  if (extraParts.length === 0) return result;
+  const existing = (result.parts || []).map(({ part, label, included, start, end }) => ({ part, label, included, text: result.rawText.slice(start, end), issues: [] }));
+  const joined = joinParts([...existing, ...extraParts]);
+  const issues = [...result.issues, ...joined.issues];
+  return { ...result, ...buildResult({ issues, pageCount: result.pageCount, rawText: joined.rawText, parts: joined.parts }, result.fileName, options) };
+};
+
+const SCANNERS = { pdf: scanPdf, docx: scanDocx, pptx: scanPptx, xlsx: scanXlsx, odt: scanOdt, rtf: scanRtf, html: scanHtml, txt: scanTxt };
+
+export const scanDocument = async (buffer, options = {}) => {
+  const { fileName = 'document' } = options;
+  const data = toArrayBuffer(buffer);
+  const format = options.format || detectFormat(data, fileName);
+  // Hashed up front: pdf.js may take ownership of the buffer while parsing
+  const fileSize = data.byteLength;
+  const sha256 = await sha256Hex(data);
+
+  const scan = SCANNERS[format];
+  if (!scan) throw new Error(`Unsupported file type: ${fileName}`);
+
+  return { ...buildResult(await scan(data, options), fileName, options), format, fileSize, sha256, scannedAt: new Date().toISOString() };
+};
+
+// Accept ArrayBuffers, typed arrays and Node Buffers alike
+const toArrayBuffer = (buffer) => {
+  if (buffer instanceof ArrayBuffer) return buffer;
+  if (ArrayBuffer.isView(buffer)) {
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+  }
+  throw new TypeError('scanDocument expects an ArrayBuffer or typed array');
+};
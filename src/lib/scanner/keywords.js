@@ -0,0 +1,12 @@
+export const SUSPICIOUS_KEYWORDS = [
+  'ignore previous instructions',
+  'system prompt',
+  'hidden instruction',
+  'jailbreak',
+  'do anything now',
+  'ignore all rules',
+  'forgot about previous',
+  'actually move in',
+  'instead of',
+  'new instructions'
+];
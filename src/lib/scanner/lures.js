@@ -0,0 +1,219 @@
+import { findKeywordMatches } from './detect.js';
+import { activeRules, ruleLabel } from './rules.js';
+
+// Injections that do not read as commands: links that leak data when a model renders them,
+// instructions hidden in an encoding, fake chat-template markers and fake tool calls
+export const LURE_TYPES = new Set([
+  'Exfiltration Link',
+  'Remote Image',
+  'Encoded Payload',
+  'Role Spoofing',
+  'Delimiter Spoofing',
+  'Tool Call Lure'
+]);
+
+export const isLureIssue = (issue) => LURE_TYPES.has(issue.type);
+
+const snippet = (text, max = 80) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > max ? `${flat.slice(0, max - 3)}...` : flat;
+};
+
+// --- Links ---
+
+const URL_RE = /\b(?:https?:)?\/\/[^\s<>"'`)\]]+/gi;
+const MARKDOWN_IMAGE_RE = /!\[[^\]\n]*\]\(\s*<?([^\s)>]+)>?(?:\s+["'][^"'\n]*["'])?\s*\)/g;
+const HTML_IMAGE_RE = /<img\b[^>]*?\bsrc\s*=\s*["']?([^"'\s>]+)[^>]*>/gi;
+const MARKDOWN_LINK_RE = /(?<!!)\[[^\]\n]+\]\(\s*<?([^\s)>]+)>?[^)\n]*\)/g;
+const HTML_LINK_RE = /<a\b[^>]*?\bhref\s*=\s*["']?([^"'\s>]+)[^>]*>/gi;
+// Slots a model is asked to fill in: {data}, {{secret}}, ${...}, $(...), [DATA], <SECRET>
+const PLACEHOLDER_RE = /\{\{?[^}\s]{0,40}\}\}?|%7[Bb]|\$\{|\$\(|\[[A-Z_]{3,}\]|<[A-Z_]{3,}>|%3[Cc][A-Z_]{3,}%3[Ee]/;
+
+const isRemote = (url) => /^(?:https?:)?\/\//i.test(url);
+
+const findLinks = (text) => {
+  const findings = [];
+  const taken = [];
+  const add = (match, finding) => {
+    const range = { start: match.index, end: match.index + match[0].length };
+    if (taken.some(other => other.start <= range.start && range.end <= other.end)) return;
+    taken.push(range);
+    findings.push({ ...finding, ranges: [range] });
+  };
+
+  // Images load by themselves wherever the text is rendered, so anything in their URL is sent
+  [[MARKDOWN_IMAGE_RE, 'Markdown'], [HTML_IMAGE_RE, 'HTML']].forEach(([pattern, syntax]) => {
+    for (const match of text.matchAll(pattern)) {
+      const url = match[1];
+      if (!isRemote(url)) continue;
+      if (PLACEHOLDER_RE.test(url) || url.includes('?')) {
+        add(match, { type: 'Exfiltration Link', detail: `${syntax} image sends data in its URL: ${snippet(url)}`, severity: 'high' });
+      } else {
+        add(match, { type: 'Remote Image', detail: `${syntax} image loads ${snippet(url)} when rendered`, severity: 'medium' });
+      }
+    }
+  });
+  // Links and bare URLs only leak what a model writes into them when clicked
+  [[MARKDOWN_LINK_RE, 'Markdown link'], [HTML_LINK_RE, 'HTML link'], [URL_RE, 'URL']].forEach(([pattern, syntax]) => {
+    for (const match of text.matchAll(pattern)) {
+      const url = match[1] || match[0];
+      if (!PLACEHOLDER_RE.test(url)) continue;
+      add(match, { type: 'Exfiltration Link', detail: `${syntax} with a slot for data: ${snippet(url)}`, severity: 'high' });
+    }
+  });
+  return findings;
+};
+
+// --- Role and delimiter spoofing ---
+
+// Special tokens of common chat templates (ChatML, Llama, Gemma, GPT end-of-text)
+const DELIMITER_RE = /<\|(?:im_start|im_end|im_sep|system|user|assistant|endoftext|begin_of_text|end_of_text|start_header_id|end_header_id|eot_id|eom_id|end)\|>|\[\/?INST\]|<<\/?SYS>>|<\/?(?:start_of_turn|end_of_turn)>/gi;
+const ROLES = 'system|developer|assistant|user|human';
+// "### System:", "[SYSTEM]" and <system> tags mark a turn only a chat transcript would have
+const DECORATED_ROLE_RE = new RegExp(`^[ \\t]*(?:#{1,6}[ \\t]*(?:${ROLES})[ \\t]*:|\\[(?:${ROLES})\\])|<\\/?(?:${ROLES})(?:[_-](?:prompt|message|instructions?))?>`, 'gim');
+// A bare "System:" opening a line is also how plenty of ordinary notes are written
+const BARE_ROLE_RE = /^[ \t]*(?:system|developer|assistant)[ \t]*:/gim;
+
+const findSpoofing = (text) => {
+  const findings = [];
+  for (const match of text.matchAll(DELIMITER_RE)) {
+    findings.push({ type: 'Delimiter Spoofing', detail: `Chat template token ${match[0]}`, severity: 'high', ranges: [{ start: match.index, end: match.index + match[0].length }] });
+  }
+  const decorated = [];
+  for (const match of text.matchAll(DECORATED_ROLE_RE)) {
+    const start = match.index + match[0].length - match[0].trimStart().length;
+    decorated.push(start);
+    findings.push({ type: 'Role Spoofing', detail: `Fake chat turn marker "${match[0].trim()}"`, severity: 'high', ranges: [{ start, end: match.index + match[0].length }] });
+  }
+  for (const match of text.matchAll(BARE_ROLE_RE)) {
+    const start = match.index + match[0].length - match[0].trimStart().length;
+    if (decorated.includes(start)) continue;
+    findings.push({ type: 'Role Spoofing', detail: `Line opens like a chat turn: "${match[0].trim()}"`, severity: 'medium', ranges: [{ start, end: match.index + match[0].length }] });
+  }
+  return findings;
+};
+
+// --- Fake tool calls ---
+
+const TOOL_KEY_RE = /"(?:tool_calls?|function_call|tool_use|tool_choice|tool_result|function_response)"\s*:/gi;
+const NAME_ARGUMENTS_RE = /\{\s*"(?:name|function|tool|tool_name)"\s*:\s*"[^"\n]{1,80}"\s*,\s*"(?:arguments|parameters|args|input)"\s*:/gi;
+const TOOL_TAG_RE = /<\/?(?:tool_call|tool_use|tool_result|function_call|function_calls|function_results|invoke)\b[^>\n]{0,200}>/gi;
+
+// The JSON object around a match: from the nearest open brace before it to its closing brace
+const objectSpan = (text, start, end) => {
+  const open = text.lastIndexOf('{', start);
+  if (open === -1 || start - open > 200) return { start, end };
+  let depth = 0;
+  for (let i = open; i < Math.min(text.length, open + 4000); i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}' && --depth === 0) return { start: open, end: Math.max(end, i + 1) };
+  }
+  return { start: open, end };
+};
+
+const findToolCalls = (text) => {
+  const spans = [];
+  [TOOL_KEY_RE, NAME_ARGUMENTS_RE].forEach(pattern => {
+    for (const match of text.matchAll(pattern)) spans.push(objectSpan(text, match.index, match.index + match[0].length));
+  });
+  for (const match of text.matchAll(TOOL_TAG_RE)) spans.push({ start: match.index, end: match.index + match[0].length });
+
+  // Several keys of one object are one lure
+  return spans
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, span) => {
+      const last = merged[merged.length - 1];
+      if (last && span.start < last.end) last.end = Math.max(last.end, span.end);
+      else merged.push({ ...span });
+      return merged;
+    }, [])
+    .map(range => ({ type: 'Tool Call Lure', detail: `Text shaped like a tool call: ${snippet(text.slice(range.start, range.end))}`, severity: 'high', ranges: [range] }));
+};
+
+// --- Encoded payloads ---
+
+const BASE64_RE = /(?<![A-Za-z0-9+/=_-])(?:[A-Za-z0-9+/_-]{4}){6,}(?:[A-Za-z0-9+/_-]{2}==|[A-Za-z0-9+/_-]{3}=)?(?![A-Za-z0-9+/=_-])/g;
+const HEX_RE = /(?<![0-9A-Fa-f])(?:[0-9A-Fa-f]{2}){12,}(?![0-9A-Fa-f])/g;
+const MAX_DEPTH = 2;
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+// Decoded bytes only count when they read as prose: valid UTF-8, printable, with words and spaces
+const readable = (bytes) => {
+  let text;
+  try {
+    text = utf8.decode(bytes);
+  } catch {
+    return null;
+  }
+  const printable = (text.match(/[\p{L}\p{N}\p{P}\p{S}\s]/gu) || []).length;
+  return printable >= text.length * 0.95 && /\p{L}{2,}\s+\p{L}{2,}/u.test(text) ? text : null;
+};
+
+const decodeBase64 = (blob) => {
+  try {
+    const binary = atob(blob.replace(/-/g, '+').replace(/_/g, '/'));
+    return readable(Uint8Array.from(binary, char => char.charCodeAt(0)));
+  } catch {
+    return null;
+  }
+};
+
+const decodeHex = (blob) => readable(Uint8Array.from(blob.match(/../g), pair => parseInt(pair, 16)));
+
+const rot13 = (text) => text.replace(/[a-z]/gi, char => {
+  const base = char <= 'Z' ? 65 : 97;
+  return String.fromCharCode(((char.charCodeAt(0) - base + 13) % 26) + base);
+});
+
+// What a decoded payload says, checked like any other text: rule hits, spoofing, tool calls and
+// a further layer of encoding
+const decodedHits = (decoded, ctx, depth) => [
+  ...findKeywordMatches(decoded, ctx.rules, { fuzzyThreshold: ctx.fuzzyThreshold }).map(match => `matches ${ruleLabel(match.rule)}`),
+  ...[...findSpoofing(decoded), ...findToolCalls(decoded)].map(finding => finding.type.toLowerCase()),
+  ...(depth < MAX_DEPTH ? findEncoded(decoded, ctx, depth + 1).filter(finding => finding.severity === 'high').map(() => 'another encoded layer with a hit') : [])
+];
+
+const findEncoded = (text, ctx, depth = 1) => {
+  const findings = [];
+  [[BASE64_RE, 'Base64', decodeBase64], [HEX_RE, 'Hex', decodeHex]].forEach(([pattern, encoding, decode]) => {
+    for (const match of text.matchAll(pattern)) {
+      // Even-length hex runs are also valid base64; read them as hex
+      if (encoding === 'Base64' && /^[0-9A-Fa-f]+$/.test(match[0])) continue;
+      const decoded = decode(match[0]);
+      if (!decoded) continue;
+      const hits = [...new Set(decodedHits(decoded, ctx, depth))];
+      findings.push({
+        type: 'Encoded Payload',
+        detail: `${encoding} decodes to "${snippet(decoded, 60)}"${hits.length > 0 ? `, which ${hits.join(', ')}` : ''}`,
+        severity: hits.length > 0 ? 'high' : 'medium',
+        decoded,
+        ranges: [{ start: match.index, end: match.index + match[0].length }]
+      });
+    }
+  });
+
+  // ROT13 has no shape of its own, so it is found by what it decodes to: phrase rules only, exact
+  const plain = findKeywordMatches(text, ctx.rules, { fuzzyThreshold: 0 });
+  const phrases = activeRules(ctx.rules).filter(rule => rule.kind === 'phrase');
+  findKeywordMatches(rot13(text), phrases, { fuzzyThreshold: 0 })
+    .filter(match => !plain.some(other => other.start < match.end && match.start < other.end))
+    .forEach(match => {
+      findings.push({
+        type: 'Encoded Payload',
+        detail: `ROT13 decodes to ${ruleLabel(match.rule)}`,
+        severity: 'high',
+        decoded: match.matched,
+        ranges: [{ start: match.start, end: match.end }]
+      });
+    });
+  return findings;
+};
+
+// Lure findings for one piece of text, with ranges relative to it
+export const findLures = (text, ctx = {}) => [
+  ...findLinks(text),
+  ...findSpoofing(text),
+  ...findToolCalls(text),
+  ...findEncoded(text, ctx)
+];
@@ -0,0 +1,123 @@
+import { sanitizeSections, DEFAULT_SANITIZE_POLICY } from './sanitize.js';
+import { normalizeUnicode } from './unicode.js';
+import { elementChildren } from './ooxml.js';
+import { cleanDocx } from './docxClean.js';
+
+const BULLET_RE = /^\s*[•◦▪‣●○■□–\-*]\s+/;
+const NUMBERED_RE = /^\s*(\d{1,3})[.)]\s+/;
+
+const lineKind = (line) => {
+  if (line.includes('\t')) return 'table';
+  if (BULLET_RE.test(line) || NUMBERED_RE.test(line)) return 'list';
+  return 'text';
+};
+
+const tableCell = (text) => text.replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|');
+
+const renderTable = (rows) => {
+  const width = Math.max(...rows.map(row => row.length));
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => tableCell(cells[i] || '')).join(' | ')} |`;
+  return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+};
+
+const renderListLine = (line) => {
+  const numbered = line.match(NUMBERED_RE);
+  return numbered ? `${numbered[1]}. ${line.slice(numbered[0].length)}` : `- ${line.replace(BULLET_RE, '')}`;
+};
+
+// How a format lays out its text: PDF lines are visual lines, so a run of them is one paragraph,
+// and every row of a sheet belongs to its table even when only one cell is filled
+const LAYOUTS = { pdf: 'reflow', xlsx: 'table' };
+
+// Markdown blocks for plain extracted text: tab-separated lines (HTML table cells) become tables
+// and bulleted or numbered lines lists. Otherwise each line is a paragraph of its own.
+const textBlocks = (text, layout) => text.split(/\n{2,}/).flatMap(paragraph => {
+  const groups = [];
+  paragraph.split('\n').filter(line => line.trim()).forEach(line => {
+    const kind = layout === 'table' ? 'table' : lineKind(line);
+    const last = groups[groups.length - 1];
+    if (last && last.kind === kind && (kind !== 'text' || layout === 'reflow')) last.lines.push(line);
+    else groups.push({ kind, lines: [line] });
+  });
+  return groups.map(({ kind, lines }) => {
+    if (kind === 'table') return renderTable(lines.map(line => line.split('\t')));
+    if (kind === 'list') return lines.map(renderListLine).join('\n');
+    return lines.map(line => line.trim()).join('\n');
+  });
+});
+
+// Renders a scan result as Markdown under the sanitization policy: each included part other than
+// the body gets a heading, and annotate footnotes become Markdown footnotes
+export const textToMarkdown = (result, { policy } = {}) => {
+  const { sections, notes } = sanitizeSections(result, { policy });
+  const blocks = sections.flatMap(({ label, text }) => [
+    ...(label && label !== 'Body' ? [`## ${label}`] : []),
+    ...textBlocks(text, LAYOUTS[result.format])
+  ]);
+  if (notes.length > 0) blocks.push(notes.map(note => note.replace(/^(\[\^\d+\])/, '$1:')).join('\n'));
+  return `${normalizeUnicode(blocks.join('\n\n'))}\n`;
+};
+
+const INLINE_MARKS = { strong: '**', b: '**', em: '*', i: '*', s: '~~', del: '~~' };
+
+const inlineText = (node) => Array.from(node.childNodes).map(child => {
+  if (child.nodeType === 3) return child.nodeValue.replace(/\s+/g, ' ');
+  if (child.nodeType !== 1) return '';
+  const name = child.nodeName.toLowerCase();
+  const inner = inlineText(child);
+  if (INLINE_MARKS[name]) return inner.trim() ? `${INLINE_MARKS[name]}${inner}${INLINE_MARKS[name]}` : inner;
+  if (name === 'br') return '\n';
+  if (name === 'img') return child.getAttribute('alt') || '';
+  // In-document anchors (footnote references and back-links) keep only their text
+  if (name === 'a') {
+    const href = child.getAttribute('href') || '';
+    return href && !href.startsWith('#') ? `[${inner}](${href})` : inner.replace(/^↑$/, '');
+  }
+  return inner;
+}).join('');
+
+const listBlock = (list, indent = '') => elementChildren(list).filter(item => item.nodeName.toLowerCase() === 'li').map((item, index) => {
+  const marker = list.nodeName.toLowerCase() === 'ol' ? `${index + 1}. ` : '- ';
+  const nested = elementChildren(item).filter(child => ['ul', 'ol'].includes(child.nodeName.toLowerCase()));
+  const own = Array.from(item.childNodes).filter(child => !nested.includes(child));
+  const text = own.map(child => child.nodeType === 1 ? inlineText(child) : (child.nodeValue || '')).join(' ').replace(/\s+/g, ' ').trim();
+  return [`${indent}${marker}${text}`, ...nested.map(sub => listBlock(sub, indent + ' '.repeat(marker.length)))].join('\n');
+}).join('\n');
+
+const tableBlock = (table) => {
+  const rows = Array.from(table.getElementsByTagName('tr'))
+    .map(row => elementChildren(row).filter(cell => ['td', 'th'].includes(cell.nodeName.toLowerCase())).map(inlineText));
+  return rows.length > 0 ? renderTable(rows) : '';
+};
+
+const htmlBlocks = (node) => elementChildren(node).flatMap(element => {
+  const name = element.nodeName.toLowerCase();
+  const heading = name.match(/^h([1-6])$/);
+  if (heading) return [`${'#'.repeat(Number(heading[1]))} ${inlineText(element).trim()}`];
+  if (name === 'p') return [inlineText(element).trim().replace(/\n/g, '  \n')];
+  if (name === 'ul' || name === 'ol') return [listBlock(element)];
+  if (name === 'table') return [tableBlock(element)];
+  if (name === 'blockquote') return htmlBlocks(element).map(block => block.replace(/^/gm, '> '));
+  return htmlBlocks(element);
+}).filter(block => block.trim());
+
+// Converts the simple, well-formed HTML that mammoth writes into Markdown blocks
+export const htmlToMarkdown = (html, { DOMParser = globalThis.DOMParser } = {}) => {
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/xml');
+  return `${htmlBlocks(doc.documentElement).join('\n\n')}\n`;
+};
+
+// The cleaned Word file redacts in place, so its structure can only be kept under that policy;
+// other policies convert the extracted text with textToMarkdown
+export const keepsDocxStructure = (policy = DEFAULT_SANITIZE_POLICY) => policy === 'redact';
+
+// Word files keep their real structure: the document is cleaned first (hidden runs deleted,
+// rule hits redacted, tracked changes accepted) and mammoth reads headings, lists and tables from
+// the cleaned copy. Pictures are left out.
+export const docxToMarkdown = async (data, { DOMParser = globalThis.DOMParser, XMLSerializer = globalThis.XMLSerializer, rules, fuzzyThreshold } = {}) => {
+  const { data: cleaned } = await cleanDocx(data, { DOMParser, XMLSerializer, rules, fuzzyThreshold });
+  const { default: mammoth } = await import('mammoth');
+  // mammoth's Node build reads `buffer`, its browser build `arrayBuffer`
+  const { value } = await mammoth.convertToHtml({ buffer: cleaned, arrayBuffer: cleaned.slice().buffer }, { convertImage: mammoth.images.imgElement(() => ({ src: '' })) });
+  return normalizeUnicode(htmlToMarkdown(value, { DOMParser }));
+};
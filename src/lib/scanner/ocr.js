@@ -0,0 +1,47 @@
+import { scanText, layoutParagraphs } from './story.js';
+import { unionBox } from './pdfText.js';
+
+export const isOcrIssue = (issue) => issue.ocrConfidence !== undefined;
+
+// Recognized lines laid out one per row, an empty line between paragraphs; every word keeps
+// its offset in the text so a finding can be traced back to the words it covers
+const layoutWords = (lines) => {
+  const { text, offsets } = layoutParagraphs(lines.map(words => words.map(word => word.text).join(' ')));
+  const spans = lines.flatMap((words, index) => {
+    let offset = offsets[index];
+    return offset === null ? [] : words.map(word => {
+      const span = { ...word, line: index, start: offset, end: offset + word.text.length };
+      offset = span.end + 1;
+      return span;
+    });
+  });
+  return { text, spans };
+};
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Text read from images by OCR: `images` holds one entry per recognized image,
+// `{ part, label, included, page, confidence, lines: [[{ text, confidence, box }]] }` with word
+// boxes in page space when the image sits on a PDF page. There is no formatting left to hide
+// behind, so rules and Unicode checks run over the text and every finding carries the
+// recognizer's confidence in the words it matched.
+export const scanRecognizedText = (images, ctx) => images.map(({ part, label, included, page, confidence, lines }) => {
+  const { text, spans } = layoutWords(lines);
+  const issues = scanText(text, ctx).map(finding => {
+    const words = finding.ranges ? spans.filter(span => finding.ranges.some(({ start, end }) => span.start < end && span.end > start)) : [];
+    const boxes = words.map(word => word.box).filter(Boolean);
+    const lineNumbers = [...new Set(words.map(word => word.line))];
+    return {
+      ...finding,
+      part: label,
+      ...(page && { page }),
+      ...(words.length > 0 && {
+        line: text.slice(0, words[0].start).split('\n').length,
+        context: lineNumbers.map(line => lines[line].map(word => word.text).join(' ')).join('\n')
+      }),
+      ...(boxes.length > 0 && { bbox: unionBox(boxes) }),
+      ocrConfidence: Math.round(words.length > 0 ? average(words.map(word => word.confidence)) : confidence)
+    };
+  });
+  return { part, label, included, text, issues };
+});
@@ -0,0 +1,216 @@
+import { WHITE, toHex, contrastRatio, isUnreadableOn } from './color.js';
+import { openPackage, closest, elementChildren } from './ooxml.js';
+import { scanParagraphs, scanText, joinParts } from './story.js';
+
+const PARAGRAPH_TAGS = ['text:p', 'text:h'];
+
+// Subtrees whose paragraphs belong to another part: notes, comments and tracked deletions
+const OTHER_PART_TAGS = ['office:annotation', 'text:note', 'text:tracked-changes'];
+// A paragraph's own runs also skip text frames, whose paragraphs are scanned in their own right
+const FOREIGN_TAGS = [...OTHER_PART_TAGS, 'draw:frame'];
+
+// fo:font-size as points: absolute units, or a percentage of the inherited size
+const parseSize = (value, inherited) => {
+  const match = /^([\d.]+)(pt|px|cm|mm|in|%)$/.exec(value || '');
+  if (!match) return inherited;
+  const n = parseFloat(match[1]);
+  return { pt: n, px: n * 0.75, cm: n * 28.35, mm: n * 2.835, in: n * 72, '%': inherited * n / 100 }[match[2]];
+};
+
+const readStyle = (el) => {
+  const text = elementChildren(el).find(node => node.nodeName === 'style:text-properties');
+  const paragraph = elementChildren(el).find(node => node.nodeName === 'style:paragraph-properties');
+  const background = (props) => {
+    const value = props?.getAttribute('fo:background-color');
+    return value && value !== 'transparent' ? toHex(value) : null;
+  };
+  return {
+    parent: el.getAttribute('style:parent-style-name'),
+    color: text?.getAttribute('fo:color') ? toHex(text.getAttribute('fo:color')) : null,
+    size: text?.getAttribute('fo:font-size') || null,
+    display: text?.getAttribute('text:display') || null,
+    highlight: background(text),
+    shading: background(paragraph)
+  };
+};
+
+// Styles by name from office:styles plus one document's automatic styles; automatic styles
+// in content.xml and styles.xml share names, so each document resolves against its own set
+const createStyleResolver = (stylesDoc, ownDoc) => {
+  const byName = {};
+  const collect = (doc, container) => {
+    Array.from(doc?.getElementsByTagName(container)[0]?.getElementsByTagName('style:style') || []).forEach(el => {
+      byName[el.getAttribute('style:name')] = { name: el.getAttribute('style:display-name') || el.getAttribute('style:name'), ...readStyle(el) };
+    });
+  };
+  collect(stylesDoc, 'office:styles');
+  collect(ownDoc, 'office:automatic-styles');
+  const defaults = Array.from(stylesDoc?.getElementsByTagName('style:default-style') || [])
+    .find(el => el.getAttribute('style:family') === 'paragraph');
+  const base = defaults ? readStyle(defaults) : {};
+  const pageLayout = stylesDoc?.getElementsByTagName('style:page-layout-properties')[0];
+  const pageColor = pageLayout?.getAttribute('fo:background-color');
+
+  const chain = (name) => {
+    const styles = [];
+    for (let current = name, depth = 0; current && byName[current] && depth < 20; depth++) {
+      styles.unshift(byName[current]);
+      current = byName[current].parent;
+    }
+    return styles;
+  };
+
+  // Effective formatting for a run under a paragraph style and nested span styles
+  return (styleNames) => {
+    const format = { color: base.color, colorSource: 'default style', size: parseSize(base.size, 12), display: null, background: null };
+    styleNames.flatMap(chain).forEach(style => {
+      if (style.color) Object.assign(format, { color: style.color, colorSource: `style "${style.name}"` });
+      format.size = parseSize(style.size, format.size);
+      if (style.display) format.display = style.display === 'none' ? `style "${style.name}"` : null;
+      const background = style.highlight || style.shading;
+      if (background) format.background = { color: background, source: `${style.highlight ? 'highlight' : 'paragraph shading'} (style "${style.name}")` };
+    });
+    if (!format.background) {
+      format.background = pageColor && pageColor !== 'transparent'
+        ? { color: toHex(pageColor), source: 'page background' }
+        : { color: WHITE, source: 'white page' };
+    }
+    return format;
+  };
+};
+
+const isHiddenSection = (node) => {
+  for (let current = closest(node, 'text:section'); current; current = closest(current, 'text:section')) {
+    if (current.getAttribute('text:display') === 'none' || current.getAttribute('text:display') === 'condition') return true;
+  }
+  return false;
+};
+
+// Runs of one paragraph with the style names in effect for each
+const paragraphRuns = (pNode) => {
+  const runs = [];
+  const walk = (node, styles) => {
+    Array.from(node.childNodes || []).forEach(n => {
+      if (n.nodeType === 3) runs.push({ text: n.data, styles });
+      else if (n.nodeType !== 1 || FOREIGN_TAGS.includes(n.nodeName)) return;
+      else if (n.nodeName === 'text:s') runs.push({ text: ' '.repeat(parseInt(n.getAttribute('text:c') || '1', 10)), styles });
+      else if (n.nodeName === 'text:tab') runs.push({ text: '\t', styles });
+      else if (n.nodeName === 'text:line-break') runs.push({ text: '\n', styles });
+      else if (n.nodeName === 'text:hidden-text') {
+        runs.push({ text: n.getAttribute('text:string-value') || '', styles, hiddenField: n.getAttribute('text:is-hidden') === 'true' });
+      }
+      else if (n.nodeName === 'text:span') walk(n, [...styles, n.getAttribute('text:style-name')]);
+      else walk(n, styles);
+    });
+  };
+  walk(pNode, [pNode.getAttribute('text:style-name')]);
+  return runs;
+};
+
+const runFindings = (run, format, { hiddenParagraph, hiddenSection }) => {
+  const findings = [];
+  if (run.hiddenField || hiddenParagraph || hiddenSection || format.display) {
+    const how = run.hiddenField ? 'hidden text field' : hiddenParagraph ? 'hidden paragraph field' : hiddenSection ? 'hidden section' : `text:display="none" from ${format.display}`;
+    findings.push({ type: 'Vanished Text', detail: `Hidden run (${how})`, severity: 'high' });
+  }
+  if (format.color && isUnreadableOn(format.color, format.background.color)) {
+    findings.push({
+      type: 'Hidden Text',
+      detail: `Colour ${format.color} (${format.colorSource}) on ${format.background.color} ${format.background.source}, contrast ${contrastRatio(format.color, format.background.color).toFixed(2)}:1`,
+      severity: 'high'
+    });
+  }
+  if (format.size <= 4) {
+    findings.push({ type: 'Micro-text', detail: `Suspiciously small font size (${Math.round(format.size * 10) / 10}pt)`, severity: 'medium' });
+  }
+  return findings;
+};
+
+const scanOdfParagraphs = (pNodes, label, resolveFormat, ctx) => scanParagraphs(pNodes.map((pNode, index) => {
+  const hiddenParagraph = Array.from(pNode.getElementsByTagName('text:hidden-paragraph'))
+    .some(field => field.getAttribute('text:is-hidden') === 'true');
+  const hiddenSection = isHiddenSection(pNode);
+  return {
+    at: { part: label, paragraph: index + 1 },
+    runs: paragraphRuns(pNode).map(run => ({
+      text: run.text,
+      findings: runFindings(run, resolveFormat(run.styles), { hiddenParagraph, hiddenSection })
+    }))
+  };
+}), ctx);
+
+const paragraphsIn = (root, { within } = {}) => Array.from(root?.getElementsByTagName('*') || [])
+  .filter(el => PARAGRAPH_TAGS.includes(el.nodeName))
+  .filter(el => within ? closest(el, within) : !OTHER_PART_TAGS.some(tag => closest(el, tag)));
+
+const META_SKIP = ['meta:document-statistic', 'meta:generator', 'meta:editing-cycles', 'meta:editing-duration', 'meta:creation-date', 'dc:date', 'meta:template'];
+
+export const scanOdt = async (data, { DOMParser = globalThis.DOMParser, rules, fuzzyThreshold, signal, onProgress = () => {}, onIssues = () => {} } = {}) => {
+  if (!DOMParser) throw new Error('scanOdt requires a DOMParser implementation');
+
+  onProgress(10);
+  const pkg = await openPackage(data, DOMParser);
+  if (!pkg.has('content.xml')) throw new Error('Not an OpenDocument text: content.xml is missing');
+  const content = await pkg.readXml('content.xml');
+  const stylesDoc = await pkg.readOptionalXml('styles.xml');
+  const ctx = { rules, fuzzyThreshold };
+  const resolveContent = createStyleResolver(stylesDoc, content);
+  const resolveStyles = createStyleResolver(stylesDoc, stylesDoc);
+  const body = content.getElementsByTagName('office:text')[0];
+  const parts = [];
+  const add = (part) => {
+    parts.push(part);
+    onIssues(part.issues);
+  };
+
+  add({ part: 'Body', label: 'Body', included: true, ...scanOdfParagraphs(paragraphsIn(body), 'Body', resolveContent, ctx) });
+  onProgress(40);
+
+  // Headers and footers live on the master pages in styles.xml
+  ['header', 'footer'].forEach(kind => {
+    const label = kind === 'header' ? 'Header' : 'Footer';
+    const pNodes = Array.from(stylesDoc?.getElementsByTagName('style:master-page') || []).flatMap(page =>
+      elementChildren(page).filter(el => el.nodeName.startsWith(`style:${kind}`)).flatMap(el => paragraphsIn(el))
+    );
+    add({ part: label, label, included: true, ...scanOdfParagraphs(pNodes, label, resolveStyles, ctx) });
+  });
+  signal?.throwIfAborted();
+
+  Array.from(body?.getElementsByTagName('text:note') || []).forEach(note => {
+    const kind = note.getAttribute('text:note-class') === 'endnote' ? 'Endnote' : 'Footnote';
+    const citation = note.getElementsByTagName('text:note-citation')[0]?.textContent || '';
+    const label = `${kind} ${citation}`.trim();
+    add({ part: `${kind}s`, label, included: true, ...scanOdfParagraphs(paragraphsIn(note, { within: 'text:note-body' }), label, resolveContent, ctx) });
+  });
+
+  // Comments are kept out of the sanitized text, as they are for DOCX
+  Array.from(body?.getElementsByTagName('office:annotation') || []).forEach(annotation => {
+    const author = annotation.getElementsByTagName('dc:creator')[0]?.textContent;
+    const label = `Comment by ${author || 'unknown'}`;
+    add({ part: 'Comments', label, included: false, ...scanOdfParagraphs(paragraphsIn(annotation, { within: 'office:annotation' }), label, resolveContent, ctx) });
+  });
+
+  // Tracked deletions are still stored in the file even though they no longer show
+  Array.from(body?.getElementsByTagName('text:deletion') || []).forEach(deletion => {
+    const region = closest(deletion, 'text:changed-region');
+    const author = deletion.getElementsByTagName('dc:creator')[0]?.textContent || 'unknown';
+    const label = `Deletion ${region?.getAttribute('text:id') || ''}`.trim();
+    const scanned = scanOdfParagraphs(paragraphsIn(deletion, { within: 'text:deletion' }), label, resolveContent, ctx);
+    if (!scanned.text.trim()) return;
+    scanned.issues.unshift({ type: 'Deleted Revision', detail: `Tracked deletion by ${author} still stored in the file`, context: scanned.text, part: label, severity: 'medium' });
+    add({ part: 'Deleted Text', label, included: false, ...scanned });
+  });
+  onProgress(80);
+
+  const meta = (await pkg.readOptionalXml('meta.xml'))?.getElementsByTagName('office:meta')[0];
+  elementChildren(meta).filter(el => !META_SKIP.includes(el.nodeName)).forEach(el => {
+    const name = el.getAttribute('meta:name') || el.nodeName.replace(/^\w+:/, '');
+    const text = el.textContent.trim();
+    if (/^(\d+|true|false)?$/i.test(text)) return;
+    const label = `Document Properties (${name})`;
+    add({ part: 'Document Properties', label, included: false, text, issues: scanText(text, ctx).map(finding => ({ ...finding, part: label })) });
+  });
+  onProgress(100);
+
+  return { ...joinParts(parts), pageCount: 1 };
+};
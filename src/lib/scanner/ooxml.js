@@ -0,0 +1,92 @@
+import JSZip from 'jszip';
+import { toHex } from './color.js';
+import { scanText } from './story.js';
+
+export const child = (node, name) => Array.from(node?.childNodes || []).find(c => c.nodeName === name) || null;
+
+export const elementChildren = (node) => Array.from(node?.childNodes || []).filter(c => c.nodeType === 1);
+
+export const closest = (node, tagName) => {
+  for (let current = node.parentNode; current; current = current.parentNode) {
+    if (current.nodeName === tagName) return current;
+  }
+  return null;
+};
+
+// Opens a zip-based document (OOXML or ODF) and parses its XML parts on demand
+export const openPackage = async (data, DOMParser) => {
+  const zip = await JSZip.loadAsync(data);
+  const parser = new DOMParser();
+  const readXml = async (path) => parser.parseFromString(await zip.file(path).async("string"), "text/xml");
+  return {
+    zip,
+    has: (path) => !!zip.file(path),
+    paths: () => Object.keys(zip.files),
+    readXml,
+    readOptionalXml: async (path) => zip.file(path) ? readXml(path) : null
+  };
+};
+
+// Relationship targets of a part by id, resolved to package paths
+export const readRelationships = async (pkg, path) => {
+  const slash = path.lastIndexOf('/');
+  const dir = path.slice(0, slash + 1);
+  const relsDoc = await pkg.readOptionalXml(`${dir}_rels/${path.slice(slash + 1)}.rels`);
+  const rels = {};
+  Array.from(relsDoc?.getElementsByTagName('Relationship') || []).forEach(rel => {
+    if (rel.getAttribute('TargetMode') === 'External') return;
+    const target = rel.getAttribute('Target');
+    const segments = (target.startsWith('/') ? target.slice(1) : dir + target).split('/');
+    const resolved = [];
+    segments.forEach(segment => {
+      if (segment === '..') resolved.pop();
+      else if (segment !== '.') resolved.push(segment);
+    });
+    rels[rel.getAttribute('Id')] = { type: rel.getAttribute('Type').split('/').pop(), path: resolved.join('/') };
+  });
+  return rels;
+};
+
+// a:clrScheme slot name (dk1, lt1, accent1, ...) → hex colour
+export const readThemeColors = (themeDoc) => {
+  const scheme = themeDoc?.getElementsByTagName('a:clrScheme')[0];
+  const colors = {};
+  elementChildren(scheme).forEach(slot => {
+    const value = child(slot, 'a:srgbClr')?.getAttribute('val') || child(slot, 'a:sysClr')?.getAttribute('lastClr');
+    if (value) colors[slot.nodeName.replace(/^a:/, '')] = toHex(value);
+  });
+  return colors;
+};
+
+const PROPERTY_PARTS = [
+  { path: 'docProps/core.xml', part: 'Core Properties' },
+  { path: 'docProps/app.xml', part: 'App Properties' },
+  { path: 'docProps/custom.xml', part: 'Custom Properties' }
+];
+
+const propertyEntries = (xmlDoc, part) => {
+  const root = xmlDoc.documentElement;
+  if (!root) return [];
+  if (part === 'Custom Properties') {
+    return elementChildren(root).map(el => ({ name: el.getAttribute('name') || el.localName, value: el.textContent }));
+  }
+  // Counters like Pages/Words/TotalTime carry no prose worth scanning
+  return elementChildren(root)
+    .map(el => ({ name: el.localName, value: el.textContent }))
+    .filter(({ value }) => !/^(\d+|true|false)?$/i.test(value.trim()));
+};
+
+// Document properties as parts that are scanned but never reach the sanitized text
+export const scanPropertyParts = async (pkg, ctx, onIssues = () => {}) => {
+  const parts = [];
+  for (const { path, part } of PROPERTY_PARTS.filter(({ path }) => pkg.has(path))) {
+    propertyEntries(await pkg.readXml(path), part).forEach(({ name, value }) => {
+      const label = `${part} (${name})`;
+      const text = value.trim();
+      const issues = scanText(text, ctx).map(finding => ({ ...finding, part: label }));
+      parts.push({ part, label, included: false, text, issues });
+      onIssues(issues);
+    });
+  }
+  return parts;
+};
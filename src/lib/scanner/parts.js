@@ -0,0 +1,31 @@
+// Lays document parts out as one text: the body first, every other part under a [Label] heading.
+// `starts[i]` is where the text of part i begins.
+export const layoutParts = (parts) => {
+  let text = "";
+  const starts = parts.map(({ label, text: partText }, index) => {
+    if (index > 0) text += "\n\n";
+    if (label !== 'Body') text += `[${label}]\n`;
+    const start = text.length;
+    text += partText;
+    return start;
+  });
+  return { text, starts };
+};
+
+const partNames = (parts) => [...new Set(parts.map(p => p.part))].join(', ') || 'none';
+
+// Footer appended to sanitized text so readers know what the LLM input does and does not contain
+export const describeParts = (parts) =>
+  `[DocShit] Included parts: ${partNames(parts.filter(p => p.included))}. ` +
+  `Dropped parts: ${partNames(parts.filter(p => !p.included))}.`;
+
+// Short human-readable location for a finding: the cell or paragraph within a part for office
+// formats, the line within a part for plain text, page and line for PDFs
+export const issueLocation = (issue) => {
+  if (issue.part) {
+    if (issue.cell) return `${issue.part} ${issue.cell}`;
+    if (issue.paragraph) return `${issue.part} ¶${issue.paragraph}`;
+    return issue.line ? `${issue.part} L${issue.line}` : issue.part;
+  }
+  return issue.line ? `P${issue.page} L${issue.line}` : `P${issue.page}`;
+};
@@ -0,0 +1,124 @@
+import { findKeywordMatches, matchFields, fuzzyNote } from './detect.js';
+import { ruleLabel } from './rules.js';
+import { reconstructPageText, spansInRange, spansInBox, itemBox, unionBox } from './pdfText.js';
+import { analyzeTextVisibility, hiddenTextBlocks, HIDING_TECHNIQUES } from './pdfVisibility.js';
+import { findUnicodeObfuscation } from './unicode.js';
+import { findLures } from './lures.js';
+import { shiftRanges, mergeRanges } from './ranges.js';
+import { findPdfNames, scanPdfStructure } from './pdfStructure.js';
+import { joinParts } from './story.js';
+
+// 1-based line of a page-text offset
+const lineAt = (text, offset) => text.slice(0, offset).split('\n').length;
+
+export const scanPdf = async (data, { pdfjs, rules, fuzzyThreshold, signal, onProgress = () => {}, onIssues = () => {} } = {}) => {
+  if (!pdfjs) throw new Error('scanPdf requires a pdfjs instance');
+  // Read before pdf.js takes the buffer over
+  const names = findPdfNames(data);
+
+  // Nothing is rendered, so skip font-face loading (which also needs a DOM the worker does not have)
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(data), verbosity: 0, disableFontFace: true }).promise;
+
+  let foundIssues = [];
+  let fullText = "";
+  const numPages = pdf.numPages;
+  const annotations = [];
+  const pageActions = [];
+  let structureParts;
+
+  try {
+    for (let i = 1; i <= numPages; i++) {
+      signal?.throwIfAborted();
+      onProgress(Math.round((i / numPages) * 100));
+      const pageStart = foundIssues.length;
+      const page = await pdf.getPage(i);
+      const textContent = await page.getTextContent();
+      const { text: pageText, spans } = reconstructPageText(textContent.items);
+      const itemBoxes = (hit) => unionBox(hit.map(span => itemBox(textContent.items[span.index])));
+      // Ranges are page-relative here and land on the document text once shifted by the page offset
+      const at = (ranges) => ranges.length > 0
+        ? { page: i, line: lineAt(pageText, ranges[0].start), ranges: shiftRanges(ranges, fullText.length) }
+        : { page: i };
+
+      findKeywordMatches(pageText, rules, { fuzzyThreshold }).forEach(match => {
+        const hit = spansInRange(spans, match.start, match.end);
+        // A regex rule can match only the separators joining text items, which belong to no item
+        foundIssues.push({
+          type: match.rule.type,
+          detail: `Blocked phrase: ${ruleLabel(match.rule)}${fuzzyNote(match)}`,
+          context: hit.length > 0 ? pageText.slice(hit[0].start, hit[hit.length - 1].end) : pageText.slice(match.start, match.end),
+          ...at([{ start: match.start, end: match.end }]),
+          ...(hit.length > 0 && { items: hit.map(span => span.index), bbox: itemBoxes(hit) }),
+          ...matchFields(match)
+        });
+      });
+
+      // Lures can span text items (a URL split across runs), so they are found on the page text
+      findLures(pageText, { rules, fuzzyThreshold }).forEach(finding => {
+        const [range] = finding.ranges;
+        const hit = spansInRange(spans, range.start, range.end);
+        foundIssues.push({
+          ...finding,
+          context: hit.length > 0 ? pageText.slice(hit[0].start, hit[hit.length - 1].end) : pageText.slice(range.start, range.end),
+          ...at(finding.ranges),
+          ...(hit.length > 0 && { items: hit.map(span => span.index), bbox: itemBoxes(hit) })
+        });
+      });
+
+      const operatorList = await page.getOperatorList({ annotationMode: pdfjs.AnnotationMode.DISABLE });
+      const runs = analyzeTextVisibility(operatorList, pdfjs.OPS, page.view);
+      hiddenTextBlocks(runs).forEach(block => {
+        // Off-page text never reaches getTextContent, so fall back to the glyphs we decoded
+        const hit = spansInBox(spans, textContent.items, block.box);
+        const context = hit.length > 0 ? pageText.slice(hit[0].start, hit[hit.length - 1].end) : block.text;
+        block.reasons.forEach(reason => {
+          const { type, severity } = HIDING_TECHNIQUES[reason.technique];
+          foundIssues.push({
+            type,
+            detail: reason.detail,
+            context,
+            ...at(mergeRanges(hit, pageText)),
+            items: hit.map(span => span.index),
+            bbox: block.box,
+            severity
+          });
+        });
+      });
+
+      spans.forEach(({ index, start, end }) => {
+        const item = textContent.items[index];
+        const fontSize = Math.abs(item.transform[0]);
+
+        findUnicodeObfuscation(item.str).forEach(finding => {
+          foundIssues.push({ ...finding, context: item.str, ...at(shiftRanges(finding.ranges, start)), items: [index], bbox: itemBox(item) });
+        });
+
+        if (fontSize > 0 && fontSize < 4 && item.str.trim().length > 0) {
+          foundIssues.push({
+            type: 'Hidden Text',
+            detail: `Micro-text caught (Size: ${fontSize.toFixed(1)})`,
+            context: item.str,
+            ...at([{ start, end }]),
+            items: [index],
+            bbox: itemBox(item),
+            severity: 'medium'
+          });
+        }
+      });
+
+      annotations.push(await page.getAnnotations());
+      pageActions.push(await page.getJSActions());
+      onIssues(foundIssues.slice(pageStart));
+      fullText += pageText + "\n\n";
+    }
+    signal?.throwIfAborted();
+    structureParts = await scanPdfStructure(pdf, { names, annotations, pageActions, rules, fuzzyThreshold });
+    structureParts.forEach(part => onIssues(part.issues));
+  } finally {
+    await pdf.destroy();
+  }
+
+  // Page text is the body, so page findings keep their ranges; structure parts follow it
+  const body = { part: 'Body', label: 'Body', included: true, text: fullText.replace(/\n+$/, ''), issues: foundIssues };
+  return { ...joinParts([body, ...structureParts]), pageCount: numPages };
+};
@@ -0,0 +1,168 @@
+import { scanText, scanParagraphs } from './story.js';
+
+// Finding types that describe what a PDF can do when opened rather than what it says
+export const STRUCTURE_TYPES = new Set([
+  'JavaScript', 'Launch Action', 'URI Action', 'Embedded File', 'Form Submission', 'Rich Media', 'XFA Form', 'Obfuscated Name'
+]);
+
+export const isStructuralIssue = (issue) => STRUCTURE_TYPES.has(issue.type);
+
+// Names worth counting in the raw file, in the spirit of pdfid
+const RISKY_NAMES = ['JS', 'JavaScript', 'AA', 'OpenAction', 'Launch', 'EmbeddedFile', 'SubmitForm', 'ImportData', 'RichMedia', 'XFA'];
+
+// Counts risky /Names in the raw bytes, decoding #hh escapes that hide them from naive scanners.
+// Compressed object streams are not inflated, so this only backs up what pdf.js reports.
+export const findPdfNames = (data) => {
+  const source = new TextDecoder('latin1').decode(new Uint8Array(data));
+  const counts = {};
+  const obfuscated = {};
+  for (const [, raw] of source.matchAll(/\/([A-Za-z#][A-Za-z0-9#]*)/g)) {
+    const name = raw.includes('#') ? raw.replace(/#([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))) : raw;
+    if (!RISKY_NAMES.includes(name)) continue;
+    counts[name] = (counts[name] || 0) + 1;
+    if (name !== raw) obfuscated[name] = raw;
+  }
+  return { counts, obfuscated };
+};
+
+const INFO_SKIP = ['PDFFormatVersion', 'Language', 'EncryptFilterName', 'CreationDate', 'ModDate', 'Trapped', 'Custom'];
+const TEXT_ATTACHMENT = /\.(txt|md|csv|tsv|json|xml|html?|js|ya?ml|log|ini)$/i;
+const MAX_ATTACHMENT_TEXT = 1024 * 1024;
+
+const EVENTS = {
+  OpenAction: 'when the document opens',
+  WillClose: 'before the document closes',
+  WillSave: 'before the document is saved',
+  DidSave: 'after the document is saved',
+  WillPrint: 'before the document prints',
+  DidPrint: 'after the document prints',
+  PageOpen: 'when the page opens',
+  PageClose: 'when the page closes',
+  Action: 'when activated'
+};
+const eventLabel = (event) => EVENTS[event] || `on ${event}`;
+
+// Document-level scripts are keyed by event (OpenAction, WillClose...) or by their name in the
+// JavaScript name tree, which runs when the document opens
+const documentEvent = (key) => (EVENTS[key] || key.startsWith('Will') || key.startsWith('Did') ? key : 'OpenAction');
+
+const linkFinding = (url) => {
+  if (/^(https?|mailto|ftp):/i.test(url)) return { type: 'URI Action', detail: `Link opens ${url}`, severity: 'low' };
+  return { type: 'Launch Action', detail: `Link launches or opens an external file: ${url}`, severity: 'high' };
+};
+
+// Readable attachment contents: known text extensions, or anything without NUL bytes up front
+const attachmentText = ({ filename, content }) => {
+  if (!content || content.length > MAX_ATTACHMENT_TEXT) return '';
+  if (!TEXT_ATTACHMENT.test(filename || '') && content.subarray(0, 1024).includes(0)) return '';
+  return new TextDecoder('utf-8').decode(content);
+};
+
+// Everything an ingestion tool may read besides the page text: info dictionary, XMP, annotation
+// contents, links, form field values, bookmarks, attachments and scripts. Each becomes an
+// excluded part so its text is scanned but never passed on. `annotations` holds each page's
+// getAnnotations() result, collected while the pages were scanned.
+export const scanPdfStructure = async (pdf, { names, annotations, pageActions, rules, fuzzyThreshold }) => {
+  const ctx = { rules, fuzzyThreshold };
+  const parts = [];
+  const addText = (part, label, text) => {
+    parts.push({ part, label, included: false, text, issues: scanText(text, ctx).map(finding => ({ ...finding, part: label })) });
+  };
+  const addLines = (part, label, lines) => {
+    const paragraphs = lines.map(({ text, findings }, index) => ({ at: { part: label, paragraph: index + 1 }, runs: [{ text, findings }] }));
+    parts.push({ part, label, included: false, ...scanParagraphs(paragraphs, ctx) });
+  };
+  const scripts = [];
+  const links = [];
+
+  const { info, metadata } = await pdf.getMetadata().catch(() => ({}));
+  Object.entries({ ...info, ...info?.Custom })
+    .filter(([key, value]) => !INFO_SKIP.includes(key) && typeof value === 'string' && value.trim())
+    .forEach(([key, value]) => addText('Document Info', `Document Info (${key})`, value.trim()));
+  [...(metadata || [])]
+    .filter(([key, value]) => typeof value === 'string' && value.trim() && !/date$|documentid$|instanceid$/i.test(key))
+    .forEach(([key, value]) => addText('XMP Metadata', `XMP Metadata (${key})`, value.trim()));
+
+  annotations.forEach((items, index) => {
+    const page = index + 1;
+    const notes = items
+      .filter(item => !['Link', 'Widget', 'Popup'].includes(item.subtype) && item.contentsObj?.str?.trim())
+      .map(item => ({ text: item.contentsObj.str.trim() }));
+    if (notes.length > 0) addLines('Annotations', `Annotations (page ${page})`, notes);
+    items.filter(item => item.subtype === 'Link' && item.unsafeUrl).forEach(item => links.push({ url: item.unsafeUrl, where: `page ${page}` }));
+    items.filter(item => item.actions && item.subtype !== 'Widget').forEach(item => {
+      Object.entries(item.actions).forEach(([event, codes]) => codes.forEach(code => scripts.push({ code, where: `${item.subtype} annotation on page ${page}`, event })));
+    });
+  });
+
+  pageActions.forEach((actions, index) => Object.entries(actions || {}).forEach(([event, codes]) => {
+    codes.forEach(code => scripts.push({ code, where: `page ${index + 1}`, event }));
+  }));
+
+  const fields = Object.entries(await pdf.getFieldObjects().catch(() => null) || {});
+  const values = fields.flatMap(([name, objects]) => objects
+    .filter(field => typeof field.value === 'string' && field.value.trim() && field.value !== 'Off')
+    .slice(0, 1)
+    .map(field => ({ text: `${name}: ${field.value.trim()}` })));
+  if (values.length > 0) addLines('Form Fields', 'Form Fields', values);
+  fields.forEach(([name, objects]) => objects.forEach(field => Object.entries(field.actions || {}).forEach(([event, codes]) => {
+    codes.forEach(code => scripts.push({ code, where: `form field "${name}"`, event }));
+  })));
+
+  const bookmarks = [];
+  const walkOutline = (items, depth) => (items || []).forEach(item => {
+    if (item.title?.trim()) bookmarks.push({ text: `${'  '.repeat(depth)}${item.title.trim()}` });
+    if (item.unsafeUrl) links.push({ url: item.unsafeUrl, where: `bookmark "${item.title}"` });
+    walkOutline(item.items, depth + 1);
+  });
+  walkOutline(await pdf.getOutline().catch(() => null), 0);
+  if (bookmarks.length > 0) addLines('Bookmarks', 'Bookmarks', bookmarks);
+
+  if (links.length > 0) {
+    addLines('Links', 'Links', links.map(({ url, where }) => {
+      const finding = linkFinding(url);
+      return { text: url, findings: [{ ...finding, detail: `${finding.detail} (${where})` }] };
+    }));
+  }
+
+  Object.entries(await pdf.getAttachments().catch(() => null) || {}).forEach(([key, attachment]) => {
+    const name = attachment.filename || key;
+    const text = [attachment.description, attachmentText(attachment)].filter(Boolean).join('\n\n') || name;
+    addLines('Attachments', `Attachment (${name})`, [{
+      text,
+      findings: [{ type: 'Embedded File', detail: `Embedded file "${name}" (${attachment.content?.length ?? 0} bytes)`, severity: 'medium' }]
+    }]);
+  });
+
+  Object.entries(await pdf.getJSActions().catch(() => null) || {}).forEach(([key, codes]) => {
+    codes.forEach(code => scripts.push({ code, where: key === documentEvent(key) ? `document ${key}` : `document script "${key}"`, event: documentEvent(key) }));
+  });
+  scripts.forEach(({ code, where, event }, index) => {
+    addLines('JavaScript', `JavaScript ${index + 1} (${where})`, [{
+      text: code,
+      findings: [{ type: 'JavaScript', detail: `JavaScript in ${where} runs ${eventLabel(event)}`, severity: 'high' }]
+    }]);
+  });
+
+  // What the raw bytes show beyond what pdf.js exposes
+  const structure = [];
+  Object.entries(names.obfuscated).forEach(([name, raw]) => {
+    structure.push({ type: 'Obfuscated Name', detail: `/${raw} is an escaped spelling of /${name}, a common way to slip past scanners`, severity: 'high' });
+  });
+  if (names.counts.Launch && !links.some(({ url }) => linkFinding(url).type === 'Launch Action')) {
+    structure.push({ type: 'Launch Action', detail: `The file contains ${names.counts.Launch} /Launch action(s) that start external programs`, severity: 'high' });
+  }
+  if ((names.counts.JS || names.counts.JavaScript) && scripts.length === 0) {
+    structure.push({ type: 'JavaScript', detail: 'JavaScript keywords are present but no script could be read', severity: 'medium' });
+  }
+  if (names.counts.SubmitForm || names.counts.ImportData) {
+    structure.push({ type: 'Form Submission', detail: 'Form actions can send field data to, or import it from, an external location', severity: 'medium' });
+  }
+  if (names.counts.RichMedia) structure.push({ type: 'Rich Media', detail: 'Embedded rich media (Flash or video) content', severity: 'medium' });
+  if (names.counts.XFA) structure.push({ type: 'XFA Form', detail: 'XFA form data, which can carry its own scripts and text', severity: 'medium' });
+  if (structure.length > 0) {
+    parts.push({ part: 'Structure', label: 'Structure', included: false, text: '', issues: structure.map(issue => ({ ...issue, part: 'Structure', context: issue.detail })) });
+  }
+
+  return parts;
+};
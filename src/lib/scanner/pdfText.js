@@ -0,0 +1,69 @@
+const itemHeight = (item) =>
+  Math.hypot(item.transform[2], item.transform[3]) || item.height || Math.abs(item.transform[0]) || 1;
+
+// Rebuilds reading-order text from pdf.js text items. Items on the same baseline are joined
+// directly or with a space depending on the horizontal gap, baseline jumps and `hasEOL` start a
+// new line, and larger vertical gaps start a new paragraph. Every item keeps its [start, end)
+// range in the rebuilt text so findings can be traced back to the items that produced them.
+export const reconstructPageText = (items) => {
+  let text = '';
+  const spans = [];
+  let prev = null;
+  let pendingEOL = false;
+
+  items.forEach((item, index) => {
+    if (typeof item.str !== 'string') return;
+    if (item.str.length === 0) {
+      if (item.hasEOL) pendingEOL = true;
+      return;
+    }
+
+    const x = item.transform[4];
+    const y = item.transform[5];
+    const height = itemHeight(item);
+
+    if (prev) {
+      const lineHeight = Math.max(prev.height, height);
+      const dy = Math.abs(y - prev.y);
+      if (pendingEOL || dy > lineHeight * 0.5) {
+        text += dy > lineHeight * 1.8 ? '\n\n' : '\n';
+      } else {
+        const gap = x - prev.right;
+        if (gap > height * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.str)) text += ' ';
+      }
+    }
+
+    spans.push({ start: text.length, end: text.length + item.str.length, index });
+    text += item.str;
+
+    prev = { y, height, right: x + (item.width || 0) };
+    pendingEOL = !!item.hasEOL;
+  });
+
+  return { text, spans };
+};
+
+// Item spans that overlap a [start, end) range of the rebuilt text
+export const spansInRange = (spans, start, end) =>
+  spans.filter(span => span.start < end && span.end > start);
+
+// Approximate item bounds in PDF user space: baseline origin, advance width and font height
+export const itemBox = (item) => {
+  const [x, y] = [item.transform[4], item.transform[5]];
+  const height = itemHeight(item);
+  return [x, y - 0.2 * height, x + (item.width || 0), y + 0.8 * height];
+};
+
+export const unionBox = (boxes) => boxes.length === 0 ? null : [
+  Math.min(...boxes.map(b => b[0])),
+  Math.min(...boxes.map(b => b[1])),
+  Math.max(...boxes.map(b => b[2])),
+  Math.max(...boxes.map(b => b[3]))
+];
+
+// Item spans whose baseline origin falls inside a box (with a little slack for rounding)
+export const spansInBox = (spans, items, box, slack = 1) =>
+  spans.filter(({ index }) => {
+    const [x, y] = [items[index].transform[4], items[index].transform[5]];
+    return items[index].str.trim() && x >= box[0] - slack && x <= box[2] + slack && y >= box[1] - slack && y <= box[3] + slack;
+  });
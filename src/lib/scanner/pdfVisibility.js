@@ -0,0 +1,262 @@
+import { WHITE, isUnreadableOn, toHex } from './color.js';
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// Apply m1, then m2 (same convention as pdf.js Util.transform(m2, m1))
+const multiply = (m1, m2) => [
+  m1[0] * m2[0] + m1[1] * m2[2],
+  m1[0] * m2[1] + m1[1] * m2[3],
+  m1[2] * m2[0] + m1[3] * m2[2],
+  m1[2] * m2[1] + m1[3] * m2[3],
+  m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+  m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+];
+
+const applyPoint = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+
+const boxOf = (m, x0, y0, x1, y1) => {
+  const points = [applyPoint(m, x0, y0), applyPoint(m, x1, y0), applyPoint(m, x0, y1), applyPoint(m, x1, y1)];
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+};
+
+const area = (box) => Math.max(0, box[2] - box[0]) * Math.max(0, box[3] - box[1]);
+
+const intersection = (a, b) => [Math.max(a[0], b[0]), Math.max(a[1], b[1]), Math.min(a[2], b[2]), Math.min(a[3], b[3])];
+
+const intersects = (a, b) => a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+
+// Share of box `inner` that lies inside box `outer`
+const coverage = (inner, outer) => {
+  const total = area(inner);
+  return total > 0 ? area(intersection(inner, outer)) / total : 0;
+};
+
+const FILL_PAINT_OPS = ['fill', 'eoFill', 'fillStroke', 'eoFillStroke', 'closeFillStroke', 'closeEOFillStroke'];
+const IMAGE_PAINT_OPS = [
+  'paintImageXObject', 'paintInlineImageXObject', 'paintImageMaskXObject',
+  'paintImageXObjectRepeat', 'paintImageMaskXObjectRepeat', 'paintSolidColorImageMask'
+];
+
+export const HIDING_TECHNIQUES = {
+  renderMode: { type: 'Invisible Render Mode', severity: 'high' },
+  background: { type: 'Background-Colored Text', severity: 'high' },
+  offPage: { type: 'Off-Page Text', severity: 'high' },
+  zeroScale: { type: 'Zero-Scale Text', severity: 'high' },
+  covered: { type: 'Covered Text', severity: 'medium' }
+};
+
+// Walks a page operator list the way a renderer would, tracking the graphics and text state,
+// and returns every painted text run with its bounding box (PDF user space) and the reasons,
+// if any, that a reader would not see it.
+export const analyzeTextVisibility = (operatorList, OPS, pageBox) => {
+  const ops = Object.fromEntries(Object.entries(OPS).map(([name, code]) => [code, name]));
+  const runs = [];
+  const paints = [];
+
+  let gs = { ctm: IDENTITY, fill: '#000000', fillAlpha: 1, renderMode: 0, fontSize: 0, charSpacing: 0, wordSpacing: 0, hScale: 1, leading: 0, rise: 0 };
+  const stack = [];
+  let tm = IDENTITY;
+  let tlm = IDENTITY;
+  let pendingPathBox = null;
+  let order = 0;
+
+  const moveText = (tx, ty) => {
+    tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+    tm = tlm;
+  };
+
+  const addFill = (box) => {
+    if (!box) return;
+    paints.push({ box: boxOf(gs.ctm, box[0], box[1], box[2], box[3]), color: gs.fillAlpha > 0 ? gs.fill : null, image: false, order: order++ });
+  };
+
+  const showText = (glyphs) => {
+    const { fontSize, charSpacing, wordSpacing, hScale, rise } = gs;
+    const start = tm;
+    let advance = 0;
+    let text = '';
+
+    glyphs.forEach(glyph => {
+      if (typeof glyph === 'number') {
+        advance -= (glyph / 1000) * fontSize * hScale;
+        if (glyph < -250) text += ' ';
+        return;
+      }
+      if (!glyph) return;
+      text += glyph.unicode || '';
+      advance += ((glyph.width || 0) / 1000 * fontSize + charSpacing + (glyph.isSpace ? wordSpacing : 0)) * hScale;
+    });
+    tm = multiply([1, 0, 0, 1, advance, 0], tm);
+    if (!text.trim()) return;
+
+    const trm = multiply(multiply([fontSize * hScale, 0, 0, fontSize, 0, rise], start), gs.ctm);
+    const box = boxOf(multiply(start, gs.ctm), 0, rise - 0.2 * fontSize, advance, rise + 0.8 * fontSize);
+    runs.push({
+      text,
+      box,
+      order: order++,
+      fill: gs.fill,
+      fillAlpha: gs.fillAlpha,
+      renderMode: gs.renderMode,
+      xScale: Math.hypot(trm[0], trm[1]),
+      yScale: Math.hypot(trm[2], trm[3]),
+      det: trm[0] * trm[3] - trm[1] * trm[2]
+    });
+  };
+
+  operatorList.fnArray.forEach((fn, index) => {
+    const args = operatorList.argsArray[index] || [];
+    switch (ops[fn]) {
+      case 'save':
+        stack.push(gs);
+        gs = { ...gs };
+        break;
+      case 'restore':
+        if (stack.length) gs = stack.pop();
+        break;
+      case 'transform':
+        gs.ctm = multiply(args, gs.ctm);
+        break;
+      case 'paintFormXObjectBegin':
+        stack.push(gs);
+        gs = { ...gs, ctm: Array.isArray(args[0]) || ArrayBuffer.isView(args[0]) ? multiply(Array.from(args[0]), gs.ctm) : gs.ctm };
+        break;
+      case 'paintFormXObjectEnd':
+        if (stack.length) gs = stack.pop();
+        break;
+      case 'setGState':
+        (args[0] || []).forEach(([key, value]) => {
+          if (key === 'ca') gs.fillAlpha = value;
+        });
+        break;
+      case 'setFillRGBColor':
+        gs.fill = toHex(args.length === 1 ? args[0] : args) || gs.fill;
+        break;
+      case 'setFillGray':
+        gs.fill = toHex([args[0] * 255, args[0] * 255, args[0] * 255]);
+        break;
+      case 'setFillTransparent':
+        gs.fillAlpha = 0;
+        break;
+      case 'beginText':
+        tm = IDENTITY;
+        tlm = IDENTITY;
+        break;
+      case 'setFont':
+        gs.fontSize = args[1];
+        break;
+      case 'setTextRenderingMode':
+        gs.renderMode = args[0];
+        break;
+      case 'setCharSpacing':
+        gs.charSpacing = args[0];
+        break;
+      case 'setWordSpacing':
+        gs.wordSpacing = args[0];
+        break;
+      case 'setHScale':
+        gs.hScale = args[0] / 100;
+        break;
+      case 'setLeading':
+        gs.leading = args[0];
+        break;
+      case 'setTextRise':
+        gs.rise = args[0];
+        break;
+      case 'moveText':
+        moveText(args[0], args[1]);
+        break;
+      case 'setLeadingMoveText':
+        gs.leading = -args[1];
+        moveText(args[0], args[1]);
+        break;
+      case 'setTextMatrix':
+        tlm = Array.from(args.length === 1 ? args[0] : args);
+        tm = tlm;
+        break;
+      case 'nextLine':
+        moveText(0, -gs.leading);
+        break;
+      case 'showText':
+      case 'showSpacedText':
+        showText(args[0] || []);
+        break;
+      case 'constructPath':
+        // pdf.js >= 5 folds the paint operator into constructPath; older versions emit it separately
+        if (typeof args[0] === 'number') {
+          if (FILL_PAINT_OPS.includes(ops[args[0]])) addFill(args[2]);
+        } else {
+          pendingPathBox = args[2];
+        }
+        break;
+      default:
+        if (FILL_PAINT_OPS.includes(ops[fn])) {
+          addFill(pendingPathBox);
+          pendingPathBox = null;
+        } else if (IMAGE_PAINT_OPS.includes(ops[fn])) {
+          paints.push({ box: boxOf(gs.ctm, 0, 0, 1, 1), color: null, image: true, order: order++ });
+        }
+    }
+  });
+
+  return runs.map(run => ({ ...run, reasons: hidingReasons(run, paints, pageBox) }));
+};
+
+const hidingReasons = (run, paints, pageBox) => {
+  const reasons = [];
+
+  // Searchable scans lay their OCR text invisibly over the page image, so that text is the image's
+  // own words; invisible text anywhere else is hidden
+  const overImage = paints.some(p => p.image && p.order < run.order && coverage(run.box, p.box) > 0.5);
+  if ((run.renderMode === 3 || run.renderMode === 7) && !overImage) {
+    reasons.push({ technique: 'renderMode', detail: `Text render mode ${run.renderMode} paints no glyphs` });
+  }
+
+  if (run.xScale < 0.5 || run.yScale < 0.5 || Math.abs(run.det) < 0.25) {
+    reasons.push({ technique: 'zeroScale', detail: `Glyphs collapsed to ${run.xScale.toFixed(2)}×${run.yScale.toFixed(2)}pt` });
+  }
+
+  if (pageBox && !intersects(run.box, pageBox)) {
+    reasons.push({ technique: 'offPage', detail: 'Positioned outside the visible page area' });
+  }
+
+  if (run.fillAlpha === 0) {
+    reasons.push({ technique: 'background', detail: 'Fill is fully transparent' });
+  } else if (run.renderMode === 0 || run.renderMode === 4) {
+    // The background is whatever was painted last underneath the text, or the white page
+    const under = paints.filter(p => p.order < run.order && coverage(run.box, p.box) > 0.5).pop();
+    const background = under ? under.color : WHITE;
+    if (background && !under?.image && isUnreadableOn(run.fill, background)) {
+      reasons.push({ technique: 'background', detail: `Fill ${run.fill} on ${background} background` });
+    }
+  }
+
+  const cover = paints.find(p => p.order > run.order && area(run.box) > 0 && coverage(run.box, p.box) >= 0.9);
+  if (cover) {
+    reasons.push({ technique: 'covered', detail: `Painted over by a later ${cover.image ? 'image' : 'filled shape'}` });
+  }
+
+  return reasons;
+};
+
+// Consecutive runs hidden the same way (e.g. one glyph per operator) become a single block
+export const hiddenTextBlocks = (runs) => {
+  const blocks = [];
+  runs.forEach(run => {
+    if (run.reasons.length === 0) return;
+    const key = run.reasons.map(r => r.technique).join('|');
+    const last = blocks[blocks.length - 1];
+    if (last && last.key === key && last.lastOrder === run.order - 1) {
+      const height = run.box[3] - run.box[1];
+      const sameLine = Math.abs(run.box[1] - last.box[1]) < height * 0.5 && run.box[0] - last.box[2] < height * 0.15;
+      last.text += sameLine || /\s$/.test(last.text) ? run.text : ` ${run.text}`;
+      last.box = [Math.min(last.box[0], run.box[0]), Math.min(last.box[1], run.box[1]), Math.max(last.box[2], run.box[2]), Math.max(last.box[3], run.box[3])];
+      last.lastOrder = run.order;
+    } else {
+      blocks.push({ key, text: run.text, box: run.box, reasons: run.reasons, lastOrder: run.order });
+    }
+  });
+  return blocks;
+};
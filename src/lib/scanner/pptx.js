@@ -0,0 +1,248 @@
+import { WHITE, toHex, contrastRatio, isUnreadableOn } from './color.js';
+import { openPackage, readRelationships, readThemeColors, child, closest, elementChildren, scanPropertyParts } from './ooxml.js';
+import { scanParagraphs, joinParts } from './story.js';
+
+// 16:9 default when p:sldSz is missing, in EMU
+const DEFAULT_SIZE = { width: 12192000, height: 6858000 };
+const PRESET_COLORS = { white: '#ffffff', black: '#000000' };
+const COLOR_ELEMENTS = ['a:srgbClr', 'a:sysClr', 'a:schemeClr', 'a:prstClr'];
+
+// p:clrMap attributes; used when a master does not declare its own
+const DEFAULT_COLOR_MAP = { bg1: 'lt1', tx1: 'dk1', bg2: 'lt2', tx2: 'dk2' };
+
+const readBox = (xfrm) => {
+  const off = child(xfrm, 'a:off');
+  const ext = child(xfrm, 'a:ext');
+  if (!off || !ext) return null;
+  return {
+    x: parseInt(off.getAttribute('x'), 10),
+    y: parseInt(off.getAttribute('y'), 10),
+    w: parseInt(ext.getAttribute('cx'), 10),
+    h: parseInt(ext.getAttribute('cy'), 10)
+  };
+};
+
+// Group shapes position their children in their own coordinate space (a:chOff/a:chExt)
+const applyGroups = (box, node) => {
+  let result = box;
+  for (let group = closest(node, 'p:grpSp'); group && result; group = closest(group, 'p:grpSp')) {
+    const xfrm = child(child(group, 'p:grpSpPr'), 'a:xfrm');
+    const outer = readBox(xfrm);
+    const chOff = child(xfrm, 'a:chOff');
+    const chExt = child(xfrm, 'a:chExt');
+    if (!outer || !chOff || !chExt) return null;
+    const sx = outer.w / (parseInt(chExt.getAttribute('cx'), 10) || 1);
+    const sy = outer.h / (parseInt(chExt.getAttribute('cy'), 10) || 1);
+    result = {
+      x: outer.x + (result.x - parseInt(chOff.getAttribute('x'), 10)) * sx,
+      y: outer.y + (result.y - parseInt(chOff.getAttribute('y'), 10)) * sy,
+      w: result.w * sx,
+      h: result.h * sy
+    };
+  }
+  return result;
+};
+
+const placeholderOf = (shape) => {
+  const nvPr = shape.getElementsByTagName('p:nvPr')[0];
+  const ph = child(nvPr, 'p:ph');
+  return ph ? { type: ph.getAttribute('type') || 'body', idx: ph.getAttribute('idx') } : null;
+};
+
+// Placeholder boxes declared by a layout or master, by idx and by type
+const placeholderBoxes = (doc) => {
+  const byIdx = {};
+  const byType = {};
+  Array.from(doc?.getElementsByTagName('p:sp') || []).forEach(shape => {
+    const ph = placeholderOf(shape);
+    const box = readBox(child(child(shape, 'p:spPr'), 'a:xfrm'));
+    if (!ph || !box) return;
+    if (ph.idx) byIdx[ph.idx] = box;
+    byType[ph.type] = byType[ph.type] || box;
+  });
+  return { byIdx, byType };
+};
+
+const createColorResolver = (themeColors, colorMap) => (container) => {
+  const el = elementChildren(container).find(node => COLOR_ELEMENTS.includes(node.nodeName));
+  // Tints, shades and luminance modifiers are not modelled; better no answer than a wrong one
+  if (!el || elementChildren(el).length > 0) return null;
+  const val = el.getAttribute('val');
+  if (el.nodeName === 'a:srgbClr') return toHex(val);
+  if (el.nodeName === 'a:sysClr') return toHex(el.getAttribute('lastClr'));
+  if (el.nodeName === 'a:prstClr') return PRESET_COLORS[val] || null;
+  return themeColors[colorMap[val] || val] || null;
+};
+
+// undefined: this level sets no background; null: it does, but not as a plain colour
+const readBackground = (doc, resolveColor) => {
+  const bg = doc?.getElementsByTagName('p:bg')[0];
+  if (!bg) return undefined;
+  const bgPr = child(bg, 'p:bgPr');
+  if (bgPr) return child(bgPr, 'a:solidFill') ? resolveColor(child(bgPr, 'a:solidFill')) : null;
+  const ref = child(bg, 'p:bgRef');
+  return ref?.getAttribute('idx') === '1001' ? resolveColor(ref) : null;
+};
+
+const readParagraphs = (txBody, resolveColor) => elementChildren(txBody).filter(el => el.nodeName === 'a:p').map(p => ({
+  runs: elementChildren(p).flatMap(el => {
+    if (el.nodeName === 'a:br') return [{ text: '\n', color: null, size: null }];
+    if (el.nodeName !== 'a:r' && el.nodeName !== 'a:fld') return [];
+    const rPr = child(el, 'a:rPr');
+    const fill = child(rPr, 'a:solidFill');
+    const size = rPr?.getAttribute('sz');
+    return [{ text: child(el, 'a:t')?.textContent || '', color: fill ? resolveColor(fill) : null, size: size ? parseInt(size, 10) / 100 : null }];
+  })
+}));
+
+const paragraphText = (paragraph) => paragraph.runs.map(run => run.text).join('');
+
+// Slides with their text boxes positioned in EMU, resolved fills and run formatting, plus speaker
+// notes. Shared by the scanner and the slide preview.
+export const readPresentation = async (data, { DOMParser = globalThis.DOMParser } = {}) => {
+  if (!DOMParser) throw new Error('readPresentation requires a DOMParser implementation');
+  const pkg = await openPackage(data, DOMParser);
+  if (!pkg.has('ppt/presentation.xml')) throw new Error('Not a PowerPoint presentation: ppt/presentation.xml is missing');
+
+  const presentation = await pkg.readXml('ppt/presentation.xml');
+  const sldSz = presentation.getElementsByTagName('p:sldSz')[0];
+  const width = parseInt(sldSz?.getAttribute('cx'), 10) || DEFAULT_SIZE.width;
+  const height = parseInt(sldSz?.getAttribute('cy'), 10) || DEFAULT_SIZE.height;
+  const presentationRels = await readRelationships(pkg, 'ppt/presentation.xml');
+  const themeColors = readThemeColors(await pkg.readOptionalXml('ppt/theme/theme1.xml'));
+
+  const layouts = {};
+  const loadLayout = async (path) => {
+    if (!path || !pkg.has(path)) return null;
+    if (!layouts[path]) {
+      const doc = await pkg.readXml(path);
+      const masterPath = Object.values(await readRelationships(pkg, path)).find(rel => rel.type === 'slideMaster')?.path;
+      const master = masterPath && pkg.has(masterPath) ? await pkg.readXml(masterPath) : null;
+      const clrMap = master?.getElementsByTagName('p:clrMap')[0];
+      const colorMap = { ...DEFAULT_COLOR_MAP };
+      Object.keys(DEFAULT_COLOR_MAP).forEach(key => { colorMap[key] = clrMap?.getAttribute(key) || colorMap[key]; });
+      layouts[path] = { doc, master, colorMap, boxes: placeholderBoxes(doc), masterBoxes: placeholderBoxes(master) };
+    }
+    return layouts[path];
+  };
+
+  const slideIds = Array.from(presentation.getElementsByTagName('p:sldId'));
+  const slides = [];
+  for (const [index, sldId] of slideIds.entries()) {
+    const path = presentationRels[sldId.getAttribute('r:id')]?.path;
+    if (!path || !pkg.has(path)) continue;
+    const doc = await pkg.readXml(path);
+    const rels = Object.values(await readRelationships(pkg, path));
+    const layout = await loadLayout(rels.find(rel => rel.type === 'slideLayout')?.path);
+    const resolveColor = createColorResolver(themeColors, layout?.colorMap || DEFAULT_COLOR_MAP);
+    const background = [readBackground(doc, resolveColor), readBackground(layout?.doc, resolveColor), readBackground(layout?.master, resolveColor)]
+      .find(color => color !== undefined);
+
+    let paragraphCount = 0;
+    const shapes = Array.from(doc.getElementsByTagName('p:txBody')).concat(Array.from(doc.getElementsByTagName('a:txBody'))).map(txBody => {
+      const shape = closest(txBody, 'p:sp') || closest(txBody, 'p:graphicFrame');
+      if (!shape) return null;
+      const ph = placeholderOf(shape);
+      const ownBox = readBox(child(child(shape, 'p:spPr'), 'a:xfrm') || child(shape, 'p:xfrm'));
+      const inherited = ph && (layout?.boxes.byIdx[ph.idx] || layout?.boxes.byType[ph.type] || layout?.masterBoxes.byType[ph.type]);
+      const box = ownBox ? applyGroups(ownBox, shape) : inherited || null;
+      const cell = closest(txBody, 'a:tc');
+      const fillEl = child(cell ? child(cell, 'a:tcPr') : child(shape, 'p:spPr'), 'a:solidFill');
+      const cNvPr = shape.getElementsByTagName('p:cNvPr')[0];
+      const paragraphs = readParagraphs(txBody, resolveColor);
+      const paragraphStart = paragraphCount + 1;
+      paragraphCount += paragraphs.length;
+      return {
+        name: cNvPr?.getAttribute('name') || '',
+        hidden: cNvPr?.getAttribute('hidden') === '1',
+        box,
+        offSlide: !!box && (box.x + box.w <= 0 || box.y + box.h <= 0 || box.x >= width || box.y >= height),
+        fill: fillEl ? resolveColor(fillEl) : undefined,
+        paragraphStart,
+        paragraphs
+      };
+    }).filter(Boolean);
+
+    const notesPath = rels.find(rel => rel.type === 'notesSlide')?.path;
+    const notesDoc = notesPath && pkg.has(notesPath) ? await pkg.readXml(notesPath) : null;
+    const notes = Array.from(notesDoc?.getElementsByTagName('p:sp') || [])
+      .filter(shape => placeholderOf(shape)?.type === 'body')
+      .flatMap(shape => readParagraphs(child(shape, 'p:txBody'), resolveColor).map(paragraphText));
+
+    slides.push({ number: index + 1, hidden: doc.documentElement.getAttribute('show') === '0', background, shapes, notes });
+  }
+  return { width, height, slides, pkg };
+};
+
+const runFindings = (run, shape, slide) => {
+  const findings = [];
+  if (shape.hidden) {
+    findings.push({ type: 'Hidden Shape', detail: `Shape "${shape.name}" is hidden`, severity: 'high' });
+  }
+  if (shape.offSlide) {
+    findings.push({ type: 'Off-Slide Text', detail: `Shape "${shape.name}" is positioned outside the slide`, severity: 'high' });
+  }
+  // A shape without its own fill shows the slide background; an unresolvable background skips the check
+  const background = shape.fill !== undefined ? shape.fill : slide.background === undefined ? WHITE : slide.background;
+  if (run.color && background && isUnreadableOn(run.color, background)) {
+    const source = shape.fill !== undefined ? 'shape fill' : slide.background === undefined ? 'white slide' : 'slide background';
+    findings.push({
+      type: 'Hidden Text',
+      detail: `Colour ${run.color} on ${background} ${source}, contrast ${contrastRatio(run.color, background).toFixed(2)}:1`,
+      severity: 'high'
+    });
+  }
+  if (run.size && run.size <= 4) {
+    findings.push({ type: 'Micro-text', detail: `Suspiciously small font size (${run.size}pt)`, severity: 'medium' });
+  }
+  return findings;
+};
+
+const scanSlide = (slide, ctx) => {
+  const label = `Slide ${slide.number}`;
+  const paragraphs = slide.shapes.flatMap(shape => shape.paragraphs.map((paragraph, index) => ({
+    at: { part: label, paragraph: shape.paragraphStart + index },
+    runs: paragraph.runs.map(run => ({ text: run.text, findings: runFindings(run, shape, slide) }))
+  })));
+  const { text, issues } = scanParagraphs(paragraphs, ctx);
+
+  if (slide.hidden && text.trim()) {
+    issues.unshift({
+      type: 'Hidden Slide',
+      detail: 'Slide is hidden and skipped during the slideshow',
+      context: text.slice(0, 200),
+      part: label,
+      ranges: [{ start: 0, end: text.length }],
+      severity: 'medium'
+    });
+  }
+  return { part: label, label, included: true, text, issues };
+};
+
+export const scanPptx = async (data, { DOMParser = globalThis.DOMParser, rules, fuzzyThreshold, signal, onProgress = () => {}, onIssues = () => {} } = {}) => {
+  onProgress(10);
+  const { slides, pkg } = await readPresentation(data, { DOMParser });
+  const ctx = { rules, fuzzyThreshold };
+  const parts = [];
+
+  slides.forEach((slide, index) => {
+    signal?.throwIfAborted();
+    onProgress(10 + Math.round((index / slides.length) * 80));
+    const part = scanSlide(slide, ctx);
+    parts.push(part);
+    onIssues(part.issues);
+
+    // Speaker notes never appear on screen, so they are scanned but kept out of the sanitized text
+    if (slide.notes.some(note => note.trim())) {
+      const notesLabel = `Notes ${slide.number}`;
+      const notes = scanParagraphs(slide.notes.map((note, i) => ({ at: { part: notesLabel, paragraph: i + 1 }, runs: [{ text: note }] })), ctx);
+      parts.push({ part: notesLabel, label: notesLabel, included: false, ...notes });
+      onIssues(notes.issues);
+    }
+  });
+
+  parts.push(...await scanPropertyParts(pkg, ctx, onIssues));
+  onProgress(100);
+
+  return { ...joinParts(parts), pageCount: slides.length };
+};
@@ -0,0 +1,60 @@
+// FNV-1a, for short stable identifiers
+export const hash = (value) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    h ^= value.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+};
+
+const issueKey = (issue) => [
+  issue.type,
+  issue.part,
+  issue.page,
+  issue.paragraph,
+  issue.detail,
+  ...(issue.ranges || []).map(({ start, end }) => `${start}-${end}`)
+].join('|');
+
+// Deterministic IDs derived from type, location, detail and ranges; repeats get a counter suffix
+export const assignIssueIds = (issues) => {
+  const seen = new Map();
+  return issues.map(issue => {
+    // Hashing the finding's identity keeps ids stable across rescans of the same document
+    const base = hash(issueKey(issue));
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return { ...issue, id: count > 1 ? `${base}-${count}` : base };
+  });
+};
+
+export const shiftRanges = (ranges, offset) => ranges.map(({ start, end }) => ({ start: start + offset, end: end + offset }));
+
+// Cuts text at every range boundary; each segment lists the IDs of the issues that cover it
+export const segmentText = (text, issues) => {
+  const bounds = new Set([0, text.length]);
+  issues.forEach(issue => (issue.ranges || []).forEach(({ start, end }) => {
+    bounds.add(Math.max(0, Math.min(start, text.length)));
+    bounds.add(Math.max(0, Math.min(end, text.length)));
+  }));
+  const points = [...bounds].sort((a, b) => a - b);
+
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const [start, end] = [points[i], points[i + 1]];
+    const ids = issues
+      .filter(issue => (issue.ranges || []).some(range => range.start < end && range.end > start))
+      .map(issue => issue.id);
+    segments.push({ start, end, text: text.slice(start, end), issues: ids });
+  }
+  return segments;
+};
+
+// Joins sorted ranges separated only by whitespace in `text`
+export const mergeRanges = (ranges, text) => ranges.reduce((merged, range) => {
+  const last = merged[merged.length - 1];
+  if (last && !text.slice(last.end, range.start).trim()) last.end = Math.max(last.end, range.end);
+  else merged.push({ ...range });
+  return merged;
+}, []);
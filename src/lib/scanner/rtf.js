@@ -0,0 +1,168 @@
+import { WHITE, toHex, contrastRatio, isUnreadableOn } from './color.js';
+import { scanParagraphs, scanText, joinParts } from './story.js';
+
+// Destinations whose content is not document text
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'stylesheet', 'listtable', 'listoverridetable', 'revtbl', 'rsidtbl', 'generator', 'pict', 'object',
+  'objdata', 'datastore', 'themedata', 'colorschememapping', 'latentstyles', 'xmlnstbl', 'filetbl', 'pgdsctbl',
+  'bkmkstart', 'bkmkend', 'fldinst', 'shpinst', 'nonshppict', 'blipuid', 'mmathPr', 'wgrffmtfilter', 'listtext', 'pntext'
+]);
+const INFO_FIELDS = ['title', 'subject', 'author', 'operator', 'keywords', 'comment', 'doccomm', 'company', 'manager', 'category'];
+const HEADER_DESTINATIONS = { header: 'Header', headerl: 'Header', headerr: 'Header', headerf: 'Header', footer: 'Footer', footerl: 'Footer', footerr: 'Footer', footerf: 'Footer' };
+const SYMBOLS = { '~': ' ', '-': '­', '_': '‑', '\\': '\\', '{': '{', '}': '}' };
+const SPECIAL_WORDS = { tab: '\t', line: '\n', cell: '\t', emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”', emspace: ' ', enspace: ' ' };
+
+const TOKEN_RE = /\\([a-zA-Z]+)(-?\d+)? ?|\\'([0-9a-fA-F]{2})|\\([^a-zA-Z])|([{}])|([^\\{}\r\n]+)|[\r\n]+/g;
+
+const freshCharacter = () => ({ hidden: false, color: 0, highlight: 0, size: 24 });
+
+// Tokenizes RTF into parts (body, header, footer, annotations, info fields) made of paragraphs
+// of runs that remember the character formatting they were written with
+export const parseRtf = (source) => {
+  const colors = [];
+  let codePage = 1252;
+  const containers = { Body: [[]] };
+  const stack = [];
+  let state = { destination: 'Body', skip: false, ucSkip: 1, char: freshCharacter() };
+  let pendingSkip = 0;
+  let bytes = [];
+
+  const paragraphs = () => (containers[state.destination] = containers[state.destination] || [[]]);
+  const flushBytes = () => {
+    if (bytes.length === 0) return;
+    let decoder;
+    try {
+      decoder = new TextDecoder(`windows-${codePage}`);
+    } catch {
+      decoder = new TextDecoder('windows-1252');
+    }
+    const text = decoder.decode(new Uint8Array(bytes));
+    bytes = [];
+    write(text);
+  };
+  const write = (text) => {
+    if (state.skip || !text) return;
+    if (state.destination === 'colortbl') return;
+    const list = paragraphs();
+    const runs = list[list.length - 1];
+    const last = runs[runs.length - 1];
+    const { hidden, color, highlight, size } = state.char;
+    if (last && last.hidden === hidden && last.color === color && last.highlight === highlight && last.size === size) last.text += text;
+    else runs.push({ text, hidden, color, highlight, size });
+  };
+
+  let color = [0, 0, 0];
+  let colorSet = false;
+  for (const match of source.matchAll(TOKEN_RE)) {
+    const [, word, param, hex, symbol, brace, text] = match;
+    if (hex) {
+      if (pendingSkip > 0) pendingSkip--;
+      else if (!state.skip) bytes.push(parseInt(hex, 16));
+      continue;
+    }
+    flushBytes();
+    if (pendingSkip > 0 && (text || symbol)) {
+      // \uN is followed by ucN fallback characters that only non-Unicode readers use
+      const consumed = text ? Math.min(pendingSkip, text.length) : 1;
+      pendingSkip -= consumed;
+      if (text) write(text.slice(consumed));
+      continue;
+    }
+    pendingSkip = 0;
+
+    if (brace === '{') {
+      stack.push(state);
+      state = { ...state, char: { ...state.char } };
+    } else if (brace === '}') {
+      state = stack.pop() || state;
+    } else if (symbol === '*') {
+      state.skip = true;
+    } else if (symbol === '\n' || symbol === '\r') {
+      // A backslash before a line break is an old spelling of \par
+      paragraphs().push([]);
+    } else if (symbol) {
+      write(SYMBOLS[symbol] || '');
+    } else if (word) {
+      const n = param === undefined ? null : parseInt(param, 10);
+      if (SKIPPED_DESTINATIONS.has(word)) state.skip = true;
+      else if (word === 'colortbl') state.destination = 'colortbl';
+      else if (word === 'annotation') Object.assign(state, { destination: 'Comments', skip: false });
+      else if (HEADER_DESTINATIONS[word]) state.destination = HEADER_DESTINATIONS[word];
+      else if (INFO_FIELDS.includes(word)) state.destination = `Document Properties (${word})`;
+      else if (word === 'info') state.destination = 'info';
+      else if (word === 'ansicpg' && n) codePage = n;
+      else if (word === 'uc') state.ucSkip = n ?? 1;
+      else if (word === 'u') {
+        write(String.fromCharCode(n < 0 ? n + 65536 : n));
+        pendingSkip = state.ucSkip;
+      }
+      else if (word === 'red') { color[0] = n; colorSet = true; }
+      else if (word === 'green') { color[1] = n; colorSet = true; }
+      else if (word === 'blue') { color[2] = n; colorSet = true; }
+      else if (word === 'par' || word === 'row' || word === 'sect' || word === 'page') paragraphs().push([]);
+      else if (SPECIAL_WORDS[word]) write(SPECIAL_WORDS[word]);
+      else if (word === 'plain') state.char = freshCharacter();
+      else if (word === 'v') state.char.hidden = n !== 0;
+      else if (word === 'cf') state.char.color = n ?? 0;
+      else if (word === 'cb' || word === 'highlight' || word === 'chcbpat') state.char.highlight = n ?? 0;
+      else if (word === 'fs') state.char.size = n ?? 24;
+    } else if (text) {
+      if (state.destination === 'colortbl') {
+        // Entries end with ";"; an entry with no colour words is the "auto" colour
+        for (let i = 0; i < (text.match(/;/g) || []).length; i++) {
+          colors.push(colorSet ? toHex(color) : null);
+          color = [0, 0, 0];
+          colorSet = false;
+        }
+      } else {
+        write(text);
+      }
+    }
+  }
+  flushBytes();
+  return { colors, containers };
+};
+
+const runFindings = (run, colors) => {
+  const findings = [];
+  if (run.hidden) findings.push({ type: 'Vanished Text', detail: 'Hidden run (\\v)', severity: 'high' });
+  const foreground = colors[run.color] || null;
+  const background = colors[run.highlight] || WHITE;
+  if (foreground && isUnreadableOn(foreground, background)) {
+    findings.push({
+      type: 'Hidden Text',
+      detail: `Colour ${foreground} on ${background} ${colors[run.highlight] ? 'highlight' : 'white page'}, contrast ${contrastRatio(foreground, background).toFixed(2)}:1`,
+      severity: 'high'
+    });
+  }
+  if (run.size <= 8) { // \fs is in half-points, so 4pt = 8
+    findings.push({ type: 'Micro-text', detail: `Suspiciously small font size (${run.size / 2}pt)`, severity: 'medium' });
+  }
+  return findings;
+};
+
+export const scanRtf = async (data, { rules, fuzzyThreshold, onProgress = () => {}, onIssues = () => {} } = {}) => {
+  onProgress(10);
+  // RTF is 7-bit ASCII with escapes, so a byte-for-byte decode is lossless
+  const source = new TextDecoder('latin1').decode(new Uint8Array(data));
+  if (!source.startsWith('{\\rtf')) throw new Error('Not an RTF document: missing {\\rtf header');
+  const { colors, containers } = parseRtf(source);
+  const ctx = { rules, fuzzyThreshold };
+  onProgress(50);
+
+  const parts = Object.entries(containers).map(([label, paragraphs]) => {
+    if (label.startsWith('Document Properties')) {
+      const text = paragraphs.flat().map(run => run.text).join('').trim();
+      return { part: 'Document Properties', label, included: false, text, issues: scanText(text, ctx).map(finding => ({ ...finding, part: label })) };
+    }
+    const scanned = scanParagraphs(paragraphs.map((runs, index) => ({
+      at: { part: label, paragraph: index + 1 },
+      runs: runs.map(run => ({ text: run.text, findings: runFindings(run, colors) }))
+    })), ctx);
+    return { part: label, label, included: label !== 'Comments', ...scanned };
+  }).filter(part => part.label !== 'info');
+  parts.forEach(part => onIssues(part.issues));
+  onProgress(100);
+
+  return { ...joinParts(parts), pageCount: 1 };
+};
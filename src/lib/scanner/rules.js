@@ -0,0 +1,95 @@
+import { SUSPICIOUS_KEYWORDS } from './keywords.js';
+import { hash } from './ranges.js';
+
+export const RULE_KINDS = ['phrase', 'regex'];
+export const SEVERITIES = ['high', 'medium', 'low'];
+export const RULESET_VERSION = 1;
+// Bumped when the built-in detectors change, so results scanned before are not reused as current
+const DETECTOR_REVISION = 4;
+
+// Common prose that only matters in context; kept as a rule but at low severity
+const LOW_SIGNAL_PHRASES = ['instead of', 'actually move in'];
+
+export const slug = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+export const DEFAULT_RULES = SUSPICIOUS_KEYWORDS.map(keyword => ({
+  id: `default-${slug(keyword)}`,
+  kind: 'phrase',
+  pattern: keyword,
+  type: 'Injection Keyword',
+  severity: LOW_SIGNAL_PHRASES.includes(keyword) ? 'low' : 'high',
+  enabled: true
+}));
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Phrases may wrap across lines or items, so any whitespace run counts as a word break
+const phrasePattern = (phrase) => phrase.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+
+export const compileRule = (rule) =>
+  new RegExp(rule.kind === 'regex' ? rule.pattern : phrasePattern(rule.pattern), 'giu');
+
+// Returns an error message for an unusable rule, or null when it is fine
+export const validateRule = (rule) => {
+  if (!rule || typeof rule.pattern !== 'string' || rule.pattern.trim().length === 0) return 'Pattern is empty';
+  if (!RULE_KINDS.includes(rule.kind)) return `Unknown rule kind "${rule.kind}"`;
+  if (!SEVERITIES.includes(rule.severity)) return `Unknown severity "${rule.severity}"`;
+  if (typeof rule.type !== 'string' || rule.type.trim().length === 0) return 'Finding type is empty';
+  try {
+    const regex = compileRule(rule);
+    if (regex.test('')) return 'Pattern matches empty text';
+  } catch (error) {
+    return `Invalid regex: ${error.message}`;
+  }
+  return null;
+};
+
+export const activeRules = (rules = DEFAULT_RULES) => rules.filter(rule => rule.enabled && !validateRule(rule));
+
+// Identifies what a scan ran with: the detectors, the rules that were active and the fuzzy tolerance.
+// Ids and disabled rules do not change results, so they do not change the fingerprint.
+export const rulesetFingerprint = (rules, fuzzyThreshold) => `v${RULESET_VERSION}-${hash(JSON.stringify([
+  DETECTOR_REVISION,
+  fuzzyThreshold,
+  activeRules(rules).map(({ kind, pattern, type, severity }) => [kind, pattern, type, severity])
+]))}`;
+
+export const createRule = (overrides = {}) => ({
+  id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  kind: 'phrase',
+  pattern: '',
+  type: 'Injection Keyword',
+  severity: 'high',
+  enabled: true,
+  ...overrides
+});
+
+// Low-severity rules ("instead of") point at phrases ordinary prose uses too, so their hits are
+// reported but only redacted when triage asks for it. Takes a rule or a finding made from one.
+export const redactsByDefault = ({ severity }) => severity !== 'low';
+
+// How a rule reads in finding details: the phrase itself, or the regex in slashes
+export const ruleLabel = (rule) => rule.kind === 'regex' ? `/${rule.pattern}/` : `"${rule.pattern}"`;
+
+export const serializeRules = (rules) => JSON.stringify({ version: RULESET_VERSION, rules }, null, 2);
+
+// Accepts an exported ruleset (or a bare array of rules) and fills in defaults; throws on bad input
+export const parseRules = (json) => {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  const list = Array.isArray(data) ? data : data?.rules;
+  if (!Array.isArray(list)) throw new Error('Expected a "rules" array');
+
+  return list.map((entry, index) => {
+    const rule = createRule({
+      ...entry,
+      id: entry.id || `imported-${index + 1}`,
+      kind: entry.kind || 'phrase',
+      severity: entry.severity || 'high',
+      type: entry.type || 'Injection Keyword',
+      enabled: entry.enabled !== false
+    });
+    const error = validateRule(rule);
+    if (error) throw new Error(`Rule ${index + 1} (${rule.pattern || 'empty'}): ${error}`);
+    return rule;
+  });
+};
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_RULES, createRule, validateRule, parseRules, serializeRules, rulesetFingerprint } from './rules.js';
+
+describe('validateRule', () => {
+  it('accepts the built-in rules', () => {
+    expect(DEFAULT_RULES.map(validateRule).filter(Boolean)).toEqual([]);
+  });
+
+  it('rejects empty, unknown and runaway patterns', () => {
+    expect(validateRule(createRule({ pattern: ' ' }))).toBe('Pattern is empty');
+    expect(validateRule(createRule({ pattern: 'x', severity: 'urgent' }))).toMatch(/severity/);
+    expect(validateRule(createRule({ kind: 'regex', pattern: '(' }))).toMatch(/Invalid regex/);
+    expect(validateRule(createRule({ kind: 'regex', pattern: 'a*' }))).toBe('Pattern matches empty text');
+  });
+});
+
+describe('parseRules', () => {
+  it('round-trips an export and fills in defaults', () => {
+    expect(parseRules(serializeRules(DEFAULT_RULES))).toEqual(DEFAULT_RULES);
+    expect(parseRules([{ pattern: 'reveal secrets' }])[0]).toMatchObject({ id: 'imported-1', kind: 'phrase', severity: 'high', enabled: true });
+  });
+
+  it('throws on unusable input', () => {
+    expect(() => parseRules('{}')).toThrow('Expected a "rules" array');
+    expect(() => parseRules([{ pattern: '' }])).toThrow(/Rule 1/);
+  });
+});
+
+describe('rulesetFingerprint', () => {
+  it('changes with what affects results only', () => {
+    const base = rulesetFingerprint(DEFAULT_RULES, 0.1);
+    expect(rulesetFingerprint(DEFAULT_RULES.map(rule => ({ ...rule, id: `x-${rule.id}` })), 0.1)).toBe(base);
+    expect(rulesetFingerprint([...DEFAULT_RULES, createRule({ pattern: 'off', enabled: false })], 0.1)).toBe(base);
+    expect(rulesetFingerprint(DEFAULT_RULES, 0.2)).not.toBe(base);
+    expect(rulesetFingerprint(DEFAULT_RULES.slice(1), 0.1)).not.toBe(base);
+  });
+});
@@ -0,0 +1,126 @@
+import { findKeywordMatches } from './detect.js';
+import { normalizeUnicode } from './unicode.js';
+import { HIDING_TECHNIQUES } from './pdfVisibility.js';
+import { describeParts } from './parts.js';
+import { isLureIssue } from './lures.js';
+import { redactsByDefault } from './rules.js';
+
+// Redacts every rule hit above low severity (including obfuscated and near-miss phrases) before
+// normalizing
+export const sanitizeText = (text, rules, options) => {
+  let sanitized = '';
+  let cursor = 0;
+  findKeywordMatches(text, rules, options).filter(({ rule }) => redactsByDefault(rule)).forEach(({ start, end }) => {
+    if (end <= cursor) return;
+    if (start >= cursor) sanitized += `${text.slice(cursor, start)}[REMOVED]`;
+    cursor = end;
+  });
+  return normalizeUnicode(sanitized + text.slice(cursor));
+};
+
+export const SANITIZE_POLICIES = {
+  remove: { label: 'Remove', description: 'Drop hidden and injected text entirely' },
+  redact: { label: 'Redact', description: 'Replace it with typed placeholders such as [HIDDEN TEXT REMOVED]' },
+  delimit: { label: 'Delimit', description: 'Keep it, wrapped in untrusted-content tags' },
+  annotate: { label: 'Annotate', description: 'Keep everything and footnote each flagged span' }
+};
+
+export const DEFAULT_SANITIZE_POLICY = 'redact';
+
+// Findings whose text a reader never sees; everything else with a rule id is an injection hit
+const HIDDEN_TYPES = new Set([
+  ...Object.values(HIDING_TECHNIQUES).map(({ type }) => type),
+  'Hidden Text',
+  'Vanished Text',
+  'Micro-text',
+  'Hidden Slide',
+  'Hidden Shape',
+  'Off-Slide Text',
+  'Hidden Sheet',
+  'Hidden Cell',
+  'Hidden Element'
+]);
+
+export const isHiddenIssue = (issue) => HIDDEN_TYPES.has(issue.type);
+
+// Whether the policy handles a finding's text: rule hits above low severity, hidden text and lures,
+// unless triage set `redact`
+export const isFlaggedIssue = (issue) => !!issue.ranges &&
+  (issue.redact ?? !!((issue.rule && redactsByDefault(issue)) || isHiddenIssue(issue) || isLureIssue(issue)));
+
+const flaggedGroups = (issues, start, end) => {
+  const spans = issues
+    .filter(isFlaggedIssue)
+    .flatMap(issue => issue.ranges.map(range => ({
+      start: Math.max(range.start, start),
+      end: Math.min(range.end, end),
+      issue
+    })))
+    .filter(span => span.start < span.end)
+    .sort((a, b) => a.start - b.start);
+
+  // Overlapping hits (a keyword inside a hidden run) are treated as one span
+  return spans.reduce((groups, span) => {
+    const last = groups[groups.length - 1];
+    if (last && span.start < last.end) {
+      last.end = Math.max(last.end, span.end);
+      if (!last.issues.includes(span.issue)) last.issues.push(span.issue);
+    } else {
+      groups.push({ start: span.start, end: span.end, issues: [span.issue] });
+    }
+    return groups;
+  }, []);
+};
+
+const placeholder = (issues) => {
+  if (issues.every(issue => issue.manual)) return '[REDACTED]';
+  const hidden = issues.some(isHiddenIssue);
+  return `[${hidden ? 'HIDDEN TEXT' : issues.find(issue => !issue.manual).type.toUpperCase()} REMOVED]`;
+};
+
+const rewriteSlice = (rawText, start, end, issues, policy, notes) => {
+  let out = '';
+  let cursor = start;
+  flaggedGroups(issues, start, end).forEach(group => {
+    const text = rawText.slice(group.start, group.end);
+    const types = [...new Set(group.issues.map(issue => issue.type))].join(', ');
+    out += rawText.slice(cursor, group.start);
+    if (policy === 'redact') out += placeholder(group.issues);
+    else if (policy === 'delimit') out += `<untrusted-content reason="${types}">${text}</untrusted-content>`;
+    else if (policy === 'annotate') {
+      notes.push(`[^${notes.length + 1}] ${types}: ${group.issues.map(issue => issue.detail).join('; ')}`);
+      out += `${text}[^${notes.length}]`;
+    }
+    cursor = group.end;
+  });
+  out += rawText.slice(cursor, end);
+  // Dropped spans leave gaps behind; close them up so the text still reads naturally
+  return policy === 'remove' ? out.replace(/[ \t]+(?=\n|$)/g, '').replace(/ {2,}/g, ' ').replace(/\n{3,}/g, "\n\n") : out;
+};
+
+// Included parts with their flagged spans handled according to `policy`, before Unicode
+// normalization; `notes` holds the footnotes the annotate policy refers to. A result without
+// parts is one unlabelled section. Manual redactions from triage count as flagged spans.
+export const sanitizeSections = ({ rawText, issues: found, redactions = [], parts }, { policy = DEFAULT_SANITIZE_POLICY } = {}) => {
+  if (!SANITIZE_POLICIES[policy]) throw new Error(`Unknown sanitization policy "${policy}"`);
+  const issues = [...found, ...redactions];
+  const notes = [];
+  const sections = parts
+    ? parts.filter(p => p.included).map(p => ({ label: p.label, text: rewriteSlice(rawText, p.start, p.end, issues, policy, notes) }))
+    : [{ label: null, text: rewriteSlice(rawText, 0, rawText.length, issues, policy, notes) }];
+  return { sections, notes };
+};
+
+// The parts footer only says something when a part went in under a heading or was left out
+const describesParts = (parts) => parts.some(p => !p.included || p.label !== 'Body');
+
+// Builds the LLM-ready text from a scan result: only included parts, flagged spans handled
+// according to `policy`, and invisible/homoglyph characters normalized away
+export const sanitizeDocument = (result, options) => {
+  const { sections, notes } = sanitizeSections(result, options);
+  let text = sections.map(({ label, text: body }) => !label || label === 'Body' ? body : `[${label}]\n${body}`).join("\n\n");
+
+  if (notes.length > 0) text += `\n\n[DocShit] Flagged spans:\n${notes.join("\n")}`;
+  if (result.parts && describesParts(result.parts)) text += `\n\n${describeParts(result.parts)}`;
+  return normalizeUnicode(text);
+};
@@ -0,0 +1,100 @@
+import { isHiddenIssue } from './sanitize.js';
+import { isStructuralIssue } from './pdfStructure.js';
+import { isLureIssue } from './lures.js';
+
+export const RISK_CATEGORIES = {
+  injection: { label: 'Injection phrases', weight: 1 },
+  lures: { label: 'Links, payloads & spoofing', weight: 1.1 },
+  concealment: { label: 'Hidden content', weight: 1.2 },
+  obfuscation: { label: 'Unicode tricks', weight: 0.8 },
+  structure: { label: 'Active content', weight: 1 }
+};
+
+export const RISK_BANDS = {
+  low: { label: 'Low', summary: 'Nothing that reads as an attack' },
+  medium: { label: 'Medium', summary: 'Worth a look before use' },
+  high: { label: 'High', summary: 'Likely injection or concealed content' },
+  critical: { label: 'Critical', summary: 'Concealed instructions or active content' }
+};
+
+// Lower bound of each band above Low, on the 0-100 score
+export const DEFAULT_RISK_THRESHOLDS = { medium: 20, high: 45, critical: 75 };
+
+const SEVERITY_POINTS = { high: 24, medium: 10, low: 3 };
+
+// How deliberately a technique hides text: invisible ink and covered text exist for little else,
+// while hidden sheets and tracked deletions are everyday editing leftovers
+const TECHNIQUE_WEIGHTS = {
+  'Invisible Render Mode': 1.3,
+  'Background-Colored Text': 1.3,
+  'Zero-Scale Text': 1.3,
+  'Off-Page Text': 1.2,
+  'Hidden Element': 1.2,
+  'Off-Slide Text': 1.1,
+  'Hidden Slide': 0.6,
+  'Hidden Sheet': 0.6,
+  'Deleted Revision': 0.5
+};
+
+// A phrase hit inside concealed text is an instruction meant for the model alone
+const CONCEALED_HIT = 1.5;
+// Each further finding in a category adds less than the one before
+const VOLUME_DECAY = 0.7;
+// Raw points at which the score reaches about 63
+const SCORE_SCALE = 40;
+
+const categoryOf = (issue) => {
+  if (isStructuralIssue(issue)) return 'structure';
+  if (issue.rule) return 'injection';
+  if (isLureIssue(issue)) return 'lures';
+  if (isHiddenIssue(issue) || TECHNIQUE_WEIGHTS[issue.type]) return 'concealment';
+  return 'obfuscation';
+};
+
+const overlaps = (a, b) => a.some(x => b.some(y => x.start < y.end && y.start < x.end));
+
+// Findings read by OCR count in proportion to how sure the recognizer was
+const issuePoints = (issue, concealedRanges) => {
+  let points = (SEVERITY_POINTS[issue.severity] || SEVERITY_POINTS.medium) * (TECHNIQUE_WEIGHTS[issue.type] || 1);
+  if ((issue.rule || isLureIssue(issue)) && issue.ranges && overlaps(issue.ranges, concealedRanges)) points *= CONCEALED_HIT;
+  if (issue.ocrConfidence !== undefined) points *= issue.ocrConfidence / 100;
+  return points;
+};
+
+// Weighs findings by category, severity, concealment technique and volume into a 0-100 score.
+// `categories` lists what each category contributed to that score.
+export const scoreRisk = (issues) => {
+  const concealedRanges = issues.filter(issue => issue.ranges && categoryOf(issue) === 'concealment').flatMap(issue => issue.ranges);
+  const raw = Object.entries(RISK_CATEGORIES).map(([category, { label, weight }]) => {
+    const found = issues.filter(issue => categoryOf(issue) === category);
+    const points = found
+      .map(issue => issuePoints(issue, concealedRanges))
+      .sort((a, b) => b - a)
+      .reduce((sum, value, index) => sum + value * VOLUME_DECAY ** index, 0) * weight;
+    return { category, label, count: found.length, points };
+  });
+  const total = raw.reduce((sum, { points }) => sum + points, 0);
+  const score = Math.round(100 * (1 - Math.exp(-total / SCORE_SCALE)));
+  return {
+    score,
+    // Findings can carry no weight (OCR read with 0% confidence), leaving nothing to share out
+    categories: raw.filter(({ count }) => count > 0).map(({ points, ...category }) => ({ ...category, score: total > 0 ? Math.round(score * points / total) : 0 }))
+  };
+};
+
+export const riskBand = (score, thresholds = DEFAULT_RISK_THRESHOLDS) => {
+  if (score >= thresholds.critical) return 'critical';
+  if (score >= thresholds.high) return 'high';
+  if (score >= thresholds.medium) return 'medium';
+  return 'low';
+};
+
+// A readable document is safe while its score stays in the Low band, whatever it was flagged for
+export const isSafe = ({ isEmpty, risk }, thresholds) => !isEmpty && riskBand(risk.score, thresholds) === 'low';
+
+// Returns an error message for unusable thresholds, or null when they are fine
+export const validateRiskThresholds = ({ medium, high, critical }) => {
+  if (![medium, high, critical].every(Number.isFinite)) return 'Thresholds must be numbers';
+  if (!(medium > 0 && medium < high && high < critical && critical <= 100)) return 'Thresholds must rise from Medium to Critical, between 1 and 100';
+  return null;
+};
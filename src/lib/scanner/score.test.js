@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { scoreRisk, riskBand, validateRiskThresholds } from './score.js';
+
+const finding = (overrides) => ({ type: 'Injection Keyword', detail: '', severity: 'high', rule: 'r', ranges: [{ start: 0, end: 5 }], ...overrides });
+
+describe('scoreRisk', () => {
+  it('scores nothing as zero', () => {
+    expect(scoreRisk([])).toEqual({ score: 0, categories: [] });
+  });
+
+  it('grows with each finding but stays within 100', () => {
+    const one = scoreRisk([finding()]).score;
+    const many = scoreRisk(Array.from({ length: 30 }, () => finding())).score;
+    expect(one).toBeGreaterThan(0);
+    expect(many).toBeGreaterThan(one);
+    expect(many).toBeLessThanOrEqual(100);
+  });
+
+  it('weighs a phrase hidden in invisible text above a visible one', () => {
+    const visible = scoreRisk([finding()]).score;
+    const concealed = scoreRisk([finding(), finding({ type: 'Hidden Text', rule: undefined })]);
+    expect(concealed.score).toBeGreaterThan(visible);
+    expect(concealed.categories.map(c => c.category).sort()).toEqual(['concealment', 'injection']);
+  });
+  it('gives weightless findings a zero category score rather than NaN', () => {
+    const { score, categories } = scoreRisk([finding({ ocrConfidence: 0 })]);
+    expect(score).toBe(0);
+    expect(categories).toEqual([{ category: 'injection', label: 'Injection phrases', count: 1, score: 0 }]);
+  });
+});
+
+describe('riskBand', () => {
+  it('places scores in bands', () => {
+    expect(riskBand(0)).toBe('low');
+    expect(riskBand(20)).toBe('medium');
+    expect(riskBand(50)).toBe('high');
+    expect(riskBand(90)).toBe('critical');
+  });
+
+  it('rejects thresholds that do not rise', () => {
+    expect(validateRiskThresholds({ medium: 20, high: 45, critical: 75 })).toBeNull();
+    expect(validateRiskThresholds({ medium: 50, high: 45, critical: 75 })).toMatch(/rise/);
+  });
+});
@@ -0,0 +1,83 @@
+import { findKeywordMatches, matchFields, fuzzyNote } from './detect.js';
+import { ruleLabel } from './rules.js';
+import { findUnicodeObfuscation } from './unicode.js';
+import { findLures } from './lures.js';
+import { layoutParts } from './parts.js';
+import { shiftRanges } from './ranges.js';
+
+// Unicode, lure and rule findings for one piece of text, with ranges relative to it
+export const scanText = (text, { rules, fuzzyThreshold }) => [
+  ...findUnicodeObfuscation(text).map(finding => ({ ...finding, context: text })),
+  ...findLures(text, { rules, fuzzyThreshold }).map(finding => ({ ...finding, context: text })),
+  ...findKeywordMatches(text, rules, { fuzzyThreshold }).map(match => ({
+    type: match.rule.type,
+    detail: `Malicious command phrase: ${ruleLabel(match.rule)}${fuzzyNote(match)}`,
+    context: text,
+    ranges: [{ start: match.start, end: match.end }],
+    ...matchFields(match)
+  }))
+];
+
+// Lays paragraphs out one per line, collapsing runs of empty paragraphs into a single blank
+// line; `offsets[i]` is where paragraph i starts, or null when it left no text behind
+export const layoutParagraphs = (lines) => {
+  let text = "";
+  let blank = false;
+  const offsets = lines.map(line => {
+    if (line.trim().length === 0) {
+      blank = text.length > 0;
+      return null;
+    }
+    if (text) text += blank ? "\n\n" : "\n";
+    blank = false;
+    const offset = text.length;
+    text += line;
+    return offset;
+  });
+  return { text, offsets };
+};
+
+// Builds one part from paragraphs of runs: `[{ at, runs: [{ text, findings, at }] }]`. Run findings
+// (hidden formatting) get the run's range; each paragraph's text is then checked for rules and
+// Unicode tricks, and a hit takes the location of the run it starts in (a spreadsheet cell, say).
+// Issue ranges are relative to the returned part text.
+export const scanParagraphs = (paragraphs, ctx) => {
+  const lines = [];
+  const found = [];
+
+  paragraphs.forEach(({ at, runs }, index) => {
+    let paragraphText = "";
+    const bounds = runs.map(({ text, findings = [], at: runAt }) => {
+      const range = { start: paragraphText.length, end: paragraphText.length + text.length };
+      paragraphText += text;
+      if (text.trim().length > 0) {
+        findings.forEach(finding => found.push({ context: text, ...finding, ...at, ...runAt, ranges: [range], line: index }));
+      }
+      return { end: range.end, at: runAt };
+    });
+    const runAtOffset = (offset) => bounds.find(bound => offset < bound.end)?.at;
+    scanText(paragraphText, ctx).forEach(finding => {
+      found.push({ ...finding, ...at, ...(finding.ranges && runAtOffset(finding.ranges[0].start)), line: index });
+    });
+    lines.push(paragraphText);
+  });
+
+  const { text, offsets } = layoutParagraphs(lines);
+  const issues = found.map(({ line, ranges, ...issue }) => (
+    ranges && offsets[line] !== null ? { ...issue, ranges: shiftRanges(ranges, offsets[line]) } : issue
+  ));
+  return { text, issues };
+};
+
+// Moves part-relative ranges onto the joined text; parts left empty drop out of it
+export const joinParts = (parts) => {
+  const kept = parts.filter(p => p.text.length > 0);
+  const { text: rawText, starts } = layoutParts(kept);
+  const issues = parts.flatMap(p => {
+    const keptIndex = kept.indexOf(p);
+    return p.issues.map(({ ranges, ...issue }) => (
+      ranges && keptIndex !== -1 ? { ...issue, ranges: shiftRanges(ranges, starts[keptIndex]) } : issue
+    ));
+  });
+  return { issues, rawText, parts: kept.map(({ part, label, included, text }) => ({ part, label, included, text })) };
+};
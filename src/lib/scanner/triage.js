@@ -0,0 +1,80 @@
+import { scoreRisk, isSafe } from './score.js';
+import { sanitizeDocument } from './sanitize.js';
+import { normalizeUnicode } from './unicode.js';
+
+// A reviewer's decisions on one document: `ignored` finding ids (false positives), `redactions`
+// overriding whether a finding's text is redacted (`{ [id]: true | false }`), `manual` ranges of
+// rawText redacted by hand, and `trusted` to wave every finding of the document through
+export const EMPTY_TRIAGE = { ignored: [], redactions: {}, manual: [], trusted: false };
+
+export const DISMISS_REASONS = {
+  trusted: 'Document always allowed',
+  allowed: 'Phrase always allowed',
+  ignored: 'Marked as false positive'
+};
+
+// Allowlisted phrases match on what a model reads (case, spacing, invisible characters and
+// homoglyphs aside) rather than on the fuzzy skeleton: "$ystem pr0mpt" is not the phrase allowed
+export const phraseKey = (text) => normalizeUnicode(text).toLowerCase().replace(/\s+/g, ' ').trim();
+
+// The text a finding flagged, for allowlisting; null for findings without readable text
+// (metadata, scripts, runs of invisible characters)
+export const findingPhrase = (issue, rawText) => {
+  const text = (issue.matched || (issue.ranges || []).map(({ start, end }) => rawText.slice(start, end)).join(' ')).trim();
+  return phraseKey(text) ? text : null;
+};
+
+const dismissReason = (issue, triage, allowed, rawText) => {
+  if (triage.trusted) return 'trusted';
+  const phrase = findingPhrase(issue, rawText);
+  if (phrase && allowed.has(phraseKey(phrase))) return 'allowed';
+  if (triage.ignored.includes(issue.id)) return 'ignored';
+  return null;
+};
+
+const manualRedaction = (rawText, { start, end }) => {
+  const text = rawText.slice(start, end);
+  return {
+    id: `manual-${start}-${end}`,
+    type: 'Manual Redaction',
+    severity: 'low',
+    detail: `Redacted by hand: "${text.length > 60 ? `${text.slice(0, 57)}...` : text}"`,
+    context: text,
+    ranges: [{ start, end }],
+    manual: true,
+    redact: true
+  };
+};
+
+// Applies triage decisions and the allowlist to a scan result. Dismissed findings move to
+// `dismissed` (with their reason) and stop counting towards the risk score; manual redactions are
+// listed in `redactions` and only change the sanitized text. `safe` always follows the current
+// risk thresholds, so results stored under other bands are judged afresh; a result nothing else
+// touches is returned as is.
+export const applyTriage = (result, triage = EMPTY_TRIAGE, { allowlist = [], sanitizePolicy, riskThresholds } = {}) => {
+  const allowed = new Set(allowlist.map(phraseKey));
+  const issues = [];
+  const dismissed = [];
+  result.issues.forEach(issue => {
+    const reason = dismissReason(issue, triage, allowed, result.rawText);
+    if (reason) dismissed.push({ issue, reason });
+    else issues.push(issue.id in triage.redactions ? { ...issue, redact: triage.redactions[issue.id] } : issue);
+  });
+  const redactions = triage.manual.map(range => manualRedaction(result.rawText, range));
+  const overridden = result.issues.some(issue => issue.id in triage.redactions);
+  if (dismissed.length === 0 && redactions.length === 0 && !overridden) {
+    const safe = isSafe(result, riskThresholds);
+    return safe === result.safe ? result : { ...result, safe };
+  }
+
+  const risk = scoreRisk(issues);
+  const reviewed = {
+    ...result,
+    safe: isSafe({ isEmpty: result.isEmpty, risk }, riskThresholds),
+    risk,
+    issues,
+    dismissed,
+    redactions
+  };
+  return { ...reviewed, sanitizedText: sanitizeDocument(reviewed, { policy: sanitizePolicy }) };
+};
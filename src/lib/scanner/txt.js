@@ -0,0 +1,31 @@
+import { scanText, joinParts } from './story.js';
+
+// UTF-16 files announce themselves with a byte order mark; everything else is read as UTF-8
+export const decodeText = (data) => {
+  const bytes = new Uint8Array(data);
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+  return new TextDecoder('utf-8').decode(bytes);
+};
+
+// 1-based line of a text offset, and the full line(s) a range spans
+const lineAt = (text, offset) => text.slice(0, offset).split('\n').length;
+const linesAround = (text, { start, end }) =>
+  text.slice(text.lastIndexOf('\n', start - 1) + 1, text.indexOf('\n', end) === -1 ? text.length : text.indexOf('\n', end));
+
+// Plain text has no formatting to hide behind, so only rules and Unicode tricks apply. The whole
+// file is scanned at once so phrases broken across hard-wrapped lines still match.
+export const scanTxt = async (data, { rules, fuzzyThreshold, onProgress = () => {}, onIssues = () => {} } = {}) => {
+  onProgress(10);
+  const text = decodeText(data).replace(/\r\n?/g, '\n');
+  const issues = scanText(text, { rules, fuzzyThreshold }).map(finding => ({
+    ...finding,
+    part: 'Body',
+    line: finding.ranges ? lineAt(text, finding.ranges[0].start) : null,
+    context: finding.ranges ? linesAround(text, finding.ranges[0]) : text.slice(0, 200)
+  }));
+  onIssues(issues);
+  onProgress(100);
+
+  return { ...joinParts([{ part: 'Body', label: 'Body', included: true, text, issues }]), pageCount: 1 };
+};
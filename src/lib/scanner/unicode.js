@@ -0,0 +1,185 @@
+// Characters that render as nothing but still reach an LLM tokenizer
+const ZERO_WIDTH_RE = /\u034F|[\u00AD\u180E\u200B-\u200D\u2060-\u2064\uFEFF]/g;
+const BIDI_CONTROL_RE = /[\u202A-\u202E\u2066-\u2069]/g;
+const TAG_CHAR_RE = /[\u{E0000}-\u{E007F}]/gu;
+const SINGLE_ZERO_WIDTH_RE = new RegExp(`^(?:${ZERO_WIDTH_RE.source})$`);
+const SINGLE_BIDI_CONTROL_RE = new RegExp(`^${BIDI_CONTROL_RE.source}$`);
+const SINGLE_TAG_CHAR_RE = new RegExp(`^${TAG_CHAR_RE.source}$`, 'u');
+const WORD_RE = /[\p{L}\p{M}]+/gu;
+const JOINER_RE = /[\u200C\u200D]/g;
+// Scripts whose letters change shape or form conjuncts around ZWJ/ZWNJ ("می‌خواهم", "क्‍ष")
+const JOINING_LETTER_RE = /^[\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Mongolian}\p{Script=Devanagari}\p{Script=Bengali}\p{Script=Gurmukhi}\p{Script=Gujarati}\p{Script=Oriya}\p{Script=Tamil}\p{Script=Telugu}\p{Script=Kannada}\p{Script=Malayalam}\p{Script=Sinhala}]$/u;
+// Emoji, skin tones and the emoji presentation selector that a ZWJ sequence ("👨‍👩‍👧") joins
+const EMOJI_BEFORE_RE = /^[\p{Extended_Pictographic}\p{Emoji_Modifier}\uFE0F]$/u;
+const EMOJI_AFTER_RE = /^\p{Extended_Pictographic}$/u;
+// Soft hyphens are ordinary typesetting: only a line break shows them
+const SOFT_HYPHEN = '\u00AD';
+
+// Cyrillic and Greek letters that are visually indistinguishable from Latin ones
+export const CONFUSABLES = {
+  '\u0430': 'a', '\u0432': 'b', '\u0435': 'e', '\u043A': 'k', '\u043C': 'm', '\u043D': 'h', '\u043E': 'o', '\u0440': 'p',
+  '\u0441': 'c', '\u0442': 't', '\u0443': 'y', '\u0445': 'x', '\u0455': 's', '\u0456': 'i', '\u0458': 'j', '\u0501': 'd',
+  '\u04BB': 'h', '\u051B': 'q', '\u051D': 'w', '\u04CF': 'l', '\u0410': 'A', '\u0412': 'B', '\u0415': 'E', '\u041A': 'K',
+  '\u041C': 'M', '\u041D': 'H', '\u041E': 'O', '\u0420': 'P', '\u0421': 'C', '\u0422': 'T', '\u0425': 'X', '\u0405': 'S',
+  '\u0406': 'I', '\u0408': 'J', '\u04AE': 'Y', '\u03B1': 'a', '\u03BF': 'o', '\u03BD': 'v', '\u03B9': 'i', '\u03BA': 'k',
+  '\u03C1': 'p', '\u03C5': 'u', '\u03F2': 'c', '\u0391': 'A', '\u0392': 'B', '\u0395': 'E', '\u0396': 'Z', '\u0397': 'H',
+  '\u0399': 'I', '\u039A': 'K', '\u039C': 'M', '\u039D': 'N', '\u039F': 'O', '\u03A1': 'P', '\u03A4': 'T', '\u03A5': 'Y',
+  '\u03A7': 'X'
+};
+
+const TAG_RUN_RE = /[\u{E0000}-\u{E007F}]+/gu;
+
+const rangesOf = (text, re) => Array.from(text.matchAll(re), m => ({ start: m.index, end: m.index + m[0].length }));
+
+const codePoint = (char) => `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+
+const isMixedScript = (word) =>
+  /\p{Script=Latin}/u.test(word) && /[\p{Script=Cyrillic}\p{Script=Greek}]/u.test(word);
+
+const foldConfusables = (word) => Array.from(word).map(char => CONFUSABLES[char] || char).join('');
+
+// Flags every UTF-16 index of `text` that sits in a mixed-script word
+const mixedWordMask = (text) => {
+  const mask = new Uint8Array(text.length);
+  for (const match of text.matchAll(WORD_RE)) {
+    if (isMixedScript(match[0])) mask.fill(1, match.index, match.index + match[0].length);
+  }
+  return mask;
+};
+
+// Flags every UTF-16 index of `text` holding a joiner the text needs: between two letters of a
+// joining script, or inside an emoji ZWJ sequence. Those stay; any other joiner is stray.
+const neededJoinerMask = (text) => {
+  const mask = new Uint8Array(text.length);
+  for (const match of text.matchAll(JOINER_RE)) {
+    const before = Array.from(text.slice(Math.max(0, match.index - 2), match.index)).pop() || '';
+    const after = Array.from(text.slice(match.index + 1, match.index + 3))[0] || '';
+    const letters = JOINING_LETTER_RE.test(before) && JOINING_LETTER_RE.test(after);
+    const emoji = match[0] === '\u200D' && EMOJI_BEFORE_RE.test(before) && EMOJI_AFTER_RE.test(after);
+    if (letters || emoji) mask[match.index] = 1;
+  }
+  return mask;
+};
+
+const isInvisible = (char) => SINGLE_TAG_CHAR_RE.test(char) || SINGLE_ZERO_WIDTH_RE.test(char) || SINGLE_BIDI_CONTROL_RE.test(char);
+
+export const decodeTagPayload = (text) =>
+  Array.from(text.match(TAG_CHAR_RE) || [])
+    .map(char => char.codePointAt(0) - 0xE0000)
+    .filter(code => code >= 0x20 && code < 0x7F)
+    .map(code => String.fromCharCode(code))
+    .join('');
+
+// Normalizes per code point and records, for every output character, the raw range it came from,
+// so matches found in the normalized text can be mapped back onto the original
+export const normalizeWithMap = (text, { decodeTags = false } = {}) => {
+  const inMixedWord = mixedWordMask(text);
+  const neededJoiner = neededJoinerMask(text);
+
+  let normalized = '';
+  const starts = [];
+  const ends = [];
+  let offset = 0;
+  let wasTag = null;
+  for (const char of text) {
+    const start = offset;
+    offset += char.length;
+
+    let out;
+    if (SINGLE_TAG_CHAR_RE.test(char)) {
+      out = decodeTags ? decodeTagPayload(char) : '';
+    } else if (SINGLE_ZERO_WIDTH_RE.test(char) || SINGLE_BIDI_CONTROL_RE.test(char)) {
+      out = neededJoiner[start] ? char : '';
+    } else {
+      out = inMixedWord[start] && CONFUSABLES[char] ? CONFUSABLES[char] : char.normalize('NFKC');
+    }
+
+    // A decoded tag payload is a message of its own, so it does not run into the visible words
+    // around it
+    const isTag = SINGLE_TAG_CHAR_RE.test(char);
+    if (out && wasTag !== null && isTag !== wasTag) out = ` ${out}`;
+    if (out) wasTag = isTag;
+
+    for (const piece of out) {
+      normalized += piece;
+      for (let k = 0; k < piece.length; k++) {
+        starts.push(start);
+        ends.push(offset);
+      }
+    }
+  }
+  return { text: normalized, starts, ends };
+};
+
+// Strips invisible controls and folds homoglyph words so keyword checks see what a model sees
+export const normalizeUnicode = (text) => normalizeWithMap(text).text;
+
+// Rewrites text that is split into pieces (the runs of a paragraph, say) without changing what
+// a reader sees: invisible controls go and homoglyph words are folded, recognized across piece
+// boundaries, but there is no NFKC so ligatures, full-width forms and the like stay as written
+export const cleanUnicodePieces = (pieces) => {
+  const inMixedWord = mixedWordMask(pieces.join(''));
+  const neededJoiner = neededJoinerMask(pieces.join(''));
+  let offset = 0;
+  return pieces.map(piece => {
+    let out = '';
+    for (const char of piece) {
+      const start = offset;
+      offset += char.length;
+      if (neededJoiner[start]) out += char;
+      else if (!isInvisible(char)) out += (inMixedWord[start] && CONFUSABLES[char]) || char;
+    }
+    return out;
+  });
+};
+
+export const findUnicodeObfuscation = (text) => {
+  const findings = [];
+
+  const neededJoiner = neededJoinerMask(text);
+  const zeroWidth = rangesOf(text, ZERO_WIDTH_RE).filter(({ start }) => !neededJoiner[start]);
+  if (zeroWidth.length > 0) {
+    const chars = zeroWidth.map(({ start }) => text[start]);
+    const kinds = [...new Set(chars.map(codePoint))].join(', ');
+    findings.push({
+      type: 'Zero-Width Characters',
+      detail: `${zeroWidth.length} invisible character${zeroWidth.length > 1 ? 's' : ''} (${kinds})`,
+      ranges: zeroWidth,
+      severity: chars.every(char => char === SOFT_HYPHEN) ? 'low' : 'medium'
+    });
+  }
+
+  const bidi = text.match(BIDI_CONTROL_RE);
+  if (bidi) {
+    const kinds = [...new Set(bidi.map(codePoint))].join(', ');
+    findings.push({
+      type: 'Bidi Override',
+      detail: `Text direction controls reorder what is displayed (${kinds})`,
+      ranges: rangesOf(text, BIDI_CONTROL_RE),
+      severity: 'high'
+    });
+  }
+
+  if (text.match(TAG_CHAR_RE)) {
+    const payload = decodeTagPayload(text);
+    findings.push({
+      type: 'Tag Characters',
+      detail: payload ? `Invisible tag payload: "${payload}"` : 'Invisible Unicode tag characters',
+      ranges: rangesOf(text, TAG_RUN_RE),
+      severity: 'high'
+    });
+  }
+
+  const homoglyphs = (text.match(WORD_RE) || []).filter(isMixedScript);
+  if (homoglyphs.length > 0) {
+    const words = [...new Set(homoglyphs)].map(word => `"${word}" → "${foldConfusables(word)}"`).join(', ');
+    findings.push({
+      type: 'Homoglyph',
+      detail: `Mixed-script look-alike words: ${words}`,
+      ranges: rangesOf(text, WORD_RE).filter(({ start, end }) => isMixedScript(text.slice(start, end))),
+      severity: 'medium'
+    });
+  }
+
+  return findings;
+};
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { findUnicodeObfuscation, normalizeUnicode, normalizeWithMap, cleanUnicodePieces } from './unicode.js';
+
+const types = (text) => findUnicodeObfuscation(text).map(finding => finding.type);
+const tags = (text) => Array.from(text, char => String.fromCodePoint(0xE0000 + char.charCodeAt(0))).join('');
+
+describe('findUnicodeObfuscation', () => {
+  it('flags zero-width, bidi, tag and homoglyph tricks', () => {
+    expect(types('ign​ore')).toEqual(['Zero-Width Characters']);
+    expect(types('abc‮cba')).toEqual(['Bidi Override']);
+    expect(findUnicodeObfuscation(`note${tags('hi there')}`)[0]).toMatchObject({ type: 'Tag Characters', detail: 'Invisible tag payload: "hi there"' });
+    expect(types('please іgnоre this')).toEqual(['Homoglyph']);
+  });
+
+  it('leaves joiners that emoji and joining scripts need, and rates soft hyphens low', () => {
+    expect(types('👨‍👩‍👧 and ❤️‍🔥')).toEqual([]);
+    expect(types('می‌خواهم')).toEqual([]);
+    expect(types('क्‍ष')).toEqual([]);
+    expect(types('ign‍ore')).toEqual(['Zero-Width Characters']);
+    expect(findUnicodeObfuscation('co­operate')[0].severity).toBe('low');
+    expect(findUnicodeObfuscation('co­op​erate')[0].severity).toBe('medium');
+  });
+
+  it('leaves plain and single-script text alone', () => {
+    expect(types('Plain text, café and naïve.')).toEqual([]);
+    expect(types('Привет, мир')).toEqual([]);
+  });
+});
+
+describe('normalizeUnicode', () => {
+  it('strips invisible controls and folds look-alike words', () => {
+    expect(normalizeUnicode('ign​ore іgnоre')).toBe('ignore ignore');
+  });
+
+  it('keeps the joiners text needs', () => {
+    expect(normalizeUnicode('👨‍👩‍👧 می‌خواهم')).toBe('👨‍👩‍👧 می‌خواهم');
+    expect(cleanUnicodePieces(['👨‍', '👩'])).toEqual(['👨‍', '👩']);
+  });
+
+  it('maps normalized characters back to the original', () => {
+    const text = 'a​b';
+    const { text: normalized, starts, ends } = normalizeWithMap(text);
+    expect(normalized).toBe('ab');
+    expect([starts[1], ends[1]]).toEqual([2, 3]);
+  });
+});
+
+describe('cleanUnicodePieces', () => {
+  it('cleans runs without merging them', () => {
+    expect(cleanUnicodePieces(['ign​', 'оre'])).toEqual(['ign', 'ore']);
+  });
+});
@@ -0,0 +1,206 @@
+import { WHITE, toHex, contrastRatio, isUnreadableOn } from './color.js';
+import { openPackage, readRelationships, readThemeColors, child, elementChildren, scanPropertyParts } from './ooxml.js';
+import { scanParagraphs, scanText, joinParts } from './story.js';
+
+// Legacy palette entries that matter for hidden text; 64/65 are the system foreground/background
+const INDEXED_COLORS = { 0: '#000000', 1: '#ffffff', 8: '#000000', 9: '#ffffff', 64: '#000000', 65: '#ffffff' };
+
+// SpreadsheetML theme indexes swap the first two pairs relative to a:clrScheme order
+const THEME_ORDER = ['lt1', 'dk1', 'lt2', 'dk2', 'accent1', 'accent2', 'accent3', 'accent4', 'accent5', 'accent6', 'hlink', 'folHlink'];
+
+// Positive tints lighten towards white, negative ones darken towards black
+const applyTint = (hex, tint) => {
+  if (!tint) return hex;
+  const rgb = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  return toHex(rgb.map(c => (tint > 0 ? c + (255 - c) * tint : c * (1 + tint))));
+};
+
+const readColor = (el, themeColors) => {
+  if (!el || el.getAttribute('auto') === '1') return null;
+  const rgb = el.getAttribute('rgb');
+  if (rgb) return toHex(rgb.slice(-6));
+  const tint = parseFloat(el.getAttribute('tint') || '0');
+  const theme = el.getAttribute('theme');
+  if (theme !== null && theme !== '') {
+    const base = themeColors[THEME_ORDER[parseInt(theme, 10)]];
+    return base ? applyTint(base, tint) : null;
+  }
+  return INDEXED_COLORS[el.getAttribute('indexed')] || null;
+};
+
+const readStyles = (stylesDoc, themeColors) => {
+  const formats = {};
+  Array.from(stylesDoc?.getElementsByTagName('numFmt') || []).forEach(fmt => {
+    formats[fmt.getAttribute('numFmtId')] = fmt.getAttribute('formatCode');
+  });
+  const fonts = elementChildren(stylesDoc?.getElementsByTagName('fonts')[0]).map(font => ({
+    color: readColor(child(font, 'color'), themeColors),
+    size: child(font, 'sz') ? parseFloat(child(font, 'sz').getAttribute('val')) : null
+  }));
+  const fills = elementChildren(stylesDoc?.getElementsByTagName('fills')[0]).map(fill => {
+    const pattern = child(fill, 'patternFill');
+    return pattern?.getAttribute('patternType') === 'solid' ? readColor(child(pattern, 'fgColor'), themeColors) : null;
+  });
+  return elementChildren(stylesDoc?.getElementsByTagName('cellXfs')[0]).map(xf => ({
+    font: fonts[parseInt(xf.getAttribute('fontId') || '0', 10)] || {},
+    fill: fills[parseInt(xf.getAttribute('fillId') || '0', 10)] || null,
+    numFmt: formats[xf.getAttribute('numFmtId')] || null
+  }));
+};
+
+// "B7" → 2; column letters are bijective base 26
+const columnNumber = (letters) => Array.from(letters).reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0);
+
+export const columnName = (number) => {
+  let name = '';
+  for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+};
+
+// Rich text runs joined; phonetic guides (rPh) are reading aids, not cell content
+const allText = (el) => Array.from(el?.getElementsByTagName('t') || [])
+  .filter(t => t.parentNode.nodeName !== 'rPh')
+  .map(t => t.textContent)
+  .join('');
+
+const cellText = (cell, sharedStrings) => {
+  const type = cell.getAttribute('t');
+  const value = child(cell, 'v')?.textContent ?? '';
+  if (type === 's') return sharedStrings[parseInt(value, 10)] ?? '';
+  if (type === 'inlineStr') return allText(child(cell, 'is'));
+  if (type === 'b') return value === '1' ? 'TRUE' : 'FALSE';
+  return value;
+};
+
+// Sheets, rows and cell values with the formatting that decides whether a cell can be seen.
+// Shared by the scanner and the spreadsheet preview.
+export const readWorkbook = async (data, { DOMParser = globalThis.DOMParser } = {}) => {
+  if (!DOMParser) throw new Error('readWorkbook requires a DOMParser implementation');
+  const pkg = await openPackage(data, DOMParser);
+  if (!pkg.has('xl/workbook.xml')) throw new Error('Not an Excel workbook: xl/workbook.xml is missing');
+
+  const themeColors = readThemeColors(await pkg.readOptionalXml('xl/theme/theme1.xml'));
+  const styles = readStyles(await pkg.readOptionalXml('xl/styles.xml'), themeColors);
+  const sharedDoc = await pkg.readOptionalXml('xl/sharedStrings.xml');
+  const sharedStrings = Array.from(sharedDoc?.getElementsByTagName('si') || []).map(allText);
+  const workbookRels = await readRelationships(pkg, 'xl/workbook.xml');
+  const workbook = await pkg.readXml('xl/workbook.xml');
+
+  const sheets = [];
+  for (const sheet of Array.from(workbook.getElementsByTagName('sheet'))) {
+    const path = workbookRels[sheet.getAttribute('r:id')]?.path;
+    if (!path || !pkg.has(path)) continue;
+    const doc = await pkg.readXml(path);
+
+    const hiddenColumns = new Set();
+    Array.from(doc.getElementsByTagName('col')).forEach(col => {
+      if (col.getAttribute('hidden') !== '1' && col.getAttribute('width') !== '0') return;
+      for (let n = parseInt(col.getAttribute('min'), 10); n <= parseInt(col.getAttribute('max'), 10) && n <= 16384; n++) hiddenColumns.add(n);
+    });
+
+    const rows = Array.from(doc.getElementsByTagName('row')).map((row, rowIndex) => {
+      const number = parseInt(row.getAttribute('r') || `${rowIndex + 1}`, 10);
+      let column = 0;
+      const cells = Array.from(row.getElementsByTagName('c')).map(cell => {
+        const ref = cell.getAttribute('r');
+        column = ref ? columnNumber(ref.replace(/\d+$/, '')) : column + 1;
+        const style = styles[parseInt(cell.getAttribute('s') || '0', 10)] || { font: {}, fill: null, numFmt: null };
+        return { ref: ref || `${columnName(column)}${number}`, column, text: cellText(cell, sharedStrings), ...style };
+      });
+      return { number, hidden: row.getAttribute('hidden') === '1' || row.getAttribute('ht') === '0', cells };
+    });
+
+    const comments = [];
+    const sheetRels = await readRelationships(pkg, path);
+    const commentsPath = Object.values(sheetRels).find(rel => rel.type === 'comments')?.path;
+    if (commentsPath && pkg.has(commentsPath)) {
+      const commentsDoc = await pkg.readXml(commentsPath);
+      const authors = Array.from(commentsDoc.getElementsByTagName('author')).map(a => a.textContent);
+      Array.from(commentsDoc.getElementsByTagName('comment')).forEach(comment => {
+        comments.push({ ref: comment.getAttribute('ref'), author: authors[parseInt(comment.getAttribute('authorId') || '0', 10)], text: allText(child(comment, 'text')) });
+      });
+    }
+
+    sheets.push({ name: sheet.getAttribute('name'), state: sheet.getAttribute('state') || 'visible', rows, hiddenColumns: [...hiddenColumns], comments });
+  }
+  return { sheets, pkg };
+};
+
+// Run findings for every reason a cell's value cannot be seen
+const cellFindings = (cell, row, hiddenColumns) => {
+  const findings = [];
+  const hiddenBy = [row.hidden && `row ${row.number}`, hiddenColumns.has(cell.column) && `column ${columnName(cell.column)}`].filter(Boolean);
+  if (hiddenBy.length > 0) {
+    findings.push({ type: 'Hidden Cell', detail: `Cell ${cell.ref} sits in hidden ${hiddenBy.join(' and ')}`, severity: 'medium' });
+  }
+  if (cell.numFmt && cell.numFmt.replace(/\s/g, '') === ';;;') {
+    findings.push({ type: 'Hidden Text', detail: `Number format ";;;" hides the value of ${cell.ref}`, severity: 'high' });
+  }
+  const background = cell.fill || WHITE;
+  if (cell.font.color && isUnreadableOn(cell.font.color, background)) {
+    findings.push({
+      type: 'Hidden Text',
+      detail: `Font colour ${cell.font.color} on ${cell.fill ? `cell fill ${cell.fill}` : 'white sheet'}, contrast ${contrastRatio(cell.font.color, background).toFixed(2)}:1`,
+      severity: 'high'
+    });
+  }
+  if (cell.font.size && cell.font.size <= 4) {
+    findings.push({ type: 'Micro-text', detail: `Suspiciously small font size (${cell.font.size}pt)`, severity: 'medium' });
+  }
+  return findings;
+};
+
+// One paragraph per row, cells separated by tabs; every cell is its own run so findings point at it
+const scanSheet = (sheet, ctx) => {
+  const hiddenColumns = new Set(sheet.hiddenColumns);
+  const paragraphs = sheet.rows
+    .filter(row => row.cells.some(cell => cell.text.trim()))
+    .map(row => ({
+      at: { part: sheet.name, paragraph: row.number },
+      runs: row.cells.filter(cell => cell.text).flatMap((cell, index) => [
+        ...(index > 0 ? [{ text: '\t' }] : []),
+        { text: cell.text, at: { cell: cell.ref }, findings: cellFindings(cell, row, hiddenColumns) }
+      ])
+    }));
+  const { text, issues } = scanParagraphs(paragraphs, ctx);
+
+  if (sheet.state !== 'visible' && text.trim()) {
+    issues.unshift({
+      type: 'Hidden Sheet',
+      detail: sheet.state === 'veryHidden' ? 'Sheet is "very hidden" and cannot be unhidden from the Excel UI' : 'Sheet is hidden',
+      context: text.slice(0, 200),
+      part: sheet.name,
+      ranges: [{ start: 0, end: text.length }],
+      severity: sheet.state === 'veryHidden' ? 'high' : 'medium'
+    });
+  }
+  return { part: sheet.name, label: sheet.name, included: true, text, issues };
+};
+
+export const scanXlsx = async (data, { DOMParser = globalThis.DOMParser, rules, fuzzyThreshold, signal, onProgress = () => {}, onIssues = () => {} } = {}) => {
+  onProgress(10);
+  const { sheets, pkg } = await readWorkbook(data, { DOMParser });
+  const ctx = { rules, fuzzyThreshold };
+  const parts = [];
+
+  sheets.forEach((sheet, index) => {
+    signal?.throwIfAborted();
+    onProgress(10 + Math.round((index / sheets.length) * 80));
+    const part = scanSheet(sheet, ctx);
+    parts.push(part);
+    onIssues(part.issues);
+  });
+
+  // Cell comments are notes for the author, so they are scanned but kept out of the sanitized text
+  sheets.forEach(sheet => sheet.comments.forEach(comment => {
+    const label = `Comment on ${sheet.name}!${comment.ref}${comment.author ? ` by ${comment.author}` : ''}`;
+    const issues = scanText(comment.text, ctx).map(finding => ({ ...finding, part: label }));
+    parts.push({ part: 'Comments', label, included: false, text: comment.text, issues });
+    onIssues(issues);
+  }));
+
+  parts.push(...await scanPropertyParts(pkg, ctx, onIssues));
+  onProgress(100);
+
+  return { ...joinParts(parts), pageCount: sheets.length };
+};
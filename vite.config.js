@@ -9,4 +9,18 @@ export default defineConfig({
     react(),
     tailwindcss(),
   ],
+  test: {
+    // The browser build of pdf.js needs DOM classes Node lacks; the CLI uses the legacy build too
+    alias: [{ find: /^pdfjs-dist$/, replacement: 'pdfjs-dist/legacy/build/pdf.mjs' }],
+  },
+  build: {
+    rollupOptions: {
+      output: {
+        // Tesseract fetches OCR models as <langPath>/<lang>.traineddata.gz, so they keep their names
+        assetFileNames: ({ names }) => names.some(name => name.endsWith('.traineddata.gz'))
+          ? 'assets/ocr/[name][extname]'
+          : 'assets/[name]-[hash][extname]',
+      },
+    },
+  },
 })